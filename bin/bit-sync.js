@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+/**
+ * bit-sync from the shell, in the spirit of rdiff. The documents are the same ones the library makes, so they can be passed back and forth between
+ * scripts and an app:
+ *
+ *   bit-sync signature [options] <basis> [signature]
+ *   bit-sync delta [options] <signature> <newfile> [delta]
+ *   bit-sync patch [options] <basis> <delta> [output]
+ *   bit-sync inspect [options] <document>
+ *
+ * Any file can be "-" for stdin or stdout, and a missing output is stdout. The basis given to patch has to be a real file, since it's read out of order.
+ * Documents are read in any of the formats encodeDocument writes, as well as binary.
+ */
+var fs = require("fs");
+var BSync = require("../bit-sync.js");
+
+var USAGE = [
+  "Usage:",
+  "  bit-sync signature [options] <basis> [signature]     make the checksum document for a file",
+  "  bit-sync delta [options] <signature> <newfile> [delta]  make the patch document that turns the basis into newfile",
+  "  bit-sync patch [options] <basis> <delta> [output]     apply a patch document to the basis",
+  "  bit-sync inspect [options] <document>                 describe a checksum or patch document",
+  "",
+  "Any file can be - for stdin or stdout. A missing output goes to stdout.",
+  "",
+  "Options:",
+  "  -b, --block-size <n|auto>    signature: block size in bytes (default auto)",
+  "  --hash <md5|sha256|xxhash64>  signature: strong hash (default md5)",
+  "  --strong-length <n|auto>     signature: bytes of the strong hash to keep",
+  "  --sub-block-size <n>         signature: also hash blocks in pieces this big, for smaller deltas",
+  "  --lines                      signature: end blocks at line breaks, for text",
+  "  -z, --compress               delta: compress the new data",
+  "  -f, --format <format>        signature and delta: binary (default), base64, base64url or json",
+  "  --base64                     the same as --format base64",
+  "  --no-verify                  patch: don't check the output against the source's hash",
+  "  --json                       inspect: print the summary as JSON",
+  "  -h, --help                   show this"
+].join("\n");
+
+//options that take a value, by the name they're stored under
+var VALUE_OPTIONS = {"-b": "blockSize", "--block-size": "blockSize", "--hash": "hash", "--strong-length": "strongLength", "--sub-block-size": "subBlockSize",
+                     "-f": "format", "--format": "format"};
+var FLAG_OPTIONS = {"--lines": "lines", "-z": "compress", "--compress": "compress", "--no-verify": "noVerify", "--json": "json", "-h": "help", "--help": "help"};
+
+function UsageError(message)
+{
+  this.name = "UsageError";
+  this.message = message;
+}
+UsageError.prototype = Object.create(Error.prototype);
+
+/**
+ * Split the arguments into {command, files, options}. Option values can be given as "--name value" or "--name=value".
+ */
+function parseArguments(args)
+{
+  var options = {format: "binary"};
+  var files = [];
+  for(var i = 0; i < args.length; i++)
+  {
+    var arg = args[i];
+    var value = undefined;
+    var equals = arg.indexOf("=");
+    if(arg.slice(0, 2) == "--" && equals > 0)
+    {
+      value = arg.slice(equals + 1);
+      arg = arg.slice(0, equals);
+    }
+    if(VALUE_OPTIONS[arg])
+    {
+      if(value === undefined)
+      {
+        if(i + 1 >= args.length) throw new UsageError(arg + " needs a value");
+        value = args[++i];
+      }
+      options[VALUE_OPTIONS[arg]] = value;
+    }
+    else if(FLAG_OPTIONS[arg] && value === undefined) options[FLAG_OPTIONS[arg]] = true;
+    else if(arg == "--base64" && value === undefined) options.format = "base64";
+    else if(arg.charAt(0) == "-" && arg != "-") throw new UsageError("Unknown option " + args[i]);
+    else files.push(arg);
+  }
+  return {command: files.shift(), files: files, options: options};
+}
+
+//"auto", or a whole number, for the options that can be either
+function sizeOption(value, name)
+{
+  if(value === undefined || value == "auto") return value;
+  if(!/^\d+$/.test(value)) throw new UsageError(name + " should be a number of bytes or auto, got: " + value);
+  return parseInt(value, 10);
+}
+
+function readAll(name)
+{
+  if(name != "-") return fs.promises.readFile(name);
+  return new Promise(function(resolve, reject)
+  {
+    var chunks = [];
+    process.stdin.on("data", function(chunk) { chunks.push(chunk); });
+    process.stdin.on("end", function() { resolve(Buffer.concat(chunks)); });
+    process.stdin.on("error", reject);
+  });
+}
+
+function toArrayBuffer(buffer)
+{
+  return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+}
+
+/**
+ * Read a document in any format. Binary documents start with the magic bytes, text ones are base64 or JSON. Documents from before the header
+ * existed are binary without the magic, so anything that isn't plainly text is taken as one of those.
+ */
+function readDocument(name)
+{
+  return readAll(name).then(function(buffer)
+  {
+    if(buffer.length >= 4 && buffer.toString("latin1", 0, 4) == "BSYN") return toArrayBuffer(buffer);
+    var text = buffer.toString("latin1");
+    if(/^\s*\{[\s\S]*\}\s*$/.test(text) || /^[A-Za-z0-9+\/=_\-\s]+$/.test(text)) return BSync.decodeDocument(text);
+    return toArrayBuffer(buffer);
+  });
+}
+
+/**
+ * Where output goes: stdout for "-" or no name, or the named file. Returns {stream, close, discard}, where close() resolves once everything is
+ * written, and discard() resolves once a file that was only partly written is removed.
+ */
+function openOutput(name)
+{
+  if(name === undefined || name == "-")
+    return {stream: process.stdout, close: function() { return Promise.resolve(); }, discard: function() { return Promise.resolve(); }};
+  var stream = fs.createWriteStream(name);
+  return {
+    stream: stream,
+    close: function()
+    {
+      return new Promise(function(resolve, reject)
+      {
+        stream.on("error", reject);
+        stream.end(resolve);
+      });
+    },
+    discard: function()
+    {
+      //the file is opened in the background, so it can only be removed once the stream is done with it
+      return new Promise(function(resolve)
+      {
+        stream.on("close", function() { fs.unlink(name, function() { resolve(); }); });
+        stream.destroy();
+      });
+    }
+  };
+}
+
+//a function that writes pieces to a stream, and returns a promise when the stream wants it to slow down
+function streamWriter(stream)
+{
+  return function(piece)
+  {
+    if(stream.write(Buffer.from(piece))) return null;
+    return new Promise(function(resolve) { stream.once("drain", resolve); });
+  };
+}
+
+/**
+ * Run work(output), with output opened for name, and close it when it's done. If it fails, a partly written file is removed.
+ */
+function withOutput(name, work)
+{
+  var output = openOutput(name);
+  return Promise.resolve()
+    .then(function() { return work(output); })
+    .then(function() { return output.close(); }, function(err)
+    {
+      return output.discard().then(function() { throw err; });
+    });
+}
+
+//write a whole document in the chosen format
+function writeDocument(output, document, format)
+{
+  if(format == "binary") return streamWriter(output.stream)(document);
+  return streamWriter(output.stream)(Buffer.from(BSync.encodeDocument(document, format) + "\n", "latin1"));
+}
+
+function checkFormat(format)
+{
+  if(["binary", "base64", "base64url", "json"].indexOf(format) < 0)
+    throw new UsageError("--format should be binary, base64, base64url or json, got: " + format);
+}
+
+function signature(files, options)
+{
+  if(files.length < 1 || files.length > 2) throw new UsageError("signature takes <basis> [signature]");
+  checkFormat(options.format);
+  var blockSize = options.blockSize === undefined ? "auto" : sizeOption(options.blockSize, "--block-size");
+  var checksumOptions = {hash: options.hash, strongLength: sizeOption(options.strongLength, "--strong-length"), lines: options.lines};
+  if(options.subBlockSize !== undefined) checksumOptions.subBlockSize = sizeOption(options.subBlockSize, "--sub-block-size");
+
+  //the stream version needs the length up front for an auto block size, and doesn't do line-aware blocks, so stdin and those are read whole
+  var made;
+  if(files[0] == "-" || options.lines)
+    made = readAll(files[0]).then(function(buffer) { return BSync.createChecksumDocument(blockSize, toArrayBuffer(buffer), checksumOptions); });
+  else
+    made = fs.promises.stat(files[0]).then(function(stats)
+    {
+      checksumOptions.length = stats.size;
+      return BSync.createChecksumDocumentStream(blockSize, fs.createReadStream(files[0]), checksumOptions);
+    });
+
+  return made.then(function(document)
+  {
+    return withOutput(files[1], function(output) { return writeDocument(output, document, options.format); });
+  });
+}
+
+function delta(files, options)
+{
+  if(files.length < 2 || files.length > 3) throw new UsageError("delta takes <signature> <newfile> [delta]");
+  checkFormat(options.format);
+  if(files[0] == "-" && files[1] == "-") throw new UsageError("The signature and the new file can't both be stdin");
+
+  return readDocument(files[0]).then(function(checksumDocument)
+  {
+    var source = files[1] == "-" ? process.stdin : fs.createReadStream(files[1]);
+    return withOutput(files[2], function(output)
+    {
+      //binary patches are written as they're made, the text formats need the whole document first
+      if(options.format == "binary")
+        return BSync.createPatchDocumentStream(checksumDocument, source, {compress: options.compress, onData: streamWriter(output.stream)});
+      return BSync.createPatchDocumentStream(checksumDocument, source, {compress: options.compress})
+        .then(function(document) { return writeDocument(output, document, options.format); });
+    });
+  });
+}
+
+function patch(files, options)
+{
+  if(files.length < 2 || files.length > 3) throw new UsageError("patch takes <basis> <delta> [output]");
+  if(files[0] == "-") throw new UsageError("The basis has to be a file, it can't be stdin");
+  if(files[2] !== undefined && files[2] != "-" && fs.existsSync(files[2]) && fs.realpathSync(files[2]) == fs.realpathSync(files[0]))
+    throw new UsageError("The output can't be the basis, write it somewhere else and move it over");
+
+  return Promise.all([readDocument(files[1]), fs.promises.open(files[0], "r")]).then(function(opened)
+  {
+    var handle = opened[1];
+    function readBasis(offset, length)
+    {
+      var buffer = Buffer.alloc(length);
+      return handle.read(buffer, 0, length, offset).then(function(result) { return buffer.subarray(0, result.bytesRead); });
+    }
+
+    return withOutput(files[2], function(output) { return BSync.applyPatchStream(opened[0], readBasis, output.stream, {verify: !options.noVerify}); })
+      .then(function() { return handle.close(); }, function(err)
+      {
+        return handle.close().then(function() { throw err; });
+      });
+  });
+}
+
+function inspect(files, options)
+{
+  if(files.length != 1) throw new UsageError("inspect takes <document>");
+  return readDocument(files[0]).then(function(document)
+  {
+    var view = new Uint8Array(document);
+    var info;
+    //checksum documents say so in their header (C after the magic and version), and librsync signatures in their magic ("rs" then 1, where deltas
+    //have 2). Everything else, librsync deltas included, goes to inspectPatch, which says what's wrong with it if it isn't a patch. That includes
+    //legacy checksum documents, from before the header, which can't be told apart from legacy patches
+    var checksums = view.length >= 6 && view[0] == 0x42 && view[1] == 0x53 && view[2] == 0x59 && view[3] == 0x4E && view[5] == 0x43;
+    var rdiffSignature = view.length >= 4 && view[0] == 0x72 && view[1] == 0x73 && view[2] == 0x01;
+    if(checksums || rdiffSignature) info = BSync.inspectChecksumDocument(document);
+    else info = BSync.inspectPatch(document);
+    process.stdout.write((options.json ? JSON.stringify(info, null, 2) : BSync.formatInspection(info)) + "\n");
+  });
+}
+
+var COMMANDS = {signature: signature, delta: delta, patch: patch, inspect: inspect};
+
+function main(args)
+{
+  var parsed;
+  try
+  {
+    parsed = parseArguments(args);
+    if(parsed.options.help)
+    {
+      process.stdout.write(USAGE + "\n");
+      return Promise.resolve(0);
+    }
+    if(!COMMANDS[parsed.command]) throw new UsageError(parsed.command ? "Unknown command " + parsed.command : "No command given");
+  }
+  catch(err) { return Promise.reject(err); }
+
+  return Promise.resolve()
+    .then(function() { return COMMANDS[parsed.command](parsed.files, parsed.options); })
+    .then(function() { return 0; });
+}
+
+main(process.argv.slice(2)).then(function(code) { process.exitCode = code; }, function(err)
+{
+  process.stderr.write("bit-sync: " + (err && err.message) + "\n");
+  if(err instanceof UsageError) process.stderr.write("Try bit-sync --help\n");
+  process.exitCode = err instanceof UsageError ? 2 : 1;
+});
@@ -180,7 +180,7 @@ var BSync = new function()
     }
 
     if (type_mismatch) {
-        alert('MD5 type mismatch, cannot process ' + type_mismatch)
+        throw new TypeError('MD5 type mismatch, cannot process ' + type_mismatch)
     }
 
     function _add(n1, n2) {
@@ -327,6 +327,393 @@ var BSync = new function()
   }
   /* ---- end md5 section ---- */
 
+  /* ---- sha-256 section ---- */
+  var sha256Constants = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+  ];
+
+  /**
+   * Plain js SHA-256, only used where node's crypto module isn't around (see strongHashes below). Returns {update, digest}: update(Uint8Array) can be
+   * called as many times as needed and returns the same object, digest() returns the 32 byte hash as a Uint8Array.
+   */
+  function createSha256()
+  {
+    var h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    var w = new Array(64);
+    var pending = new Uint8Array(64); //a partial 64 byte block, waiting for more data
+    var pendingLength = 0;
+    var length = 0;
+    var hasher;
+
+    function compress(block, offset)
+    {
+      var j;
+      for(j = 0; j < 16; j++)
+        w[j] = (block[offset + j * 4] << 24) | (block[offset + j * 4 + 1] << 16) | (block[offset + j * 4 + 2] << 8) | block[offset + j * 4 + 3];
+      for(j = 16; j < 64; j++)
+      {
+        var s0 = ((w[j - 15] >>> 7) | (w[j - 15] << 25)) ^ ((w[j - 15] >>> 18) | (w[j - 15] << 14)) ^ (w[j - 15] >>> 3);
+        var s1 = ((w[j - 2] >>> 17) | (w[j - 2] << 15)) ^ ((w[j - 2] >>> 19) | (w[j - 2] << 13)) ^ (w[j - 2] >>> 10);
+        w[j] = (w[j - 16] + s0 + w[j - 7] + s1) | 0;
+      }
+
+      var a = h[0], b = h[1], c = h[2], d = h[3], e = h[4], f = h[5], g = h[6], k = h[7];
+      for(j = 0; j < 64; j++)
+      {
+        var sum1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+        var choice = (e & f) ^ (~e & g);
+        var temp1 = (k + sum1 + choice + sha256Constants[j] + w[j]) | 0;
+        var sum0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+        var majority = (a & b) ^ (a & c) ^ (b & c);
+        var temp2 = (sum0 + majority) | 0;
+        k = g;
+        g = f;
+        f = e;
+        e = (d + temp1) | 0;
+        d = c;
+        c = b;
+        b = a;
+        a = (temp1 + temp2) | 0;
+      }
+
+      h[0] = (h[0] + a) | 0;
+      h[1] = (h[1] + b) | 0;
+      h[2] = (h[2] + c) | 0;
+      h[3] = (h[3] + d) | 0;
+      h[4] = (h[4] + e) | 0;
+      h[5] = (h[5] + f) | 0;
+      h[6] = (h[6] + g) | 0;
+      h[7] = (h[7] + k) | 0;
+    }
+
+    function update(data)
+    {
+      var i = 0;
+      length += data.length;
+      if(pendingLength > 0)
+      {
+        i = Math.min(64 - pendingLength, data.length);
+        pending.set(data.subarray(0, i), pendingLength);
+        pendingLength += i;
+        if(pendingLength < 64) return hasher;
+        compress(pending, 0);
+        pendingLength = 0;
+      }
+      for(; i + 64 <= data.length; i += 64) compress(data, i);
+      pending.set(data.subarray(i), 0);
+      pendingLength = data.length - i;
+      return hasher;
+    }
+
+    function digest()
+    {
+      //pad the message: a 1 bit, zeros, then the length in bits as a 64 bit big endian number, to a multiple of 64 bytes
+      var bitLength = length * 8;
+      var padding = new Uint8Array(((pendingLength < 56) ? 64 : 128) - pendingLength);
+      padding[0] = 0x80;
+      padding[padding.length - 8] = Math.floor(bitLength / 0x100000000000000) & 0xFF;
+      padding[padding.length - 7] = Math.floor(bitLength / 0x1000000000000) & 0xFF;
+      padding[padding.length - 6] = Math.floor(bitLength / 0x10000000000) & 0xFF;
+      padding[padding.length - 5] = Math.floor(bitLength / 0x100000000) & 0xFF;
+      padding[padding.length - 4] = (bitLength >>> 24) & 0xFF;
+      padding[padding.length - 3] = (bitLength >>> 16) & 0xFF;
+      padding[padding.length - 2] = (bitLength >>> 8) & 0xFF;
+      padding[padding.length - 1] = bitLength & 0xFF;
+      update(padding);
+
+      var ret = new Uint8Array(32);
+      for(var i = 0; i < 8; i++)
+      {
+        ret[i * 4] = h[i] >>> 24;
+        ret[i * 4 + 1] = (h[i] >>> 16) & 0xFF;
+        ret[i * 4 + 2] = (h[i] >>> 8) & 0xFF;
+        ret[i * 4 + 3] = h[i] & 0xFF;
+      }
+      return ret;
+    }
+
+    hasher = {update: update, digest: digest};
+    return hasher;
+  }
+
+  function sha256(data)
+  {
+    return createSha256().update(data).digest();
+  }
+  /* ---- end sha-256 section ---- */
+
+  /* ---- xxHash64 section ---- */
+  //javascript doesn't have 64 bit integers (not without BigInt, which is slow), so 64 bit values are kept as a pair of unsigned 32 bit halves, [high, low]
+  var XXH_PRIME64_1 = [0x9E3779B1, 0x85EBCA87];
+  var XXH_PRIME64_2 = [0xC2B2AE3D, 0x27D4EB4F];
+  var XXH_PRIME64_3 = [0x165667B1, 0x9E3779F9];
+  var XXH_PRIME64_4 = [0x85EBCA77, 0xC2B2AE63];
+  var XXH_PRIME64_5 = [0x27D4EB2F, 0x165667C5];
+
+  function add64(x, y)
+  {
+    var low = x[1] + y[1];
+    return [(x[0] + y[0] + (low > 0xFFFFFFFF ? 1 : 0)) >>> 0, low >>> 0];
+  }
+
+  //the low 64 bits of x * y, done in 16 bit pieces so nothing loses precision
+  function multiply64(x, y)
+  {
+    var x48 = x[0] >>> 16, x32 = x[0] & 0xFFFF, x16 = x[1] >>> 16, x00 = x[1] & 0xFFFF;
+    var y48 = y[0] >>> 16, y32 = y[0] & 0xFFFF, y16 = y[1] >>> 16, y00 = y[1] & 0xFFFF;
+    var c48 = 0, c32 = 0, c16 = 0, c00 = 0;
+    c00 += x00 * y00; c16 += c00 >>> 16; c00 &= 0xFFFF;
+    c16 += x16 * y00; c32 += c16 >>> 16; c16 &= 0xFFFF;
+    c16 += x00 * y16; c32 += c16 >>> 16; c16 &= 0xFFFF;
+    c32 += x32 * y00; c48 += c32 >>> 16; c32 &= 0xFFFF;
+    c32 += x16 * y16; c48 += c32 >>> 16; c32 &= 0xFFFF;
+    c32 += x00 * y32; c48 += c32 >>> 16; c32 &= 0xFFFF;
+    c48 += x48 * y00 + x32 * y16 + x16 * y32 + x00 * y48;
+    return [((c48 << 16) | c32) >>> 0, ((c16 << 16) | c00) >>> 0];
+  }
+
+  function rotateLeft64(x, bits)
+  {
+    if(bits >= 32) { x = [x[1], x[0]]; bits -= 32; }
+    if(bits == 0) return x;
+    return [((x[0] << bits) | (x[1] >>> (32 - bits))) >>> 0, ((x[1] << bits) | (x[0] >>> (32 - bits))) >>> 0];
+  }
+
+  function xor64(x, y)
+  {
+    return [(x[0] ^ y[0]) >>> 0, (x[1] ^ y[1]) >>> 0];
+  }
+
+  function shiftRight64(x, bits)
+  {
+    if(bits >= 32) return [0, x[0] >>> (bits - 32)];
+    return [x[0] >>> bits, ((x[1] >>> bits) | (x[0] << (32 - bits))) >>> 0];
+  }
+
+  function readUint64(data, offset)
+  {
+    return [readInt32(data, offset + 4), readInt32(data, offset)];
+  }
+
+  function xxhRound(accumulator, input)
+  {
+    return multiply64(rotateLeft64(add64(accumulator, multiply64(input, XXH_PRIME64_2)), 31), XXH_PRIME64_1);
+  }
+
+  function xxhMergeRound(accumulator, value)
+  {
+    return add64(multiply64(xor64(accumulator, xxhRound([0, 0], value)), XXH_PRIME64_1), XXH_PRIME64_4);
+  }
+
+  /**
+   * xxHash64 (seed 0) of a Uint8Array, returned as an 8 byte Uint8Array in the canonical (big endian) byte order. It's not a cryptographic hash, but
+   * it's very good at telling blocks apart and a lot quicker than md5.
+   */
+  function xxhash64(data)
+  {
+    var length = data.length;
+    var i = 0;
+    var hash;
+
+    if(length >= 32)
+    {
+      var v1 = add64(XXH_PRIME64_1, XXH_PRIME64_2);
+      var v2 = XXH_PRIME64_2;
+      var v3 = [0, 0];
+      var v4 = [(0 - XXH_PRIME64_1[0] - (XXH_PRIME64_1[1] > 0 ? 1 : 0)) >>> 0, (0 - XXH_PRIME64_1[1]) >>> 0];
+      for(; i + 32 <= length; i += 32)
+      {
+        v1 = xxhRound(v1, readUint64(data, i));
+        v2 = xxhRound(v2, readUint64(data, i + 8));
+        v3 = xxhRound(v3, readUint64(data, i + 16));
+        v4 = xxhRound(v4, readUint64(data, i + 24));
+      }
+      hash = add64(add64(rotateLeft64(v1, 1), rotateLeft64(v2, 7)), add64(rotateLeft64(v3, 12), rotateLeft64(v4, 18)));
+      hash = xxhMergeRound(hash, v1);
+      hash = xxhMergeRound(hash, v2);
+      hash = xxhMergeRound(hash, v3);
+      hash = xxhMergeRound(hash, v4);
+    }
+    else
+      hash = XXH_PRIME64_5;
+
+    hash = add64(hash, [Math.floor(length / 0x100000000), length >>> 0]);
+
+    for(; i + 8 <= length; i += 8)
+    {
+      hash = xor64(hash, xxhRound([0, 0], readUint64(data, i)));
+      hash = add64(multiply64(rotateLeft64(hash, 27), XXH_PRIME64_1), XXH_PRIME64_4);
+    }
+    if(i + 4 <= length)
+    {
+      hash = xor64(hash, multiply64([0, readInt32(data, i)], XXH_PRIME64_1));
+      hash = add64(multiply64(rotateLeft64(hash, 23), XXH_PRIME64_2), XXH_PRIME64_3);
+      i += 4;
+    }
+    for(; i < length; i++)
+    {
+      hash = xor64(hash, multiply64([0, data[i]], XXH_PRIME64_5));
+      hash = multiply64(rotateLeft64(hash, 11), XXH_PRIME64_1);
+    }
+
+    //avalanche
+    hash = multiply64(xor64(hash, shiftRight64(hash, 33)), XXH_PRIME64_2);
+    hash = multiply64(xor64(hash, shiftRight64(hash, 29)), XXH_PRIME64_3);
+    hash = xor64(hash, shiftRight64(hash, 32));
+
+    var digest = new Uint8Array(8);
+    for(i = 0; i < 4; i++)
+    {
+      digest[i] = (hash[0] >>> (24 - i * 8)) & 0xFF;
+      digest[i + 4] = (hash[1] >>> (24 - i * 8)) & 0xFF;
+    }
+    return digest;
+  }
+  /* ---- end xxHash64 section ---- */
+
+  /* ---- md4 section ---- */
+  //MD4 (RFC 1320) is long broken as a cryptographic hash, it's only here because librsync signatures can use it for their strong sums
+  var MD4_ORDER2 = [0, 4, 8, 12, 1, 5, 9, 13, 2, 6, 10, 14, 3, 7, 11, 15];
+  var MD4_ORDER3 = [0, 8, 4, 12, 2, 10, 6, 14, 1, 9, 5, 13, 3, 11, 7, 15];
+  var MD4_SHIFTS = [[3, 7, 11, 19], [3, 5, 9, 13], [3, 9, 11, 15]];
+
+  function md4(data)
+  {
+    var length = data.length;
+    var padded = new Uint8Array((((length + 8) >>> 6) + 1) * 64);
+    var x = new Array(16);
+    var state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+    var i, j, round, f, k, s;
+
+    padded.set(data);
+    padded[length] = 0x80;
+    writeInt32(padded, padded.length - 8, (length * 8) >>> 0);
+    writeInt32(padded, padded.length - 4, Math.floor(length / 0x20000000));
+
+    for(i = 0; i < padded.length; i += 64)
+    {
+      var h = state.slice();
+      for(j = 0; j < 16; j++) x[j] = readInt32(padded, i + j * 4);
+      for(round = 0; round < 3; round++)
+        for(j = 0; j < 16; j++)
+        {
+          var b = h[(17 - j) % 4], c = h[(18 - j) % 4], d = h[(19 - j) % 4];
+          if(round == 0) { f = (b & c) | (~b & d); k = j; }
+          else if(round == 1) { f = ((b & c) | (b & d) | (c & d)) + 0x5A827999; k = MD4_ORDER2[j]; }
+          else { f = (b ^ c ^ d) + 0x6ED9EBA1; k = MD4_ORDER3[j]; }
+          s = MD4_SHIFTS[round][j % 4];
+          var a = (h[(16 - j) % 4] + f + x[k]) | 0;
+          h[(16 - j) % 4] = (a << s) | (a >>> (32 - s));
+        }
+      for(j = 0; j < 4; j++) state[j] = (state[j] + h[j]) | 0;
+    }
+
+    var digest = new Uint8Array(16);
+    for(j = 0; j < 4; j++) writeInt32(digest, j * 4, state[j] >>> 0);
+    return digest;
+  }
+  /* ---- end md4 section ---- */
+
+  /* ---- blake2b section ---- */
+  //BLAKE2b (RFC 7693), for librsync signatures, which use its 32 byte form. The 64 bit words are kept as pairs of 32 bit halves in a Uint32Array,
+  //low half first, which is a good deal quicker than the [high, low] arrays the xxHash64 code uses, and this runs over every byte of the data
+  var BLAKE2B_IV = [0xf3bcc908, 0x6a09e667, 0x84caa73b, 0xbb67ae85, 0xfe94f82b, 0x3c6ef372, 0x5f1d36f1, 0xa54ff53a,
+                    0xade682d1, 0x510e527f, 0x2b3e6c1f, 0x9b05688c, 0xfb41bd6b, 0x1f83d9ab, 0x137e2179, 0x5be0cd19];
+  var BLAKE2B_SIGMA = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+    [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+    [11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4],
+    [7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8],
+    [9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13],
+    [2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9],
+    [12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11],
+    [13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10],
+    [6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5],
+    [10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0]
+  ];
+
+  //v[a] += v[b] + m[x], for the 64 bit words at those positions
+  function blake2bAdd(v, a, b, m, x)
+  {
+    var low = v[a] + v[b] + m[x];
+    v[a + 1] = v[a + 1] + v[b + 1] + m[x + 1] + Math.floor(low / 0x100000000);
+    v[a] = low;
+  }
+
+  function blake2bMix(v, m, a, b, c, d, x, y)
+  {
+    var low, high;
+    blake2bAdd(v, a, b, m, x);
+    low = v[d] ^ v[a]; high = v[d + 1] ^ v[a + 1];
+    v[d] = high; v[d + 1] = low; //rotate right 32
+    blake2bAdd(v, c, d, m, 32);
+    low = v[b] ^ v[c]; high = v[b + 1] ^ v[c + 1];
+    v[b] = (low >>> 24) | (high << 8); v[b + 1] = (high >>> 24) | (low << 8);
+    blake2bAdd(v, a, b, m, y);
+    low = v[d] ^ v[a]; high = v[d + 1] ^ v[a + 1];
+    v[d] = (low >>> 16) | (high << 16); v[d + 1] = (high >>> 16) | (low << 16);
+    blake2bAdd(v, c, d, m, 32);
+    low = v[b] ^ v[c]; high = v[b + 1] ^ v[c + 1];
+    v[b] = (high >>> 31) | (low << 1); v[b + 1] = (low >>> 31) | (high << 1); //rotate right 63
+  }
+
+  /**
+   * BLAKE2b of a Uint8Array, unkeyed, with a digest of outputLength bytes (1 to 64). Returns a Uint8Array.
+   */
+  function blake2b(data, outputLength)
+  {
+    var h = new Uint32Array(BLAKE2B_IV);
+    var v = new Uint32Array(32);
+    var m = new Uint32Array(34); //the message block, plus a zero word at the end for the additions that don't take one
+    var block = new Uint8Array(128);
+    var offset = 0;
+    var i, round;
+
+    h[0] ^= 0x01010000 ^ outputLength;
+    do
+    {
+      var size = Math.min(128, data.length - offset);
+      var last = offset + size == data.length;
+      block.fill(0);
+      block.set(data.subarray(offset, offset + size));
+      offset += size;
+      for(i = 0; i < 32; i++) m[i] = readInt32(block, i * 4);
+
+      v.set(h);
+      v.set(BLAKE2B_IV, 16);
+      v[24] ^= offset >>> 0;
+      v[25] ^= Math.floor(offset / 0x100000000);
+      if(last) { v[28] = ~v[28]; v[29] = ~v[29]; }
+
+      for(round = 0; round < 12; round++)
+      {
+        var s = BLAKE2B_SIGMA[round % 10];
+        blake2bMix(v, m, 0, 8, 16, 24, s[0] * 2, s[1] * 2);
+        blake2bMix(v, m, 2, 10, 18, 26, s[2] * 2, s[3] * 2);
+        blake2bMix(v, m, 4, 12, 20, 28, s[4] * 2, s[5] * 2);
+        blake2bMix(v, m, 6, 14, 22, 30, s[6] * 2, s[7] * 2);
+        blake2bMix(v, m, 0, 10, 20, 30, s[8] * 2, s[9] * 2);
+        blake2bMix(v, m, 2, 12, 22, 24, s[10] * 2, s[11] * 2);
+        blake2bMix(v, m, 4, 14, 16, 26, s[12] * 2, s[13] * 2);
+        blake2bMix(v, m, 6, 8, 18, 28, s[14] * 2, s[15] * 2);
+      }
+      for(i = 0; i < 16; i++) h[i] ^= v[i] ^ v[i + 16];
+    }
+    while(!last);
+
+    var digest = new Uint8Array(64);
+    for(i = 0; i < 16; i++) writeInt32(digest, i * 4, h[i]);
+    return digest.slice(0, outputLength);
+  }
+  /* ---- end blake2b section ---- */
+
   /**
    * Create a fast 16 bit hash of a 32bit number. Just using a simple mod 2^16 for this for now.
    * TODO: Evaluate the distribution of adler32 to see if simple modulus is appropriate as a hashing function, or wheter 2^16 should be replaced with a prime
@@ -383,6 +770,71 @@ var BSync = new function()
     return {a: a, b: b, checksum: (b << 16) | a };
   }
 
+  /**
+   * librsync's weak sums, for its signatures (see readRdiffSignature). Same calling convention as adler32 and rollingChecksum.
+   *
+   * rollsum is what older signatures use. It's adler32 with 31 added to every byte, so a run of zeros doesn't sum to zero.
+   */
+  var RS_CHAR_OFFSET = 31;
+
+  function rollsum(offset, end, data)
+  {
+    var s1 = 0;
+    var s2 = 0;
+    if(end >= data.length)
+      end = data.length - 1;
+    for(var i = offset; i <= end; i++)
+    {
+      s1 += data[i] + RS_CHAR_OFFSET;
+      s2 += s1;
+    }
+    s1 %= 65536;
+    s2 %= 65536;
+    return {a: s1, b: s2, checksum: ((s2 << 16) | s1) >>> 0};
+  }
+
+  function rollRollsum(sumInfo, offset, end, data)
+  {
+    var out = data[offset - 1];
+    var s1 = (sumInfo.a + data[end] - out + 65536) % 65536;
+    var s2 = ((sumInfo.b + s1 - (end - offset + 1) * (out + RS_CHAR_OFFSET)) % 65536 + 65536) % 65536;
+    return {a: s1, b: s2, checksum: ((s2 << 16) | s1) >>> 0};
+  }
+
+  /**
+   * The RabinKarp rolling hash newer librsync signatures use instead, which spreads its values over all 32 bits far better. The hash is kept mod 2^32,
+   * along with MULT to the power of the block length, which is what taking a byte back out needs.
+   */
+  var RABINKARP_MULT = 0x08104225;
+  var RABINKARP_ADJ = 0x08104224; //RABINKARP_MULT - 1, it takes the seed of 1 that the hash starts with back out along with the byte
+
+  function rabinKarp(offset, end, data)
+  {
+    var hash = 1;
+    var mult = 1;
+    if(end >= data.length)
+      end = data.length - 1;
+    for(var i = offset; i <= end; i++)
+    {
+      hash = (Math.imul(hash, RABINKARP_MULT) + data[i]) >>> 0;
+      mult = Math.imul(mult, RABINKARP_MULT);
+    }
+    return {mult: mult, checksum: hash};
+  }
+
+  function rollRabinKarp(sumInfo, offset, end, data)
+  {
+    var hash = Math.imul(sumInfo.checksum, RABINKARP_MULT) + data[end] - Math.imul(sumInfo.mult, data[offset - 1] + RABINKARP_ADJ);
+    return {mult: sumInfo.mult, checksum: hash >>> 0};
+  }
+
+  //the weak sums a checksum document's blocks can have, by name. Only librsync signatures use anything but adler32
+  var WEAK_SUMS = {
+    adler32: {sum: adler32, roll: rollingChecksum},
+    rollsum: {sum: rollsum, roll: rollRollsum},
+    rabinkarp: {sum: rabinKarp, roll: rollRabinKarp}
+  };
+
   /**
    * This is a function born of annoyance. You can't create a Uint32Array at a non 4 byte boundary. So this is necessary to read
    * a 32bit int from an arbitrary location. Lame. 
@@ -395,360 +847,6042 @@ var BSync = new function()
   }
 
   /**
-   * Create a document that contains all of the checksum information for each block in the destination data. Everything is little endian
-   * Document structure:
-   * First 4 bytes = block size
-   * Next 4 bytes = number of blocks
-   * Repeat for number of blocks:
-   *   4 bytes, adler32 checksum
-   *   16 bytes, md5 checksum
-   *
+   * The other half of readInt32, write a little endian 32 bit int to an arbitrary location
    */
-  function createChecksumDocument(blockSize, data)
+  function writeInt32(uint8View, offset, value)
   {
-    var numBlocks = Math.ceil(data.byteLength / blockSize);
-    var i=0;
-    var docLength = ( numBlocks * //the number of blocks times
-                      ( 4 +       //the 4 bytes for the adler32 plus
-                        16) +     //the 16 bytes for the md5
-                      4 +         //plus 4 bytes for block size
-                      4);         //plus 4 bytes for the number of blocks
+    uint8View[offset] = value & 0xFF;
+    uint8View[++offset] = (value >>> 8) & 0xFF;
+    uint8View[++offset] = (value >>> 16) & 0xFF;
+    uint8View[++offset] = (value >>> 24) & 0xFF;
+  }
 
-    var doc = new ArrayBuffer(docLength);
-    var dataView = new Uint8Array(data);
-    var bufferView = new Uint32Array(doc);
-    var offset = 2;
-    var chunkSize = 5; //each chunk is 4 bytes for adler32 and 16 bytes for md5. for Uint32Array view, this is 20 bytes, or 5 4-byte uints
+  /**
+   * Get a Uint8Array view of a chunk of data. Accepts ArrayBuffers, any typed array or DataView, and node Buffers (which are just Uint8Arrays).
+   * No data is copied, the returned view shares memory with the chunk.
+   */
+  function toUint8Array(chunk)
+  {
+    if(chunk instanceof Uint8Array) return chunk;
+    if(chunk instanceof ArrayBuffer) return new Uint8Array(chunk);
+    if(chunk && (chunk.buffer instanceof ArrayBuffer)) return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    throw new TypeError("Expected binary data (ArrayBuffer or typed array), got: " + typeof chunk);
+  }
+
+  /**
+   * Copy a chunk of data (anything toUint8Array takes) into a new ArrayBuffer that's exactly as long as it is. view.slice().buffer doesn't do for that,
+   * since slice on a node Buffer gives another view of the same memory, which is usually a much bigger shared pool.
+   */
+  function copyBytes(chunk)
+  {
+    return new Uint8Array(toUint8Array(chunk)).buffer;
+  }
 
-    bufferView[0] = blockSize;
-    bufferView[1] = numBlocks;
+  /**
+   * A chunk of data as an ArrayBuffer that holds just it: the chunk itself if it's an ArrayBuffer, the buffer of a view that covers the whole of one,
+   * or a copy of the view otherwise.
+   */
+  function exactBuffer(chunk)
+  {
+    if(chunk instanceof ArrayBuffer) return chunk;
+    var view = toUint8Array(chunk);
+    if(view.byteOffset == 0 && view.length == view.buffer.byteLength) return view.buffer;
+    return copyBytes(view);
+  }
 
-    //spin through the data and create checksums for each block
-    for(i=0; i < numBlocks; i++)
+  /**
+   * Join an array of ArrayBuffers into a single new ArrayBuffer
+   */
+  function concatBuffers(buffers)
+  {
+    var length = 0;
+    var i;
+    for(i=0; i < buffers.length; i++) length += buffers[i].byteLength;
+    var ret = new Uint8Array(length);
+    var offset = 0;
+    for(i=0; i < buffers.length; i++)
     {
-      var start = i * blockSize;
-      var end = (i * blockSize) + blockSize;
+      ret.set(new Uint8Array(buffers[i]), offset);
+      offset += buffers[i].byteLength;
+    }
+    return ret.buffer;
+  }
 
-      //calculate the adler32 checksum
-      bufferView[offset] = adler32(start, end - 1, dataView).checksum;
-      offset++;
+  /**
+   * Text mode. Anywhere data is taken, a string can be given instead, and it's encoded with the encoding option: "utf-8" (the default), "utf-16le"
+   * or "utf-16be" ("utf-16" on its own means little endian, without a byte order mark). Both sides of a sync have to use the same one. This is all done
+   * here rather than with TextEncoder, which only does UTF-8. Unpaired surrogates, which can't be encoded, become U+FFFD like TextEncoder does it.
+   */
+  var TEXT_ENCODINGS = {"utf-8": "utf-8", "utf8": "utf-8", "utf-16": "utf-16le", "utf-16le": "utf-16le", "utf16le": "utf-16le", "utf-16be": "utf-16be"};
 
-      //calculate the full md5 checksum
-      var chunkLength = blockSize;
-      if((start + blockSize) > data.byteLength)
-        chunkLength = data.byteLength - start;
+  function textEncoding(encoding)
+  {
+    var name = TEXT_ENCODINGS[String(encoding || "utf-8").toLowerCase()];
+    if(!name) throw new TypeError("Text can be encoded as \"utf-8\", \"utf-16le\" or \"utf-16be\", got: " + encoding);
+    return name;
+  }
 
-      var md5sum = md5(new Uint8Array(data, start, chunkLength));
-      for(var j=0; j < 4; j++) bufferView[offset++] = md5sum[j];
+  function encodeText(text, encoding)
+  {
+    encoding = textEncoding(encoding);
+    var view = new Uint8Array(encoding == "utf-8" ? text.length * 3 : text.length * 2);
+    var position = 0;
+    for(var i = 0; i < text.length; i++)
+    {
+      var c = text.charCodeAt(i);
+      if(c >= 0xD800 && c <= 0xDFFF)
+      {
+        var next = i + 1 < text.length ? text.charCodeAt(i + 1) : 0;
+        if(c <= 0xDBFF && next >= 0xDC00 && next <= 0xDFFF)
+        {
+          if(encoding != "utf-8") //a proper pair goes through UTF-16 as it is
+          {
+            writeUnit(c);
+            c = next;
+          }
+          else c = 0x10000 + ((c - 0xD800) << 10) + (next - 0xDC00);
+          i++;
+        }
+        else c = 0xFFFD;
+      }
 
+      if(encoding != "utf-8") writeUnit(c);
+      else if(c < 0x80) view[position++] = c;
+      else if(c < 0x800)
+      {
+        view[position++] = 0xC0 | (c >>> 6);
+        view[position++] = 0x80 | (c & 63);
+      }
+      else if(c < 0x10000)
+      {
+        view[position++] = 0xE0 | (c >>> 12);
+        view[position++] = 0x80 | ((c >>> 6) & 63);
+        view[position++] = 0x80 | (c & 63);
+      }
+      else
+      {
+        view[position++] = 0xF0 | (c >>> 18);
+        view[position++] = 0x80 | ((c >>> 12) & 63);
+        view[position++] = 0x80 | ((c >>> 6) & 63);
+        view[position++] = 0x80 | (c & 63);
+      }
     }
 
-    return doc;
+    function writeUnit(unit)
+    {
+      view[position++] = encoding == "utf-16le" ? unit & 0xFF : unit >>> 8;
+      view[position++] = encoding == "utf-16le" ? unit >>> 8 : unit & 0xFF;
+    }
 
+    return view.slice(0, position).buffer;
   }
 
-  /**
-   * Parse the checksum document into a hash table
-   *
-   * The hash table will have 2^16 entries. Each entry will point to an array that has the following strucutre:
-   * [
-   *  [ [blockIndex, adler32sum, md5sum],[blockIndex, adler32sum, md5sum],... ]
-   *  [ [blockIndex, adler32sum, md5sum],[blockIndex, adler32sum, md5sum],... ]
-   *  ...
-   * ]
-   */
-  function parseChecksumDocument(checksumDocument)
+  //malformed UTF-8 becomes U+FFFD, a byte at a time, and an odd byte at the end of UTF-16 is dropped. A byte order
+  //mark is kept as U+FEFF rather than stripped like TextDecoder does, so the text encodes back to the same bytes
+  function decodeText(data, encoding)
   {
-    var ret = [];
-    var i=0;
-    var view = new Uint32Array(checksumDocument);
-    var blockIndex = 1; //blockIndex is 1 based, not zero based
-    var numBlocks = view[1];
-    var row;
-    var hash;
+    encoding = textEncoding(encoding);
+    var view = toUint8Array(data);
+    var units = [];
+    var pieces = [];
+    var i = 0;
 
-    //each chunk in the document is 20 bytes long. 32 bit view indexes 4 bytes, so increment by 5.
-    for(i = 2; i <= view.length - 5; i += 5)
+    function unit(c)
     {
-      checksumInfo = [
-             blockIndex, //the index of the block
-             view[i], //the adler32sum
-             [view[i+1],view[i+2],view[i+3],view[i+4]] //the md5sum
-            ];
-      hash = hash16(checksumInfo[1]);
-      if(!ret[hash]) ret[hash] = [];
-      ret[hash].push(checksumInfo);
-      blockIndex++;
+      units.push(c);
+      //String.fromCharCode can only take so many arguments at once
+      if(units.length == 8192)
+      {
+        pieces.push(String.fromCharCode.apply(null, units));
+        units = [];
+      }
     }
 
-    if(numBlocks != (blockIndex - 1))
+    if(encoding != "utf-8")
     {
-      throw "Error parsing checksum document. Document states the number of blocks is: " + numBlocks + " however, " + blockIndex - 1 + " blocks were discovered";
+      var high = encoding == "utf-16le" ? 1 : 0;
+      for(; i + 1 < view.length; i += 2) unit((view[i + high] << 8) | view[i + 1 - high]);
+    }
+    else while(i < view.length)
+    {
+      var c = view[i];
+      var extra = c >= 0xF0 && c <= 0xF4 ? 3 : c >= 0xE0 ? 2 : c >= 0xC2 && c < 0xE0 ? 1 : 0;
+      if(c < 0x80 || extra == 0 || c > 0xF4)
+      {
+        unit(c < 0x80 ? c : 0xFFFD);
+        i++;
+        continue;
+      }
+      var code = c & (0x3F >> extra);
+      var j;
+      for(j = 1; j <= extra; j++)
+      {
+        var b = view[i + j];
+        //the second byte has a narrower range for some lead bytes, which rules out overlong forms, surrogates and anything past U+10FFFF
+        var low = j == 1 && (c == 0xE0 ? 0xA0 : c == 0xF0 ? 0x90 : 0x80) || 0x80;
+        var top = j == 1 && (c == 0xED ? 0x9F : c == 0xF4 ? 0x8F : 0xBF) || 0xBF;
+        if(!(b >= low && b <= top)) break;
+        code = (code << 6) | (b & 63);
+      }
+      if(j <= extra)
+      {
+        unit(0xFFFD);
+        i += j;
+        continue;
+      }
+      if(code >= 0x10000)
+      {
+        code -= 0x10000;
+        unit(0xD800 + (code >>> 10));
+        unit(0xDC00 + (code & 0x3FF));
+      }
+      else unit(code);
+      i += extra + 1;
     }
 
-    return ret;
-
+    pieces.push(String.fromCharCode.apply(null, units));
+    return pieces.join("");
   }
 
+  //strings are encoded, anything else is handed back as it is
+  function textToBinary(data, encoding)
+  {
+    return typeof data == "string" ? encodeText(data, encoding) : data;
+  }
 
   /**
-   * Create a patch document that contains all the information needed to bring the destination data into synchronization with the source data.
+   * Get an iterator over the chunks of a data source. The source can be:
+   *   - a WHATWG ReadableStream
+   *   - anything async iterable, which includes node Readable streams and async generators
+   *   - anything iterable, like an array of chunks
+   *   - a single ArrayBuffer or typed array, which is treated as a stream with one chunk
    *
-   * The patch document looks like this: (little Endian)
-   * 4 bytes - blockSize
-   * 4 bytes - number of patches
-   * 4 bytes - number of matched blocks
-   * For each matched block:
-   *   4 bytes - the index of the matched block
-   * For each patch:
-   *   4 bytes - last matching block index. NOTE: This is 1 based index! Zero indicates beginning of file, NOT the first block
-   *   4 bytes - patch size
-   *   n bytes - new data
+   * Returns {next: function() -> promise for {done, value}, cancel: function(err)}. Throws a TypeError for anything else.
    */
-  function createPatchDocument(checksumDocument, data)
+  function chunkIterator(source)
   {
-    function appendBuffer( buffer1, buffer2 ) {
-      var tmp = new Uint8Array( buffer1.byteLength + buffer2.byteLength );
-      tmp.set( new Uint8Array( buffer1 ), 0 );
-      tmp.set( new Uint8Array( buffer2 ), buffer1.byteLength );
-      return tmp.buffer;
-    }
+    var iterator;
 
-    /**
-     * First, check to see if there's a match on the 16 bit hash
-     * Then, look through all the entries in the hashtable row for an adler 32 match.
-     * Finally, do a strong md5 comparison
-     */
-    function checkMatch(adlerInfo, hashTable, block)
+    if(source instanceof ArrayBuffer || ArrayBuffer.isView(source))
+    {
+      var done = false;
+      return {
+        next: function() { var result = {done: done, value: source}; done = true; return Promise.resolve(result); },
+        cancel: function() {}
+      };
+    }
+    if(source && typeof source.getReader == "function")
+    {
+      var reader = source.getReader();
+      return {
+        next: function() { return reader.read(); },
+        cancel: function(err) { reader.cancel(err); }
+      };
+    }
+    if(source && typeof Symbol != "undefined" && Symbol.asyncIterator && source[Symbol.asyncIterator])
     {
-      var hash = hash16(adlerInfo.checksum);
-      if(!(hashTable[hash])) return false;
-      var row = hashTable[hash];
-      var i=0;
-      var matchedIndex=0;
+      iterator = source[Symbol.asyncIterator]();
+      return {
+        next: function() { return iterator.next(); },
+        cancel: function() { if(iterator["return"]) iterator["return"](); }
+      };
+    }
+    if(source && typeof Symbol != "undefined" && source[Symbol.iterator])
+    {
+      iterator = source[Symbol.iterator]();
+      return {
+        next: function() { return Promise.resolve(iterator.next()); },
+        cancel: function() {}
+      };
+    }
+    throw new TypeError("Unsupported data source, expected a stream, an iterable of chunks, or an ArrayBuffer");
+  }
 
-      for(i=0; i<row.length; i++)
+  /**
+   * Call body repeatedly until it returns (or resolves to) false. Returns a promise that resolves when the loop is done, or rejects with the first error.
+   * This doesn't build up a promise chain as it goes, so it's safe for loops that run for the length of a very large stream.
+   */
+  function asyncLoop(body)
+  {
+    return new Promise(function(resolve, reject)
+    {
+      function next(more)
       {
-        //compare adler32sum
-        if(row[i][1] != adlerInfo.checksum) continue;
-        //do strong comparison
-        md5sum1 = md5(block);
-        md5sum1 = new Uint32Array([md5sum1[0],md5sum1[1],md5sum1[2],md5sum1[3]]); //convert to unsigned 32
-        md5sum2 = row[i][2];
-        if( 
-            md5sum1[0] == md5sum2[0] &&
-            md5sum1[1] == md5sum2[1] &&
-            md5sum1[2] == md5sum2[2] &&
-            md5sum1[3] == md5sum2[3] 
-          )
-          return row[i][0]; //match found, return the matched block index
-
+        if(!more) { resolve(); return; }
+        Promise.resolve().then(body).then(next).then(null, reject);
       }
+      next(true);
+    });
+  }
 
-      return false;
-
-    }
+  /**
+   * Feed each chunk of a data source (see chunkIterator for the supported types) to the onChunk callback, in order.
+   *
+   * If onChunk returns a promise, the next chunk won't be read until it settles, so slow consumers provide backpressure.
+   * Returns a promise that resolves when the source is exhausted, or rejects with the first error from the source or from onChunk.
+   */
+  function readChunks(source, onChunk)
+  {
+    var chunks;
+    try { chunks = chunkIterator(source); }
+    catch(err) { return Promise.reject(err); }
 
-    var checksumDocumentView = new Uint32Array(checksumDocument);
-    var blockSize = checksumDocumentView[0];
-    var numBlocks = checksumDocumentView[1];
+    return asyncLoop(function()
+    {
+      return chunks.next().then(function(result)
+      {
+        if(result.done) return false;
+        return Promise.resolve(onChunk(toUint8Array(result.value))).then(function() { return true; });
+      });
+    }).then(null, function(err)
+    {
+      try { chunks.cancel(err); } catch(e) {} //we're already failing, a problem cancelling the source isn't interesting
+      throw err;
+    });
+  }
+
+  /**
+   * Pull style reading from a data source (see chunkIterator for the supported types), for parsing documents as they stream in.
+   *
+   *   readSome(max) - promise for up to max bytes, whatever is available in the current chunk. An empty array means the source has ended.
+   *   read(length)  - promise for exactly length bytes. Rejects if the source ends first.
+   *   cancel(err)   - stop reading the source.
+   *
+   * The returned arrays may be views into the source's chunks, so they shouldn't be modified. If onBytes is given, it's called with everything
+   * that's read, in order, which is handy for checksumming a document as it's parsed.
+   */
+  function createChunkReader(source, onBytes)
+  {
+    var chunks = chunkIterator(source);
+    var current = new Uint8Array(0);
+    var position = 0;
+    var ended = false;
+
+    function fill()
+    {
+      if(position < current.length || ended) return Promise.resolve();
+      return chunks.next().then(function(result)
+      {
+        if(result.done) { ended = true; return; }
+        current = toUint8Array(result.value);
+        position = 0;
+        return fill(); //skips over empty chunks
+      });
+    }
+
+    function readSome(max)
+    {
+      return fill().then(function()
+      {
+        var count = Math.min(max, current.length - position);
+        var piece = current.subarray(position, position + count);
+        position += count;
+        if(onBytes) onBytes(piece);
+        return piece;
+      });
+    }
+
+    function read(length)
+    {
+      var result = null;
+      var filled = 0;
+      return asyncLoop(function()
+      {
+        if(filled == length) return false;
+        return readSome(length - filled).then(function(piece)
+        {
+          if(piece.length == 0)
+            throw new BSyncFormatError("Unexpected end of data, needed " + length + " bytes but only got " + filled);
+          //most of the time everything needed is in the current chunk, so there's no need to copy
+          if(filled == 0 && piece.length == length) { result = piece; filled = length; return false; }
+          if(!result) result = new Uint8Array(length);
+          result.set(piece, filled);
+          filled += piece.length;
+          return true;
+        });
+      }).then(function() { return result || new Uint8Array(0); });
+    }
+
+    return {read: read, readSome: readSome, cancel: function(err) { chunks.cancel(err); }};
+  }
+
+  /**
+   * Wrap a sink for output data so it can be written to the same way no matter what it is. The sink can be:
+   *   - a function(Uint8Array), which can return a promise for backpressure
+   *   - a WHATWG WritableStream
+   *   - a node Writable stream (or anything with a write method). If write returns false, we wait for the 'drain' event.
+   *
+   * Returns {write: function(Uint8Array) -> promise, release: function()}. The sink is never closed or ended, that's up to its owner.
+   */
+  function createSinkWriter(sink)
+  {
+    if(typeof sink == "function")
+      return {write: function(chunk) { return Promise.resolve(sink(chunk)); }, release: function() {}};
+
+    if(sink && typeof sink.getWriter == "function")
+    {
+      var writer = sink.getWriter();
+      return {write: function(chunk) { return writer.write(chunk); }, release: function() { writer.releaseLock(); }};
+    }
+
+    if(sink && typeof sink.write == "function")
+      return {
+        write: function(chunk)
+        {
+          var result = sink.write(chunk);
+          if(result === false && typeof sink.once == "function")
+            return new Promise(function(resolve) { sink.once("drain", resolve); });
+          return Promise.resolve(result);
+        },
+        release: function() {}
+      };
+
+    throw new TypeError("Unsupported sink, expected a function, a WritableStream or a node Writable");
+  }
+
+  /**
+   * Errors. Everything thrown because of a bad document is a BSyncError, so callers can tell those apart from bugs and other problems.
+   *
+   *   BSyncFormatError - the document is malformed: truncated, corrupted, the wrong type of document, or not a bit-sync document at all
+   *   BSyncVersionError - the document is in a format version this code doesn't know about. It was probably made by a newer bit-sync.
+   */
+  function defineError(name, parent)
+  {
+    var constructor = function(message)
+    {
+      this.name = name;
+      this.message = message;
+      if(Error.captureStackTrace) Error.captureStackTrace(this, constructor);
+      else this.stack = (new Error(message)).stack;
+    };
+    //the constructor is made here, so it would otherwise be anonymous in stack traces and constructor.name. Engines from before ES2015 don't
+    //let a function's name be changed, but they don't show it anywhere either
+    try { Object.defineProperty(constructor, "name", {value: name, configurable: true}); }
+    catch(err) {}
+    constructor.prototype = Object.create(parent.prototype);
+    constructor.prototype.constructor = constructor;
+    return constructor;
+  }
+
+  var BSyncError = defineError("BSyncError", Error);
+  var BSyncFormatError = defineError("BSyncFormatError", BSyncError);
+  var BSyncVersionError = defineError("BSyncVersionError", BSyncError);
+  var BSyncIntegrityError = defineError("BSyncIntegrityError", BSyncError);
+
+  var crcTable = null;
+
+  /**
+   * Standard (IEEE) CRC-32, the same one zlib and zip use. Pass the crc from a previous call to continue it over more data.
+   */
+  function crc32(data, crc)
+  {
+    var i;
+    if(!crcTable)
+    {
+      crcTable = new Uint32Array(256);
+      for(i=0; i < 256; i++)
+      {
+        var c = i;
+        for(var k=0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        crcTable[i] = c;
+      }
+    }
+
+    crc = (crc || 0) ^ 0xFFFFFFFF;
+    for(i=0; i < data.length; i++)
+      crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * Raw deflate (RFC 1951), for compressing the new data in patch documents. In node the zlib module does the work. Browsers have CompressionStream,
+   * but like WebCrypto it's only async, and patch documents are made and applied synchronously, so everywhere else it's done here in js.
+   * The js deflate only uses the fixed Huffman codes, which keeps it short. It compresses a bit worse than zlib, but the output is standard
+   * deflate either way, and the inflate below reads anything zlib makes.
+   */
+  var nodeZlib = null;
+  if(typeof process != "undefined" && process.versions && process.versions.node && typeof require == "function")
+  {
+    try { nodeZlib = require("zlib"); }
+    catch(err) { nodeZlib = null; }
+  }
+
+  var LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+  var LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+  var DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+  var DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+  var CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+  var DEFLATE_WINDOW = 32768;
+  var MAX_MATCH = 258;
+  var MAX_CHAIN = 32; //how many earlier positions with the same hash are tried for each match. More compresses a little better, and a lot slower
+  var fixedCodes = null;
+
+  //the code lengths of the fixed Huffman codes, literal/length codes first then distance codes
+  function fixedCodeLengths()
+  {
+    var lengths = new Uint8Array(288 + 30);
+    lengths.fill(8, 0, 144);
+    lengths.fill(9, 144, 256);
+    lengths.fill(7, 256, 280);
+    lengths.fill(8, 280, 288);
+    lengths.fill(5, 288);
+    return lengths;
+  }
+
+  /**
+   * Canonical Huffman code from a list of code lengths, set up for decoding: counts[n] is how many codes are n bits long, and symbols are in code order.
+   */
+  function huffmanTable(lengths)
+  {
+    var counts = new Uint16Array(16);
+    var offsets = new Uint16Array(16);
+    var symbols = new Uint16Array(lengths.length);
+    var i;
+    for(i = 0; i < lengths.length; i++) counts[lengths[i]]++;
+    counts[0] = 0;
+    for(i = 1; i < 16; i++) offsets[i] = offsets[i - 1] + counts[i - 1];
+    for(i = 0; i < lengths.length; i++)
+      if(lengths[i]) symbols[offsets[lengths[i]]++] = i;
+    return {counts: counts, symbols: symbols};
+  }
+
+  /**
+   * Compress data (a Uint8Array) with raw deflate. Returns a Uint8Array.
+   */
+  function deflate(data)
+  {
+    var length = data.length;
+    //matches are only used when they're shorter than the literals they replace, so the output is never more than 9 bits per byte plus the block header
+    var out = new Uint8Array(length + (length >> 3) + 8);
+    var outLength = 0;
+    var bitBuffer = 0;
+    var bitCount = 0;
+    var head = new Int32Array(DEFLATE_WINDOW);
+    var chain = new Int32Array(length);
+    var i, j, k;
+
+    if(!fixedCodes)
+    {
+      //Huffman codes are packed starting from their most significant bit, everything else in deflate from the least, so the codes are stored reversed
+      var lengths = fixedCodeLengths();
+      var next = new Uint16Array(16);
+      var code = 0;
+      var counts = huffmanTable(lengths.subarray(0, 288)).counts;
+      fixedCodes = {codes: new Uint16Array(318), lengths: lengths, lengthSymbols: new Uint8Array(MAX_MATCH + 1)};
+      for(i = 1; i < 16; i++)
+      {
+        code = (code + counts[i - 1]) << 1;
+        next[i] = code;
+      }
+      for(i = 0; i < 318; i++)
+      {
+        if(i == 288) next[5] = 0; //distance codes are a separate code
+        var value = next[lengths[i]]++;
+        var reversed = 0;
+        for(j = 0; j < lengths[i]; j++) reversed |= ((value >> j) & 1) << (lengths[i] - 1 - j);
+        fixedCodes.codes[i] = reversed;
+      }
+      for(i = 0; i < LENGTH_BASE.length; i++)
+        for(j = LENGTH_BASE[i]; j < LENGTH_BASE[i] + (1 << LENGTH_EXTRA[i]) && j <= MAX_MATCH; j++) fixedCodes.lengthSymbols[j] = i;
+    }
+    var codes = fixedCodes.codes;
+    var codeLengths = fixedCodes.lengths;
+
+    function put(value, count)
+    {
+      bitBuffer |= value << bitCount;
+      bitCount += count;
+      while(bitCount >= 8)
+      {
+        out[outLength++] = bitBuffer & 0xFF;
+        bitBuffer >>>= 8;
+        bitCount -= 8;
+      }
+    }
+
+    function hash(position)
+    {
+      return ((data[position] << 10) ^ (data[position + 1] << 5) ^ data[position + 2]) & (DEFLATE_WINDOW - 1);
+    }
+
+    function insert(position)
+    {
+      if(position + 2 >= length) return;
+      var h = hash(position);
+      chain[position] = head[h] - 1;
+      head[h] = position + 1; //head is zeroed to start with, so positions are stored 1 based
+    }
+
+    put(1, 1); //last block
+    put(1, 2); //fixed Huffman codes
+    i = 0;
+    while(i < length)
+    {
+      var bestLength = 0;
+      var bestDistance = 0;
+      if(i + 2 < length)
+      {
+        var maxLength = Math.min(MAX_MATCH, length - i);
+        var candidate = head[hash(i)] - 1;
+        for(k = 0; k < MAX_CHAIN && candidate >= 0 && i - candidate <= DEFLATE_WINDOW; k++)
+        {
+          if(data[candidate + bestLength] == data[i + bestLength])
+          {
+            for(j = 0; j < maxLength && data[candidate + j] == data[i + j]; j++);
+            if(j > bestLength)
+            {
+              bestLength = j;
+              bestDistance = i - candidate;
+              if(j == maxLength) break;
+            }
+          }
+          candidate = chain[candidate];
+        }
+      }
+
+      var lengthSymbol = 0;
+      var distanceSymbol = 0;
+      if(bestLength >= 3)
+      {
+        lengthSymbol = fixedCodes.lengthSymbols[bestLength];
+        for(distanceSymbol = DISTANCE_BASE.length - 1; DISTANCE_BASE[distanceSymbol] > bestDistance; distanceSymbol--);
+        var matchBits = codeLengths[257 + lengthSymbol] + LENGTH_EXTRA[lengthSymbol] + 5 + DISTANCE_EXTRA[distanceSymbol];
+        var literalBits = 0;
+        for(j = 0; j < bestLength; j++) literalBits += codeLengths[data[i + j]];
+        if(matchBits >= literalBits) bestLength = 0;
+      }
+
+      if(bestLength >= 3)
+      {
+        put(codes[257 + lengthSymbol], codeLengths[257 + lengthSymbol]);
+        put(bestLength - LENGTH_BASE[lengthSymbol], LENGTH_EXTRA[lengthSymbol]);
+        put(codes[288 + distanceSymbol], 5);
+        put(bestDistance - DISTANCE_BASE[distanceSymbol], DISTANCE_EXTRA[distanceSymbol]);
+        for(j = 0; j < bestLength; j++) insert(i + j);
+        i += bestLength;
+      }
+      else
+      {
+        put(codes[data[i]], codeLengths[data[i]]);
+        insert(i);
+        i++;
+      }
+    }
+    put(codes[256], codeLengths[256]); //end of block
+    if(bitCount > 0) put(0, 8 - bitCount);
+    return out.subarray(0, outLength);
+  }
+
+  /**
+   * Decompress raw deflate data (a Uint8Array) that's known to expand to size bytes. Handles all three kinds of block. Returns a Uint8Array.
+   * Throws a BSyncFormatError if the data is bad, or doesn't come out to the right size.
+   */
+  function inflate(data, size)
+  {
+    var out = new Uint8Array(size);
+    var outLength = 0;
+    var position = 0;
+    var bitBuffer = 0;
+    var bitCount = 0;
+    var last, type, i;
+
+    function fail()
+    {
+      throw new BSyncFormatError("Compressed data in patch document is corrupt, or doesn't match its size");
+    }
+
+    function bits(count)
+    {
+      while(bitCount < count)
+      {
+        if(position >= data.length) fail();
+        bitBuffer |= data[position++] << bitCount;
+        bitCount += 8;
+      }
+      var value = bitBuffer & ((1 << count) - 1);
+      bitBuffer >>>= count;
+      bitCount -= count;
+      return value;
+    }
+
+    //one bit at a time, working out the canonical code as it goes
+    function decode(table)
+    {
+      var code = 0;
+      var first = 0;
+      var index = 0;
+      for(var length = 1; length < 16; length++)
+      {
+        code |= bits(1);
+        var count = table.counts[length];
+        if(code - first < count) return table.symbols[index + code - first];
+        index += count;
+        first = (first + count) << 1;
+        code <<= 1;
+      }
+      fail();
+    }
+
+    function codes(literals, distances)
+    {
+      for(;;)
+      {
+        var symbol = decode(literals);
+        if(symbol < 256)
+        {
+          if(outLength >= size) fail();
+          out[outLength++] = symbol;
+        }
+        else if(symbol == 256) return;
+        else
+        {
+          symbol -= 257;
+          if(symbol >= LENGTH_BASE.length) fail();
+          var length = LENGTH_BASE[symbol] + bits(LENGTH_EXTRA[symbol]);
+          symbol = decode(distances);
+          if(symbol >= DISTANCE_BASE.length) fail();
+          var distance = DISTANCE_BASE[symbol] + bits(DISTANCE_EXTRA[symbol]);
+          if(distance > outLength || outLength + length > size) fail();
+          //the copy can overlap what it's writing, so it has to go a byte at a time
+          for(; length > 0; length--, outLength++) out[outLength] = out[outLength - distance];
+        }
+      }
+    }
+
+    do
+    {
+      last = bits(1);
+      type = bits(2);
+      if(type == 0)
+      {
+        //stored block, starts on a byte boundary
+        bitBuffer = 0;
+        bitCount = 0;
+        if(position + 4 > data.length) fail();
+        var length = data[position] | (data[position + 1] << 8);
+        if((length ^ 0xFFFF) != (data[position + 2] | (data[position + 3] << 8))) fail();
+        position += 4;
+        if(position + length > data.length || outLength + length > size) fail();
+        out.set(data.subarray(position, position + length), outLength);
+        position += length;
+        outLength += length;
+      }
+      else if(type == 1)
+      {
+        var lengths = fixedCodeLengths();
+        codes(huffmanTable(lengths.subarray(0, 288)), huffmanTable(lengths.subarray(288)));
+      }
+      else if(type == 2)
+      {
+        var literalCount = bits(5) + 257;
+        var distanceCount = bits(5) + 1;
+        var codeLengthCount = bits(4) + 4;
+        var codeLengths = new Uint8Array(19);
+        for(i = 0; i < codeLengthCount; i++) codeLengths[CODE_LENGTH_ORDER[i]] = bits(3);
+        var codeLengthTable = huffmanTable(codeLengths);
+        var dynamicLengths = new Uint8Array(literalCount + distanceCount);
+        i = 0;
+        while(i < dynamicLengths.length)
+        {
+          var symbol = decode(codeLengthTable);
+          if(symbol < 16)
+          {
+            dynamicLengths[i++] = symbol;
+            continue;
+          }
+          var repeat, value = 0;
+          if(symbol == 16)
+          {
+            if(i == 0) fail();
+            value = dynamicLengths[i - 1];
+            repeat = 3 + bits(2);
+          }
+          else if(symbol == 17) repeat = 3 + bits(3);
+          else repeat = 11 + bits(7);
+          if(i + repeat > dynamicLengths.length) fail();
+          dynamicLengths.fill(value, i, i + repeat);
+          i += repeat;
+        }
+        codes(huffmanTable(dynamicLengths.subarray(0, literalCount)), huffmanTable(dynamicLengths.subarray(literalCount)));
+      }
+      else fail();
+    } while(!last);
+
+    if(outLength != size) fail();
+    return out;
+  }
+
+  //zlib when there is one, the js versions above when there isn't
+  function compress(data)
+  {
+    if(!nodeZlib) return deflate(data);
+    var compressed = nodeZlib.deflateRawSync(data);
+    return new Uint8Array(compressed.buffer, compressed.byteOffset, compressed.length);
+  }
+
+  function decompress(data, size)
+  {
+    if(!nodeZlib) return inflate(data, size);
+    var decompressed;
+    try { decompressed = nodeZlib.inflateRawSync(data, {maxOutputLength: Math.max(size, 1)}); }
+    catch(err) { decompressed = null; }
+    if(!decompressed || decompressed.length != size)
+      throw new BSyncFormatError("Compressed data in patch document is corrupt, or doesn't match its size");
+    return new Uint8Array(decompressed.buffer, decompressed.byteOffset, decompressed.length);
+  }
+
+  /**
+   * Every document is wrapped in a header and a trailer, so it can be identified and checked before it's used. Everything is little endian.
+   *
+   * Header (8 bytes, which keeps the body 4 byte aligned):
+   *   4 bytes - magic, "BSYN"
+   *   1 byte  - format version of the body
+   *   1 byte  - document type, "C" for checksum documents, "P" for patch documents, "M" for manifests and "B" for manifest patches
+   *   2 bytes - flags. Each type of document has its own, see createPatchDocument. Zero if there aren't any.
+   * Body - see createChecksumDocument, createPatchDocument and createManifest
+   * Trailer (8 bytes, at the end so the document can be written as a stream):
+   *   4 bytes - length of the whole document, header and trailer included
+   *   4 bytes - CRC-32 of everything before it
+   *
+   * Documents from before the header existed (they start right in with the block size) are still read, as version 1 of their type. There's no
+   * checking them of course, other than making sure their structure adds up.
+   */
+  var MAGIC = [0x42, 0x53, 0x59, 0x4E]; //"BSYN"
+  var HEADER_SIZE = 8;
+  var TRAILER_SIZE = 8;
+  var DOCUMENT_CHECKSUM = 0x43; //"C"
+  var DOCUMENT_PATCH = 0x50; //"P"
+  var DOCUMENT_MANIFEST = 0x4D; //"M"
+  var DOCUMENT_MANIFEST_PATCH = 0x42; //"B", for batch
+  var DOCUMENT_NAMES = {};
+  DOCUMENT_NAMES[DOCUMENT_CHECKSUM] = "checksum document";
+  DOCUMENT_NAMES[DOCUMENT_PATCH] = "patch document";
+  DOCUMENT_NAMES[DOCUMENT_MANIFEST] = "manifest";
+  DOCUMENT_NAMES[DOCUMENT_MANIFEST_PATCH] = "manifest patch";
+  var CHECKSUM_DOCUMENT_VERSION = 4;
+  var PATCH_DOCUMENT_VERSION = 6;
+  var MANIFEST_VERSION = 1;
+  var MANIFEST_PATCH_VERSION = 1;
+
+  function documentHeader(type, version, flags)
+  {
+    var header = new Uint8Array(HEADER_SIZE);
+    header.set(MAGIC);
+    header[4] = version;
+    header[5] = type;
+    header[6] = (flags || 0) & 0xFF;
+    header[7] = (flags || 0) >>> 8;
+    return header.buffer;
+  }
+
+  /**
+   * Write the header and trailer into a document that was allocated with room for them
+   */
+  function sealDocument(document, type, version, flags)
+  {
+    var view = new Uint8Array(document);
+    view.set(new Uint8Array(documentHeader(type, version, flags)), 0);
+    writeInt32(view, view.length - TRAILER_SIZE, view.length);
+    writeInt32(view, view.length - 4, crc32(view.subarray(0, view.length - 4)));
+  }
+
+  /**
+   * For documents that are written a piece at a time. Every piece goes through add() (which hands it back), in order, header included.
+   * trailer() gives the final piece.
+   */
+  function createDocumentWriter()
+  {
+    var crc = 0;
+    var length = 0;
+
+    function add(piece)
+    {
+      crc = crc32(new Uint8Array(piece), crc);
+      length += piece.byteLength;
+      return piece;
+    }
+
+    function trailer()
+    {
+      var view = new Uint8Array(TRAILER_SIZE);
+      writeInt32(view, 0, length + TRAILER_SIZE);
+      writeInt32(view, 4, crc32(view.subarray(0, 4), crc));
+      return view.buffer;
+    }
+
+    return {add: add, trailer: trailer};
+  }
+
+  function hasMagic(view)
+  {
+    return view.length >= MAGIC.length && view[0] == MAGIC[0] && view[1] == MAGIC[1] && view[2] == MAGIC[2] && view[3] == MAGIC[3];
+  }
+
+  /**
+   * Check a document's header against the type that was expected, and that it's a version we understand. Used by openDocument, and when a document is streamed in.
+   */
+  function checkDocumentHeader(header, type, supportedVersion)
+  {
+    var name = DOCUMENT_NAMES[type];
+    if(header[5] != type)
+      throw new BSyncFormatError("Expected a " + name + ", but got " +
+                                 (DOCUMENT_NAMES[header[5]] ? "a " + DOCUMENT_NAMES[header[5]] : "an unknown type of document (" + header[5] + ")"));
+    if(header[4] == 0 || header[4] > supportedVersion)
+    {
+      var err = new BSyncVersionError("This " + name + " is format version " + header[4] + ", but only versions up to " + supportedVersion +
+                                      " are supported. It was probably made by a newer version of bit-sync.");
+      err.version = header[4];
+      err.supportedVersion = supportedVersion;
+      throw err;
+    }
+  }
+
+  /**
+   * Check a whole document, and find its body. Returns {version, flags, body, legacy}, where body is a Uint8Array view of the body, and legacy means
+   * the document is from before there was a header.
+   */
+  function openDocument(document, type, supportedVersion)
+  {
+    var view = toUint8Array(decodeDocument(document));
+    var name = DOCUMENT_NAMES[type];
+
+    if(!hasMagic(view))
+      return {version: 1, flags: 0, body: view, legacy: true};
+
+    if(view.length < HEADER_SIZE + TRAILER_SIZE)
+      throw new BSyncFormatError("This " + name + " has been truncated, it's only " + view.length + " bytes long");
+    checkDocumentHeader(view, type, supportedVersion);
+
+    var length = readInt32(view, view.length - TRAILER_SIZE);
+    if(length != view.length)
+      throw new BSyncFormatError("This " + name + " should be " + length + " bytes long, but it's " + view.length + ". It has probably been truncated.");
+    if(crc32(view.subarray(0, view.length - 4)) != readInt32(view, view.length - 4))
+      throw new BSyncFormatError("This " + name + " failed its CRC check, it has been corrupted");
+
+    return {version: view[4], flags: view[6] | (view[7] << 8), body: view.subarray(HEADER_SIZE, view.length - TRAILER_SIZE), legacy: false};
+  }
+
+  /**
+   * Documents are binary, which doesn't suit everything they have to pass through. encodeDocument turns one into text:
+   *   base64 - standard base64, with padding
+   *   base64url - the URL and filename safe alphabet (- and _ instead of + and /), without padding
+   *   json - a JSON object {bsync, version, flags, body}, where bsync is the type of document ("checksum", "patch", "manifest", "manifestPatch", or
+   *          "legacy" for one from before there was a header, which doesn't say what it is) and body is the body in base64. The header and trailer are left out since they can be
+   *          worked out again, so nothing is lost.
+   * decodeDocument takes any of those back to an ArrayBuffer (JSON either as a string or already parsed), and hands binary documents back as they are.
+   * Everything that takes a whole document goes through it, so the encoded forms can be passed straight in.
+   */
+  var BASE64 = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+  var BASE64_URL = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_";
+  var BASE64_VALUES = {};
+  for(var base64Index = 0; base64Index < 64; base64Index++)
+  {
+    BASE64_VALUES[BASE64.charAt(base64Index)] = base64Index;
+    BASE64_VALUES[BASE64_URL.charAt(base64Index)] = base64Index;
+  }
+  var JSON_TYPES = {checksum: DOCUMENT_CHECKSUM, patch: DOCUMENT_PATCH, manifest: DOCUMENT_MANIFEST, manifestPatch: DOCUMENT_MANIFEST_PATCH};
+  var JSON_NAMES = {};
+  for(var jsonName in JSON_TYPES) JSON_NAMES[JSON_TYPES[jsonName]] = jsonName;
+
+  function base64Encode(view, alphabet, pad)
+  {
+    var out = [];
+    var i, n;
+    for(i = 0; i + 2 < view.length; i += 3)
+    {
+      n = (view[i] << 16) | (view[i + 1] << 8) | view[i + 2];
+      out.push(alphabet.charAt(n >>> 18) + alphabet.charAt((n >>> 12) & 63) + alphabet.charAt((n >>> 6) & 63) + alphabet.charAt(n & 63));
+    }
+    if(view.length - i == 1)
+    {
+      n = view[i] << 16;
+      out.push(alphabet.charAt(n >>> 18) + alphabet.charAt((n >>> 12) & 63) + (pad ? "==" : ""));
+    }
+    else if(view.length - i == 2)
+    {
+      n = (view[i] << 16) | (view[i + 1] << 8);
+      out.push(alphabet.charAt(n >>> 18) + alphabet.charAt((n >>> 12) & 63) + alphabet.charAt((n >>> 6) & 63) + (pad ? "=" : ""));
+    }
+    return out.join("");
+  }
+
+  //either alphabet, with or without padding. Whitespace is skipped, so line wrapped base64 is fine
+  function base64Decode(text)
+  {
+    text = text.replace(/\s+/g, "").replace(/=+$/, "");
+    if(text.length % 4 == 1)
+      throw new BSyncFormatError("Base64 document is the wrong length, it may have been truncated");
+    var view = new Uint8Array(Math.floor(text.length * 3 / 4));
+    var bits = 0;
+    var count = 0;
+    var position = 0;
+    for(var i = 0; i < text.length; i++)
+    {
+      var value = BASE64_VALUES[text.charAt(i)];
+      if(value === undefined)
+        throw new BSyncFormatError("Base64 document has a character that isn't base64 at " + i + ": " + JSON.stringify(text.charAt(i)));
+      bits = (bits << 6) | value;
+      count += 6;
+      if(count >= 8)
+      {
+        count -= 8;
+        view[position++] = (bits >>> count) & 0xFF;
+      }
+    }
+    return view.buffer;
+  }
+
+  function encodeDocument(document, format)
+  {
+    var view = toUint8Array(document);
+    format = format || "base64";
+    if(format == "base64") return base64Encode(view, BASE64, true);
+    if(format == "base64url") return base64Encode(view, BASE64_URL, false);
+    if(format != "json") throw new TypeError("Documents can be encoded as \"base64\", \"base64url\" or \"json\", got: " + format);
+
+    if(!hasMagic(view)) return JSON.stringify({bsync: "legacy", version: 1, flags: 0, body: base64Encode(view, BASE64, true)});
+    if(view.length < HEADER_SIZE + TRAILER_SIZE || !JSON_NAMES[view[5]])
+      throw new BSyncFormatError("Can't encode this as JSON, it isn't a whole bit-sync document");
+    return JSON.stringify({bsync: JSON_NAMES[view[5]], version: view[4], flags: view[6] | (view[7] << 8),
+                           body: base64Encode(view.subarray(HEADER_SIZE, view.length - TRAILER_SIZE), BASE64, true)});
+  }
+
+  function decodeDocument(encoded)
+  {
+    if(typeof encoded == "string")
+    {
+      if(!/^\s*\{/.test(encoded)) return base64Decode(encoded);
+      try { encoded = JSON.parse(encoded); }
+      catch(err) { throw new BSyncFormatError("JSON document couldn't be parsed: " + err.message); }
+    }
+    if(!encoded || typeof encoded.bsync != "string") return encoded;
+
+    if(typeof encoded.body != "string")
+      throw new BSyncFormatError("JSON document doesn't have a body");
+    var body = new Uint8Array(base64Decode(encoded.body));
+    if(encoded.bsync == "legacy") return body.buffer;
+    if(!JSON_TYPES[encoded.bsync])
+      throw new BSyncFormatError("JSON document is of an unknown type: " + encoded.bsync);
+    if(!(encoded.version >= 1 && encoded.version <= 255 && encoded.version % 1 == 0) || !(encoded.flags >= 0 && encoded.flags <= 65535 && encoded.flags % 1 == 0))
+      throw new BSyncFormatError("JSON document's version or flags are out of range");
+
+    var view = new Uint8Array(HEADER_SIZE + body.length + TRAILER_SIZE);
+    view.set(body, HEADER_SIZE);
+    sealDocument(view.buffer, JSON_TYPES[encoded.bsync], encoded.version, encoded.flags);
+    return view.buffer;
+  }
+
+  /**
+   * The strong hashes checksum documents can use, by name. Each one is {id, name, digestLength, digest}, where digest(Uint8Array) returns a Uint8Array
+   * of digestLength bytes. Hashes that can be worked out a piece at a time also have create(), which returns {update, digest} like createSha256 does. The id is what's written in the checksum document, so a hash's id can never change once documents have been made with it.
+   * Ids up to 127 are for the ones built in here, anything from 128 to 255 is free for registerStrongHash.
+   */
+  var strongHashes = {};
+  var strongHashesById = {};
+  var DEFAULT_STRONG_HASH = "md5";
+
+  /**
+   * Add a strong hash that checksum documents can be made with, {id, name, digestLength, digest}, see strongHashes above. Both sides of a sync need
+   * to have registered it.
+   */
+  function registerStrongHash(hash)
+  {
+    if(!hash || typeof hash.name != "string" || typeof hash.digest != "function")
+      throw new TypeError("A strong hash needs a name and a digest function");
+    if(!(hash.id >= 1 && hash.id <= 255 && hash.id % 1 == 0))
+      throw new TypeError("Strong hash ids are from 1 to 255, got: " + hash.id);
+    if(!(hash.digestLength >= 1 && hash.digestLength <= 255 && hash.digestLength % 1 == 0))
+      throw new TypeError("Strong hash digest lengths are from 1 to 255 bytes, got: " + hash.digestLength);
+    if(strongHashesById[hash.id] && strongHashesById[hash.id].name != hash.name)
+      throw new BSyncError("Strong hash id " + hash.id + " is already used by " + strongHashesById[hash.id].name);
+
+    strongHashes[hash.name] = hash;
+    strongHashesById[hash.id] = hash;
+  }
+
+  function getStrongHash(name)
+  {
+    var hash = strongHashes[name || DEFAULT_STRONG_HASH];
+    if(!hash) throw new BSyncError("Unknown strong hash: " + name);
+    return hash;
+  }
+
+  //in node, the crypto module's SHA-256 is much faster than doing it in js. WebCrypto is no use here, it only has an async api and
+  //the strong checksums are needed right in the middle of the (synchronous) rolling checksum search
+  var nodeCrypto = null;
+  if(typeof process != "undefined" && process.versions && process.versions.node && typeof require == "function")
+  {
+    try { nodeCrypto = require("crypto"); }
+    catch(err) { nodeCrypto = null; }
+  }
+
+  registerStrongHash({id: 1, name: "md5", digestLength: 16, digest: function(data)
+  {
+    var sum = md5(data);
+    var digest = new Uint8Array(16);
+    for(var j=0; j < 4; j++) writeInt32(digest, j * 4, sum[j]);
+    return digest;
+  }});
+  registerStrongHash({id: 2, name: "sha256", digestLength: 32, digest: nodeCrypto ? function(data)
+  {
+    return new Uint8Array(nodeCrypto.createHash("sha256").update(data).digest());
+  } : sha256, create: nodeCrypto ? function()
+  {
+    var hash = nodeCrypto.createHash("sha256");
+    var hasher = {
+      update: function(data) { hash.update(data); return hasher; },
+      digest: function() { return new Uint8Array(hash.digest()); }
+    };
+    return hasher;
+  } : createSha256});
+  registerStrongHash({id: 3, name: "xxhash64", digestLength: 8, digest: xxhash64});
+  //these two are for librsync signatures (see readRdiffSignature), there's no reason to pick them for anything else
+  registerStrongHash({id: 4, name: "md4", digestLength: 16, digest: md4});
+  registerStrongHash({id: 5, name: "blake2b256", digestLength: 32, digest: function(data) { return blake2b(data, 32); }});
+
+  /**
+   * Create a document that contains all of the checksum information for each block in the destination data. Everything is little endian
+   * Document structure (the body, between the header and trailer every document has, see openDocument):
+   * First 4 bytes = block size
+   * Next 4 bytes = number of blocks
+   * 1 byte = the id of the strong hash (see strongHashes)
+   * 1 byte = how many bytes of each strong hash digest are kept. Can be less than the full digest, see strongLength below
+   * 2 bytes = sub-block size, or zero if there are no sub-block hashes
+   * Repeat for number of blocks:
+   *   4 bytes, adler32 checksum
+   *   n bytes, the start of the strong hash digest
+   *   if there's a sub-block size, 4 bytes for each sub-block in a full sized block: see subBlockHash. They're zero for the sub-blocks
+   *   that are past the end of a short final block.
+   *
+   * Version 1 checksum documents didn't have the hash id or length, they were always the full md5. Version 2 didn't have sub-blocks.
+   * The document is written as version 2 unless it has sub-blocks (version 3) or line-aware blocks (version 4), so receivers that haven't been updated
+   * can still read it.
+   *
+   * Flags in the header, from version 4 on:
+   *   1 - lines. The blocks are line-aware (see createLineChunker), so they aren't all blockSize long, and patches made from it have to be applied the same way.
+   *
+   * blockSize can be a number of bytes, or "auto" (the default if it's left out) to have chooseBlockSize pick one. It's possible to leave it out
+   * altogether and just call createChecksumDocument(data, options).
+   *
+   * Options:
+   *   hash         - the name of the strong hash to use, "md5" (the default), "sha256", "xxhash64", or one added with registerStrongHash.
+   *   strongLength - keep only this many bytes of each strong hash digest, like rsync's s2length, to make the document smaller. Or "auto" to pick the
+   *                  length from the size of the data and the block size, see autoStrongLength. The default is the whole digest.
+   *   subBlockSize - also hash each block in pieces of this size (up to 65535 bytes, and no bigger than a block). That lets createPatchDocument send just the
+   *                  changed parts of a modified block, rather than the whole thing. It costs 4 bytes per sub-block in the document.
+   *   encoding     - if data is a string, how it's encoded, see encodeText.
+   *   lines        - true for line-aware blocks, which end at the end of a line (see createLineChunker). For text, that keeps the blocks after an edit
+   *                  lined up with the destination's, without the rolling search. It can't be used with subBlockSize.
+   */
+  function createChecksumDocument(blockSize, data, options)
+  {
+    if(blockSize !== null && (typeof blockSize == "object" || (typeof blockSize == "string" && blockSize != "auto")))
+    {
+      options = data;
+      data = blockSize;
+      blockSize = "auto";
+    }
+    options = options || {};
+    data = textToBinary(data, options.encoding);
+    blockSize = resolveBlockSize(blockSize, data.byteLength);
+    var strongHash = getStrongHash(options.hash);
+    var strongLength = resolveStrongLength(options.strongLength, strongHash, data.byteLength, blockSize);
+    var layout = checksumLayout(blockSize, strongHash, strongLength, options.subBlockSize, options.lines);
+    var dataView = new Uint8Array(data);
+    var ends = layout.lines ? lineBlockEnds(dataView, blockSize) : null;
+    var numBlocks = ends ? ends.length : Math.ceil(data.byteLength / blockSize);
+
+    var doc = new ArrayBuffer(HEADER_SIZE + CHECKSUM_HEADER_SIZE + (numBlocks * layout.entrySize) + TRAILER_SIZE);
+    var docView = new Uint8Array(doc);
+    var offset = HEADER_SIZE + CHECKSUM_HEADER_SIZE;
+
+    docView.set(checksumHeader(numBlocks, layout), HEADER_SIZE);
+    if(ends) writeLineChecksumEntries(docView, offset, dataView, layout, ends, 0, numBlocks);
+    else writeChecksumEntries(docView, offset, dataView, layout);
+
+    sealDocument(doc, DOCUMENT_CHECKSUM, layout.version, layout.flags);
+    return doc;
+
+  }
+
+  var CHECKSUM_HEADER_SIZE = 12;
+  var CHECKSUM_FLAG_LINES = 1;
+  var MIN_AUTO_BLOCK_SIZE = 700; //the same bounds rsync uses
+  var MAX_AUTO_BLOCK_SIZE = 131072;
+
+  /**
+   * Pick a block size for data of the given length, the way rsync does: the square root of the length, rounded down to a multiple of 8, and kept
+   * between MIN_AUTO_BLOCK_SIZE and MAX_AUTO_BLOCK_SIZE. That balances the size of the checksum document (more blocks) against the size of the patch
+   * (bigger blocks to resend when something in them changes). Never bigger than the data itself.
+   */
+  function chooseBlockSize(length)
+  {
+    if(!(length >= 0))
+      throw new TypeError("Expected the length of the data in bytes, got: " + length);
+    var blockSize = Math.floor(Math.sqrt(length) / 8) * 8;
+    blockSize = Math.max(MIN_AUTO_BLOCK_SIZE, Math.min(MAX_AUTO_BLOCK_SIZE, blockSize));
+    return Math.max(1, Math.min(blockSize, length));
+  }
+
+  //turn the blockSize argument into a number of bytes. length is only needed for "auto"
+  function resolveBlockSize(blockSize, length)
+  {
+    if(blockSize === undefined || blockSize === null || blockSize == "auto") return chooseBlockSize(length);
+    if(!(blockSize >= 1 && blockSize <= 0xFFFFFFFF && blockSize % 1 == 0))
+      throw new TypeError("blockSize should be \"auto\" or a whole number of bytes, got: " + blockSize);
+    return blockSize;
+  }
+  var STRONG_LENGTH_BIAS = 10; //see autoStrongLength
+  var MIN_STRONG_LENGTH = 2;
+
+  /**
+   * How many bytes of each strong hash to keep for "auto", worked out the same way rsync does it. The more blocks there are in the destination, and the
+   * more places in the source they could turn up, the more likely a false match is, so the number of bits needed grows with 2 * log2(length) - log2(blockSize).
+   * STRONG_LENGTH_BIAS bits on top of that keep the odds of a false match anywhere in the file at around 1 in 2^10, and the 32 bits of the adler32 are
+   * already doing some of the work. Never less than MIN_STRONG_LENGTH bytes, or more than the whole digest.
+   *
+   * False matches are still possible, that's the tradeoff. applyPatch catches them when it checks the result against the source's hash.
+   */
+  function autoStrongLength(length, blockSize, digestLength)
+  {
+    var bits = STRONG_LENGTH_BIAS;
+    var remaining;
+    for(remaining = length; remaining >= 2; remaining = Math.floor(remaining / 2)) bits += 2;
+    for(remaining = blockSize; remaining >= 2 && bits > 0; remaining = Math.floor(remaining / 2)) bits--;
+    var bytes = Math.floor((bits + 1 - 32 + 7) / 8);
+    return Math.min(Math.max(bytes, MIN_STRONG_LENGTH), digestLength);
+  }
+
+  //turn the strongLength option into a number of bytes
+  function resolveStrongLength(strongLength, strongHash, length, blockSize)
+  {
+    if(strongLength === undefined || strongLength === null) return strongHash.digestLength;
+    if(strongLength == "auto") return autoStrongLength(length, blockSize, strongHash.digestLength);
+    if(!(strongLength >= 1 && strongLength <= strongHash.digestLength && strongLength % 1 == 0))
+      throw new TypeError("strongLength should be \"auto\" or from 1 to " + strongHash.digestLength + " for " + strongHash.name + ", got: " + strongLength);
+    return strongLength;
+  }
+
+  /**
+   * Everything needed to read or write the block entries of a checksum document: {version, flags, blockSize, strongHash, strongLength, subBlockSize,
+   * subBlockCount, entrySize, lines}, where subBlockCount is the number of sub-block hashes in each entry and lines means the blocks are line-aware
+   * (see createLineChunker).
+   */
+  function checksumLayout(blockSize, strongHash, strongLength, subBlockSize, lines)
+  {
+    subBlockSize = subBlockSize || 0;
+    if(!(subBlockSize >= 0 && subBlockSize <= 65535 && subBlockSize <= blockSize && subBlockSize % 1 == 0))
+      throw new TypeError("subBlockSize should be a whole number of bytes, up to 65535 and no bigger than the block size (" + blockSize + "), got: " + subBlockSize);
+    //sub-blocks are found by where they sit in a full sized block, which line-aware blocks don't have
+    if(lines && subBlockSize)
+      throw new TypeError("Line-aware blocks can't have sub-blocks");
+    var subBlockCount = subBlockSize ? Math.ceil(blockSize / subBlockSize) : 0;
+    return {
+      version: lines ? CHECKSUM_DOCUMENT_VERSION : subBlockSize ? 3 : 2,
+      flags: lines ? CHECKSUM_FLAG_LINES : 0,
+      lines: !!lines,
+      blockSize: blockSize,
+      strongHash: strongHash,
+      strongLength: strongLength,
+      subBlockSize: subBlockSize,
+      subBlockCount: subBlockCount,
+      entrySize: 4 + strongLength + (subBlockCount * 4) //4 bytes for the adler32 plus the strong hash, plus the sub-blocks
+    };
+  }
+
+  //the start of the checksum document body, see createChecksumDocument
+  function checksumHeader(numBlocks, layout)
+  {
+    var header = new Uint8Array(CHECKSUM_HEADER_SIZE);
+    writeInt32(header, 0, layout.blockSize);
+    writeInt32(header, 4, numBlocks);
+    header[8] = layout.strongHash.id;
+    header[9] = layout.strongLength;
+    header[10] = layout.subBlockSize & 0xFF;
+    header[11] = layout.subBlockSize >>> 8;
+    return header;
+  }
+
+  function writeChecksumEntry(docView, offset, block, layout)
+  {
+    var i;
+    writeInt32(docView, offset, adler32(0, block.length - 1, block).checksum);
+    docView.set(layout.strongHash.digest(block).subarray(0, layout.strongLength), offset + 4);
+    offset += 4 + layout.strongLength;
+    for(i = 0; i < layout.subBlockCount && i * layout.subBlockSize < block.length; i++)
+      writeInt32(docView, offset + i * 4, subBlockHash(block.subarray(i * layout.subBlockSize, (i + 1) * layout.subBlockSize)));
+  }
+
+  //spin through the data and write the checksums for each block, one entry after another from offset
+  function writeChecksumEntries(docView, offset, dataView, layout)
+  {
+    for(var start = 0; start < dataView.length; start += layout.blockSize)
+    {
+      writeChecksumEntry(docView, offset, dataView.subarray(start, Math.min(start + layout.blockSize, dataView.length)), layout);
+      offset += layout.entrySize;
+    }
+  }
+
+  /**
+   * Line-aware blocks, for text. Instead of every block being blockSize long, blocks end at the end of a line (a \n byte), so an edit only changes the
+   * blocks of the lines it touches, and every block after it lines up again. Whether a block ends after a line is decided by the line itself: the line's
+   * CRC-32 has a chance of ending the block that's its length out of blockSize. So blocks come out about blockSize long on average, and since the choice
+   * doesn't depend on anything before the line, the same lines always split the same way wherever they are. Lines longer than blockSize are cut into
+   * blockSize pieces from the start of the line, and a block that gets to MAX_LINE_BLOCKS times blockSize without ending is cut there.
+   *
+   * The data doesn't have to be text, \n is just a byte, but data with few of them ends up cut into blockSize pieces with nothing to realign them.
+   *
+   * createLineChunker takes the data a piece at a time and calls onBlock(length) for each block, in order. finish() ends the last one.
+   */
+  var MAX_LINE_BLOCKS = 4;
+  var NEWLINE = 0x0A;
+
+  function createLineChunker(blockSize, onBlock)
+  {
+    var maxBlock = blockSize * MAX_LINE_BLOCKS;
+    var blockLength = 0;
+    var lineLength = 0; //since the start of the line, or the last cut in it
+    var lineCrc = 0;
+
+    function endBlock()
+    {
+      onBlock(blockLength);
+      blockLength = 0;
+    }
+
+    function push(view)
+    {
+      var position = 0;
+      while(position < view.length)
+      {
+        var limit = Math.min(view.length, position + blockSize - lineLength, position + maxBlock - blockLength);
+        var newline = view.indexOf(NEWLINE, position);
+        var end = newline >= 0 && newline < limit ? newline + 1 : limit;
+        lineCrc = crc32(view.subarray(position, end), lineCrc);
+        lineLength += end - position;
+        blockLength += end - position;
+        position = end;
+
+        if(newline >= 0 && newline < limit)
+        {
+          var ends = lineCrc < lineLength * (0x100000000 / blockSize);
+          lineLength = 0;
+          lineCrc = 0;
+          if(ends || blockLength == maxBlock) endBlock();
+        }
+        else if(lineLength == blockSize)
+        {
+          lineLength = 0;
+          lineCrc = 0;
+          endBlock();
+        }
+        else if(blockLength == maxBlock) endBlock();
+      }
+    }
+
+    function finish()
+    {
+      if(blockLength > 0) endBlock();
+    }
+
+    return {push: push, finish: finish};
+  }
+
+  //where each line-aware block of the data ends
+  function lineBlockEnds(dataView, blockSize)
+  {
+    var ends = [];
+    var position = 0;
+    var chunker = createLineChunker(blockSize, function(length) { ends.push(position += length); });
+    chunker.push(dataView);
+    chunker.finish();
+    return ends;
+  }
+
+  //the same as writeChecksumEntries, for the line-aware blocks from first up to (not including) last
+  function writeLineChecksumEntries(docView, offset, dataView, layout, ends, first, last)
+  {
+    for(var i = first; i < last; i++)
+    {
+      writeChecksumEntry(docView, offset, dataView.subarray(i ? ends[i - 1] : 0, ends[i]), layout);
+      offset += layout.entrySize;
+    }
+  }
+
+  /**
+   * The hash of a sub-block, the first 4 bytes of its xxHash64. Sub-blocks are only ever compared against the few in the part of the destination a
+   * patch is working on, so 4 bytes is plenty, and anything that slips through is caught by checking the whole file.
+   */
+  function subBlockHash(subBlock)
+  {
+    return readInt32(xxhash64(subBlock), 0);
+  }
+
+  /**
+   * Parallel version of createChecksumDocument, for big destinations on machines with cores to spare. The data is split into runs of whole blocks, and a
+   * pool of workers (worker_threads in node, Web Workers in browsers) hashes them at the same time. The entries come back in whatever order the workers
+   * finish, and are put in their place in the document, so it's byte for byte identical to what createChecksumDocument produces.
+   *
+   * If data is a SharedArrayBuffer the workers read it where it is. Otherwise each run of blocks is copied, and the copy is transferred to the worker
+   * rather than cloned, so the data is only copied once. The data passed in is never detached.
+   *
+   * Options:
+   *   hash, strongLength, subBlockSize, encoding - same as createChecksumDocument. Hashes added with registerStrongHash only exist on this thread, so
+   *               documents that use them are always made here.
+   *   lines     - same as createChecksumDocument. Finding line-aware blocks means going through the data in order, so these are always made here too.
+   *   workers   - how many workers to use. Defaults to the number of cores, less one for this thread. 0 means do it all here.
+   *   workerUrl - browsers only. The url of bit-sync.js, for the workers to load. Defaults to the src of the script tag that loaded it.
+   *
+   * If there aren't any workers to be had (0 asked for, no cores to spare, or no worker support), it falls back to createChecksumDocument.
+   * Returns a promise for the document either way. The workers are shut down before it resolves.
+   */
+  function createChecksumDocumentParallel(blockSize, data, options)
+  {
+    if(blockSize !== null && (typeof blockSize == "object" || (typeof blockSize == "string" && blockSize != "auto")))
+    {
+      options = data;
+      data = blockSize;
+      blockSize = "auto";
+    }
+    options = options || {};
+
+    var layout;
+    try
+    {
+      data = textToBinary(data, options.encoding);
+      blockSize = resolveBlockSize(blockSize, data.byteLength);
+      var strongHash = getStrongHash(options.hash);
+      layout = checksumLayout(blockSize, strongHash, resolveStrongLength(options.strongLength, strongHash, data.byteLength, blockSize), options.subBlockSize, options.lines);
+    }
+    catch(err) { return Promise.reject(err); }
+
+    var numBlocks = Math.ceil(data.byteLength / blockSize);
+    var poolSize = Math.min(options.workers === undefined ? defaultWorkerCount() : options.workers, numBlocks);
+    var workerUrl = options.workerUrl || scriptUrl;
+    if(!(poolSize >= 1) || layout.strongHash.id >= 128 || layout.lines || !(nodeWorkerThreads || (typeof Worker != "undefined" && workerUrl)))
+    {
+      try { return Promise.resolve(createChecksumDocument(blockSize, data, options)); }
+      catch(err) { return Promise.reject(err); }
+    }
+
+    //a few jobs per worker, so one that gets a slow start doesn't hold everything up
+    var blocksPerJob = Math.ceil(numBlocks / (poolSize * JOBS_PER_WORKER));
+    var jobCount = Math.ceil(numBlocks / blocksPerJob);
+    var shared = typeof SharedArrayBuffer != "undefined" && data instanceof SharedArrayBuffer;
+    var doc = new ArrayBuffer(HEADER_SIZE + CHECKSUM_HEADER_SIZE + (numBlocks * layout.entrySize) + TRAILER_SIZE);
+    var docView = new Uint8Array(doc);
+    docView.set(checksumHeader(numBlocks, layout), HEADER_SIZE);
+
+    return new Promise(function(resolve, reject)
+    {
+      var pool = [];
+      var nextJob = 0;
+      var finished = 0;
+      var stopped = false;
+
+      function stop(err)
+      {
+        if(stopped) return;
+        stopped = true;
+        pool.forEach(function(worker) { worker.terminate(); });
+        if(err) return reject(err);
+        sealDocument(doc, DOCUMENT_CHECKSUM, layout.version);
+        resolve(doc);
+      }
+
+      function send(worker)
+      {
+        if(nextJob == jobCount) return;
+        var start = nextJob * blocksPerJob * blockSize;
+        var end = Math.min(start + blocksPerJob * blockSize, data.byteLength);
+        var job = {bsync: "checksums", job: nextJob++, blockSize: blockSize, hash: layout.strongHash.id, strongLength: layout.strongLength,
+                   subBlockSize: layout.subBlockSize, data: shared ? data : copyBytes(toUint8Array(data).subarray(start, end)), offset: shared ? start : 0, length: end - start};
+        worker.postMessage(job, shared ? [] : [job.data]);
+      }
+
+      function received(worker, message)
+      {
+        if(stopped || !message || message.bsync != "checksums") return;
+        if(message.error) return stop(new BSyncError("Checksum worker failed: " + message.error));
+        docView.set(new Uint8Array(message.entries), HEADER_SIZE + CHECKSUM_HEADER_SIZE + message.job * blocksPerJob * layout.entrySize);
+        if(++finished == jobCount) return stop();
+        send(worker);
+      }
+
+      try
+      {
+        for(var i = 0; i < poolSize; i++)
+        {
+          var worker = nodeWorkerThreads ? new nodeWorkerThreads.Worker(__filename, {workerData: {bsyncChecksumWorker: true}}) : new Worker(workerUrl);
+          pool.push(worker);
+          listen(worker, "message", received.bind(null, worker));
+          listen(worker, "error", function(err) { stop(err instanceof Error ? err : new BSyncError("Checksum worker failed: " + (err.message || err))); });
+          //a node worker that dies without an error (process.exit in a worker, say) only says so with exit. Browser workers don't have the event
+          listen(worker, "exit", function(code) { stop(new BSyncError("Checksum worker exited with code " + code + " before it was done")); });
+          send(worker);
+        }
+      }
+      catch(err) { stop(err); }
+    });
+  }
+
+  var JOBS_PER_WORKER = 4;
+
+  var nodeWorkerThreads = null;
+  var nodeOs = null;
+  if(typeof process != "undefined" && process.versions && process.versions.node && typeof require == "function" && typeof __filename != "undefined")
+  {
+    try
+    {
+      nodeWorkerThreads = require("worker_threads");
+      nodeOs = require("os");
+    }
+    catch(err) { nodeWorkerThreads = null; }
+  }
+  //workers in a browser need a url to load this from, and the only time to find out where it came from is while it's loading
+  var scriptUrl = (typeof document != "undefined" && document.currentScript) ? document.currentScript.src : null;
+
+  function defaultWorkerCount()
+  {
+    if(nodeOs) return nodeOs.cpus().length - 1;
+    if(typeof navigator != "undefined" && navigator.hardwareConcurrency) return navigator.hardwareConcurrency - 1;
+    return 0;
+  }
+
+  //node's workers and ports are event emitters that hand over the message itself, the browser's are event targets that wrap it in an event
+  function listen(target, type, handler)
+  {
+    if(target.on) target.on(type, handler);
+    else target.addEventListener(type, function(event) { handler(type == "message" ? event.data : event); });
+  }
+
+  /**
+   * The worker end of createChecksumDocumentParallel. Each job is a run of blocks, and the answer is their entries in the checksum document.
+   * Other messages are left alone, in case this was loaded into a worker that's doing something else as well.
+   */
+  function serveChecksumJobs(port)
+  {
+    listen(port, "message", function(job)
+    {
+      if(!job || job.bsync != "checksums") return;
+      var entries;
+      try
+      {
+        var layout = checksumLayout(job.blockSize, strongHashesById[job.hash], job.strongLength, job.subBlockSize);
+        entries = new Uint8Array(Math.ceil(job.length / job.blockSize) * layout.entrySize);
+        writeChecksumEntries(entries, 0, new Uint8Array(job.data, job.offset, job.length), layout);
+      }
+      catch(err)
+      {
+        port.postMessage({bsync: "checksums", job: job.job, error: err.message});
+        return;
+      }
+      port.postMessage({bsync: "checksums", job: job.job, entries: entries.buffer}, [entries.buffer]);
+    });
+  }
+
+  /**
+   * Streaming version of createChecksumDocument, for destination data that is too large to hold in memory. The source is read a chunk at a time
+   * (see readChunks for the supported source types), and chunks don't need to line up with block boundaries. Only one block of data is held at once.
+   *
+   * The generated document is byte for byte identical to what createChecksumDocument produces for the same data.
+   *
+   * blockSize can be "auto", same as createChecksumDocument, but only if the length option is given.
+   *
+   * Options:
+   *   hash, subBlockSize - same as createChecksumDocument.
+   *   strongLength - same as createChecksumDocument. "auto" needs the length of the data, so without the length option the full digests are held until
+   *            the end and cut down then.
+   *   length - the total number of bytes in the source, if known (e.g. from fs.stat). The header needs the number of blocks, so without this, the block
+   *            checksums are held until the end of the source (20 bytes per block with md5). If the source turns out to be a different length, the promise rejects.
+   *   onData - function(ArrayBuffer), called with each piece of the document as soon as it's ready, in order. Concatenating the pieces gives the whole document.
+   *            Can return a promise to hold off reading the source until the piece has been dealt with (written to a socket, for example).
+   *
+   * Returns a promise for the complete document. If onData is supplied, the pieces aren't kept and the promise resolves with no value.
+   */
+  function createChecksumDocumentStream(blockSize, source, options)
+  {
+    options = options || {};
+    var onData = options.onData;
+    var expectedLength = options.length;
+    var strongHash;
+    var strongLength = null;
+    var layout;
+    try
+    {
+      if((blockSize === undefined || blockSize === null || blockSize == "auto") && expectedLength === undefined)
+        throw new TypeError("An \"auto\" block size needs the length option, the block size has to be known before the source is read");
+      blockSize = resolveBlockSize(blockSize, expectedLength);
+      strongHash = getStrongHash(options.hash);
+      if(options.strongLength != "auto" || expectedLength !== undefined)
+        strongLength = resolveStrongLength(options.strongLength, strongHash, expectedLength, blockSize);
+      if(options.lines)
+        throw new TypeError("createChecksumDocumentStream doesn't do line-aware blocks yet, use createChecksumDocument or createChecksumDocumentAsync");
+      layout = checksumLayout(blockSize, strongHash, strongLength || strongHash.digestLength, options.subBlockSize);
+    }
+    catch(err) { return Promise.reject(err); }
+    var block = new Uint8Array(blockSize);
+    var blockFill = 0;
+    var totalLength = 0;
+    var numBlocks = 0;
+    var pieces = [];
+    var held = [];
+    var headerWritten = false;
+    var writer = createDocumentWriter();
+
+    function deliver(piece)
+    {
+      writer.add(piece);
+      if(onData) return onData(piece);
+      pieces.push(piece);
+    }
+
+    //pieces are held back until the header has gone out
+    function emit(piece)
+    {
+      if(headerWritten) return deliver(piece);
+      held.push(piece);
+    }
+
+    function header(numBlocks)
+    {
+      headerWritten = true;
+      return concatBuffers([documentHeader(DOCUMENT_CHECKSUM, layout.version), checksumHeader(numBlocks, layout)]);
+    }
+
+    //cut the strong hashes in the held entries down once the "auto" strong length is known
+    function shortenEntries(piece, newLayout)
+    {
+      var from = new Uint8Array(piece);
+      var to = new Uint8Array((from.length / layout.entrySize) * newLayout.entrySize);
+      var kept = 4 + newLayout.strongLength;
+      var subBlocks = layout.subBlockCount * 4;
+      for(var i=0, j=0; i < from.length; i += layout.entrySize, j += newLayout.entrySize)
+      {
+        to.set(from.subarray(i, i + kept), j);
+        to.set(from.subarray(i + layout.entrySize - subBlocks, i + layout.entrySize), j + kept);
+      }
+      return to.buffer;
+    }
+
+    //if we know the length up front, we can send the header right away. Otherwise it has to wait until all the blocks are counted.
+    var started = Promise.resolve().then(function()
+    {
+      if(expectedLength !== undefined) return deliver(header(Math.ceil(expectedLength / blockSize)));
+    });
+
+    //the checksums for blocks completed in each chunk are emitted together, rather than one tiny piece per block
+    function onChunk(chunk)
+    {
+      var completed = Math.floor((blockFill + chunk.length) / blockSize);
+      var entries = new Uint8Array(completed * layout.entrySize);
+      var offset = 0;
+      var i = 0;
+
+      totalLength += chunk.length;
+      if(expectedLength !== undefined && totalLength > expectedLength)
+        throw new BSyncError("Source is longer than the expected length of " + expectedLength + " bytes");
+
+      while(i < chunk.length)
+      {
+        //hash straight from the chunk when a whole block is available in it, otherwise gather bytes into the block buffer
+        if(blockFill == 0 && (chunk.length - i) >= blockSize)
+        {
+          writeChecksumEntry(entries, offset, chunk.subarray(i, i + blockSize), layout);
+          i += blockSize;
+        }
+        else
+        {
+          var count = Math.min(blockSize - blockFill, chunk.length - i);
+          block.set(chunk.subarray(i, i + count), blockFill);
+          blockFill += count;
+          i += count;
+          if(blockFill < blockSize) break;
+          writeChecksumEntry(entries, offset, block, layout);
+          blockFill = 0;
+        }
+        offset += layout.entrySize;
+        numBlocks++;
+      }
+
+      if(completed > 0)
+        return emit(entries.buffer);
+    }
+
+    return started.then(function() { return readChunks(source, onChunk); }).then(function()
+    {
+      if(expectedLength !== undefined && totalLength != expectedLength)
+        throw new BSyncError("Source ended after " + totalLength + " bytes, expected " + expectedLength);
+
+      var pending = [];
+      var last;
+      var flushed = Promise.resolve();
+      if(strongLength === null)
+      {
+        var shortened = checksumLayout(blockSize, strongHash, autoStrongLength(totalLength, blockSize, strongHash.digestLength), layout.subBlockSize);
+        held = held.map(function(piece) { return shortenEntries(piece, shortened); });
+        layout = shortened;
+      }
+
+      if(!headerWritten)
+      {
+        //without a known length, everything so far was held back, so the header goes in front of it
+        pending.push(header(numBlocks + (blockFill > 0 ? 1 : 0)));
+        pending = pending.concat(held);
+        held = [];
+      }
+
+      //the final partial block
+      if(blockFill > 0)
+      {
+        last = new Uint8Array(layout.entrySize);
+        writeChecksumEntry(last, 0, block.subarray(0, blockFill), layout);
+        numBlocks++;
+        pending.push(last.buffer);
+      }
+
+      pending.forEach(function(piece) { flushed = flushed.then(function() { return deliver(piece); }); });
+      return flushed.then(function()
+      {
+        var trailer = writer.trailer();
+        if(onData) return onData(trailer);
+        pieces.push(trailer);
+      });
+    }).then(function()
+    {
+      if(!onData) return concatBuffers(pieces);
+    });
+  }
+
+  /**
+   * Check over a checksum document and pull out the basics: its layout (see checksumLayout) plus numBlocks and entries, where entries is a Uint8Array
+   * view of the block checksums, and weakSum, which is one of WEAK_SUMS. Throws a BSyncFormatError if the document doesn't add up.
+   *
+   * librsync signatures are read too, see readRdiffSignature.
+   */
+  function readChecksumDocument(checksumDocument)
+  {
+    checksumDocument = decodeDocument(checksumDocument);
+    if(isRdiffSignature(checksumDocument)) return readRdiffSignature(checksumDocument);
+    var document = openDocument(checksumDocument, DOCUMENT_CHECKSUM, CHECKSUM_DOCUMENT_VERSION);
+    var body = document.body;
+    var headerSize = 8;
+    var strongHash = strongHashes.md5;
+    var strongLength = 16;
+    var subBlockSize = 0;
+
+    if(body.length < 8)
+      throw new BSyncFormatError("Checksum document is too short to hold a block size and number of blocks");
+
+    //version 1 didn't say which strong hash was used, it was always md5
+    if(document.version >= 2)
+    {
+      headerSize = CHECKSUM_HEADER_SIZE;
+      if(body.length < headerSize)
+        throw new BSyncFormatError("Checksum document is too short to hold its header");
+      strongHash = strongHashesById[body[8]];
+      if(!strongHash)
+        throw new BSyncError("Checksum document uses strong hash id " + body[8] + ", which isn't registered here");
+      strongLength = body[9];
+      if(strongLength == 0 || strongLength > strongHash.digestLength)
+        throw new BSyncFormatError("Checksum document says its " + strongHash.name + " digests are " + strongLength + " bytes long, they can't be more than " + strongHash.digestLength);
+    }
+    if(document.version >= 3)
+    {
+      subBlockSize = body[10] | (body[11] << 8);
+      if(subBlockSize > readInt32(body, 0))
+        throw new BSyncFormatError("Checksum document's sub-blocks (" + subBlockSize + " bytes) are bigger than its blocks");
+    }
+
+    var lines = document.version >= 4 && (document.flags & CHECKSUM_FLAG_LINES);
+    if(lines && subBlockSize)
+      throw new BSyncFormatError("Checksum document has line-aware blocks and sub-blocks, it can't have both");
+
+    var info = checksumLayout(readInt32(body, 0), strongHash, strongLength, subBlockSize, lines);
+    info.numBlocks = readInt32(body, 4);
+    info.weakSum = WEAK_SUMS.adler32;
+    info.entries = body.subarray(headerSize);
+    if(body.length != headerSize + (info.numBlocks * info.entrySize))
+      throw new BSyncFormatError("Error parsing checksum document. Document states the number of blocks is: " + info.numBlocks +
+                                 " however, there is room for " + ((body.length - headerSize) / info.entrySize) + " blocks");
+
+    return info;
+  }
+
+  /**
+   * Parse the checksum document into a hash table. Takes what readChecksumDocument returns.
+   *
+   * The hash table will have 2^16 entries. Each entry will point to an array that has the following strucutre:
+   * [
+   *  [ [blockIndex, adler32sum, digest],[blockIndex, adler32sum, digest],... ]
+   *  [ [blockIndex, adler32sum, digest],[blockIndex, adler32sum, digest],... ]
+   *  ...
+   * ]
+   * The digest is a Uint8Array view into the document, and might only be the first part of the full digest.
+   */
+  function parseChecksumDocument(checksumInfo)
+  {
+    var ret = [];
+    var i=0;
+    var view = checksumInfo.entries;
+    var digestLength = checksumInfo.strongLength;
+    var blockIndex = 1; //blockIndex is 1 based, not zero based
+    var entry;
+    var hash;
+
+    //each chunk in the document is the 4 byte adler32 followed by the digest (and the sub-block hashes, which aren't needed here)
+    for(i = 0; i < view.length; i += checksumInfo.entrySize)
+    {
+      entry = [
+             blockIndex, //the index of the block
+             readInt32(view, i), //the adler32sum
+             view.subarray(i + 4, i + 4 + digestLength) //the strong hash digest
+            ];
+      hash = hash16(entry[1]);
+      if(!ret[hash]) ret[hash] = [];
+      ret[hash].push(entry);
+      blockIndex++;
+    }
+
+    return ret;
+
+  }
+
+
+  /**
+   * First, check to see if there's a match on the 16 bit hash
+   * Then, look through all the entries in the hashtable row for an adler 32 match.
+   * Finally, do a strong hash comparison. Only as much of the digest as the checksum document kept is compared.
+   */
+  function checkMatch(adlerInfo, hashTable, block, strongHash)
+  {
+    var hash = hash16(adlerInfo.checksum);
+    if(!(hashTable[hash])) return false;
+    var row = hashTable[hash];
+    var i=0;
+    var j=0;
+    var digest1 = null;
+    var digest2;
+
+    for(i=0; i<row.length; i++)
+    {
+      //compare adler32sum
+      if(row[i][1] != adlerInfo.checksum) continue;
+      //do strong comparison. The block's digest is only worked out once, no matter how many candidates there are
+      if(!digest1) digest1 = strongHash.digest(block);
+      digest2 = row[i][2];
+      for(j=0; j<digest2.length; j++)
+        if(digest1[j] != digest2[j]) break;
+      if(j == digest2.length)
+        return row[i][0]; //match found, return the matched block index
+
+    }
+
+    return false;
+
+  }
+
+  /**
+   * The version 2 patch document is a sequence of records in the same order as the data they describe, so it can be written and applied as a stream.
+   * The body (between the header and trailer every document has, see openDocument) looks like this:
+   *
+   * 4 bytes - blockSize
+   * Repeat:
+   *   1 byte - record type
+   *   For a copy record (3), a run of consecutive matched blocks:
+   *     4 bytes - the index of the first block. 1 based, same as version 1.
+   *     4 bytes - number of blocks
+   *   For a literal record (2):
+   *     4 bytes - size
+   *     n bytes - new data
+   *   For a block record (1), a single matched block. Copy records have replaced these, but they're still understood.
+   *     4 bytes - the index of the matched block
+   *   For a delta record (5), new data that's described as changes to a range of destination blocks (see refineLiteral). Only in version 4 and later.
+   *     4 bytes - the index of the first destination block it's based on
+   *     4 bytes - number of blocks
+   *     4 bytes - size of the ops that follow
+   *     Ops, each one a 1 byte op type then:
+   *       copy (0) - 4 bytes offset into the destination blocks, 4 bytes length
+   *       add (1)  - 4 bytes length, n bytes new data
+   *       run (2)  - 1 byte value, 4 bytes count. The value repeated count times.
+   *   For a compressed record (6), new data compressed with raw deflate. Only in version 5 and later, in documents with the compressed flag set.
+   *     4 bytes - size of the new data
+   *     4 bytes - size of the compressed data
+   *     n bytes - compressed data
+   *   An end record (0) has nothing after it, and is the last record in the document.
+   *   An identical record (4) means the source and destination are already the same. It's the only record in the document when it's used.
+   * From version 3 on, the end or identical record is followed by a summary of the whole source, so the result can be checked (see checkSource):
+   *   8 bytes - length of the source, low 32 bits then high 32 bits
+   *   1 byte - id of the strong hash of the source (see strongHashes). Always SHA-256 for now.
+   *   1 byte - length of the hash
+   *   n bytes - the hash
+   *
+   * Flags in the header:
+   *   1 - compressed. Some of the new data is in compressed records.
+   *   2 - lines. The blocks are line-aware (see createLineChunker), so the destination's blocks are found by going through it the same way the checksum
+   *       document was made, rather than every blockSize bytes. Only in version 6 and later.
+   */
+  var RECORD_END = 0;
+  var RECORD_BLOCK = 1;
+  var RECORD_LITERAL = 2;
+  var RECORD_COPY = 3;
+  var RECORD_IDENTICAL = 4;
+  var RECORD_DELTA = 5;
+  var RECORD_COMPRESSED = 6;
+  var PATCH_FLAG_COMPRESSED = 1;
+  var PATCH_FLAG_LINES = 2;
+  var MIN_COMPRESS = 64; //new data shorter than this is never worth compressing
+  var OP_COPY = 0;
+  var OP_ADD = 1;
+  var OP_RUN = 2;
+  var MIN_RUN_OP = 16; //shorter runs of the same byte aren't worth splitting an add op for
+  var MAX_LITERAL_RECORD = 65536; //long runs of new data are split up, so applying a literal record as a stream never needs more than this much memory
+  var SOURCE_HASH = "sha256"; //needs to be one that can be worked out a piece at a time, so patch documents can be streamed
+  var SOURCE_SUMMARY_SIZE = 10; //not counting the hash
+
+  function sourceSummary(length, strongHash, digest)
+  {
+    var summary = new Uint8Array(SOURCE_SUMMARY_SIZE + digest.length);
+    writeInt32(summary, 0, length >>> 0);
+    writeInt32(summary, 4, Math.floor(length / 0x100000000));
+    summary[8] = strongHash.id;
+    summary[9] = digest.length;
+    summary.set(digest, SOURCE_SUMMARY_SIZE);
+    return summary;
+  }
+
+  //read the first part of a source summary (everything but the hash) into {length, strongHash, digestLength}
+  function readSourceSummary(view, offset)
+  {
+    var strongHash = strongHashesById[view[offset + 8]];
+    if(!strongHash || !strongHash.create)
+      throw new BSyncError("Patch document's source was hashed with strong hash id " + view[offset + 8] + ", which isn't registered here");
+    return {length: readInt32(view, offset) + readInt32(view, offset + 4) * 0x100000000, strongHash: strongHash, digestLength: view[offset + 9]};
+  }
+
+  /**
+   * Make sure the result of applying a patch is what the source was. summary is from readSourceSummary, with the hash added as digest.
+   * Throws a BSyncIntegrityError if it's not.
+   */
+  function checkSource(summary, length, digest)
+  {
+    var i;
+    if(length != summary.length)
+      throw new BSyncIntegrityError("Applying the patch gave " + length + " bytes, but the source is " + summary.length + " bytes long");
+    for(i = 0; i < summary.digest.length; i++)
+      if(digest[i] != summary.digest[i])
+        throw new BSyncIntegrityError("Applying the patch didn't reproduce the source, its " + summary.strongHash.name + " hash doesn't match");
+  }
+
+  /**
+   * Try to describe a run of new data as changes to the destination blocks it sits in place of (count blocks from firstBlock), using the sub-block
+   * hashes in the checksum document. The source side doesn't have the destination's bytes, only those hashes, so this works at sub-block granularity:
+   * pieces of the new data that match a sub-block of those blocks are copied from the destination, and the rest is sent.
+   *
+   * Sub-blocks are only looked for at positions that line up with the start or the end of the new data. The blocks on either side matched, so for
+   * bytes that were changed in place, or a few that were inserted or removed, the unchanged parts line up with one end or the other. That keeps it to
+   * one hash per sub-block of new data, rather than one per byte.
+   *
+   * Returns a delta record, or null if it wouldn't be any smaller than sending the data as it is.
+   */
+  function refineLiteral(checksumInfo, bytes, firstBlock, count)
+  {
+    var blockSize = checksumInfo.blockSize;
+    var subBlockSize = checksumInfo.subBlockSize;
+    var length = bytes.length;
+    var offsets = {};
+    var matches = [];
+    var covered;
+    var block, i, position, hash;
+
+    //a wildly different amount of destination data means the new data isn't just a changed version of it
+    if(count < 1 || firstBlock + count - 1 > checksumInfo.numBlocks || count > Math.ceil(length / blockSize) + 1 || length < subBlockSize)
+      return null;
+
+    //where each of the destination's full sized sub-blocks is, by hash
+    for(block = 0; block < count; block++)
+    {
+      position = (firstBlock - 1 + block) * checksumInfo.entrySize + 4 + checksumInfo.strongLength;
+      for(i = 0; (i + 1) * subBlockSize <= blockSize; i++)
+      {
+        hash = readInt32(checksumInfo.entries, position + i * 4);
+        if(hash != 0 && !offsets.hasOwnProperty(hash)) offsets[hash] = block * blockSize + i * subBlockSize;
+      }
+    }
+
+    covered = new Uint8Array(length);
+    function find(position)
+    {
+      //matches are all the same size, so two overlap if either end of one is inside the other
+      if(covered[position] || covered[position + subBlockSize - 1]) return;
+      var hash = subBlockHash(bytes.subarray(position, position + subBlockSize));
+      if(!offsets.hasOwnProperty(hash)) return;
+      matches.push([position, offsets[hash]]);
+      covered.fill(1, position, position + subBlockSize);
+    }
+    for(position = 0; position + subBlockSize <= length; position += subBlockSize) find(position);
+    for(position = length - subBlockSize; position >= 0; position -= subBlockSize) find(position);
+    if(matches.length == 0) return null;
+    matches.sort(function(a, b) { return a[0] - b[0]; });
+
+    var ops = [];
+    var opsSize = 0;
+    var copyOffset = -1;
+    var copyLength = 0;
+
+    function op(bytes)
+    {
+      ops.push(bytes);
+      opsSize += bytes.length;
+    }
+
+    function flushCopy()
+    {
+      if(copyLength == 0) return;
+      var copy = new Uint8Array(9);
+      copy[0] = OP_COPY;
+      writeInt32(copy, 1, copyOffset);
+      writeInt32(copy, 5, copyLength);
+      op(copy);
+      copyLength = 0;
+    }
+
+    //new data, with long runs of the same byte pulled out as run ops
+    function add(start, end)
+    {
+      var i = start;
+      var addStart = start;
+      function flushAdd(to)
+      {
+        if(to == addStart) return;
+        var piece = new Uint8Array(5 + to - addStart);
+        piece[0] = OP_ADD;
+        writeInt32(piece, 1, to - addStart);
+        piece.set(bytes.subarray(addStart, to), 5);
+        op(piece);
+      }
+      if(start == end) return;
+      flushCopy();
+      while(i < end)
+      {
+        var runEnd = i + 1;
+        while(runEnd < end && bytes[runEnd] == bytes[i]) runEnd++;
+        if(runEnd - i >= MIN_RUN_OP)
+        {
+          flushAdd(i);
+          var run = new Uint8Array(6);
+          run[0] = OP_RUN;
+          run[1] = bytes[i];
+          writeInt32(run, 2, runEnd - i);
+          op(run);
+          addStart = runEnd;
+        }
+        i = runEnd;
+      }
+      flushAdd(end);
+    }
+
+    position = 0;
+    for(i = 0; i < matches.length; i++)
+    {
+      add(position, matches[i][0]);
+      if(copyLength > 0 && copyOffset + copyLength == matches[i][1])
+        copyLength += subBlockSize;
+      else
+      {
+        flushCopy();
+        copyOffset = matches[i][1];
+        copyLength = subBlockSize;
+      }
+      position = matches[i][0] + subBlockSize;
+    }
+    add(position, length);
+    flushCopy();
+
+    if(13 + opsSize >= 5 + length) return null;
+
+    var record = new Uint8Array(13 + opsSize);
+    record[0] = RECORD_DELTA;
+    writeInt32(record, 1, firstBlock);
+    writeInt32(record, 5, count);
+    writeInt32(record, 9, opsSize);
+    position = 13;
+    for(i = 0; i < ops.length; i++)
+    {
+      record.set(ops[i], position);
+      position += ops[i].length;
+    }
+    return record;
+  }
+
+  /**
+   * The guts of createPatchDocument and createPatchDocumentStream. The source data is pushed in a chunk at a time and the rolling checksum window slides along it,
+   * keeping only a couple of blocks of the source around. The records of a version 2 patch document build up as matches are found, and take() hands over
+   * whatever is ready so far (the first time, that includes the header). matched() is the number of source blocks found in the destination so far.
+   * Everything here is synchronous, it's up to the caller to deal with streams.
+   *
+   * A run of matched blocks isn't written until something breaks it, so that if it turns out to cover the whole destination an identical record can be sent instead.
+   *
+   * If the checksum document has sub-block hashes, new data that sits between matched blocks is compared with the destination blocks it replaced, and sent as
+   * a delta record when that's smaller (see refineLiteral). Pass {refine: false} as the options to always send it as it is.
+   *
+   * With {compress: true}, new data that isn't sent as a delta is compressed, a literal record at a time, and goes in a compressed record if that
+   * came out smaller.
+   *
+   * If the checksum document has line-aware blocks, there's no rolling window. The source is cut into blocks the same way the destination was, and each
+   * one is looked up as it is. The patch is flagged so applyPatch finds the destination's blocks the same way.
+   */
+  function createPatchEncoder(checksumDocument, options)
+  {
+    options = options || {};
+    var checksumInfo = readChecksumDocument(checksumDocument);
+    var blockSize = checksumInfo.blockSize;
+    var numBlocks = checksumInfo.numBlocks;
+    var hashTable = parseChecksumDocument(checksumInfo);
+    var refine = checksumInfo.subBlockCount > 0 && options.refine !== false;
+    var compressLiterals = !!options.compress;
+    var writer = createDocumentWriter();
+    var records = [];
+    var recordCount = 0;
+    var blocksMatched = 0;
+    var finished = false;
+
+    //the rolling window. Bytes before start have already been dealt with, except the one just before it, which the rolling checksum needs
+    var window = new Uint8Array(blockSize * 2);
+    var start = 0;
+    var end = 0;
+    var adlerInfo = null;
+    var literal = new Uint8Array(MAX_LITERAL_RECORD);
+    var literalSize = 0;
+    var copyStart = 0;
+    var copyCount = 0;
+    var lastCopied = 0; //the last destination block copied so far, the new data after it is likely to be a changed version of the blocks after that
+    var literalSplit = false; //the current run of new data was too long to keep in one piece, so it can't be refined
+    var sourceHash = getStrongHash(SOURCE_HASH);
+    var sourceHasher = sourceHash.create();
+    var sourceLength = 0;
+    var lineBlock = checksumInfo.lines ? new Uint8Array(blockSize * MAX_LINE_BLOCKS) : null; //the line-aware block being filled
+    var lineBlockFill = 0;
+    var chunker = checksumInfo.lines ? createLineChunker(blockSize, lineBlockDone) : null;
+
+    var header = new Uint8Array(4);
+    writeInt32(header, 0, blockSize);
+    //delta and compressed records, and line-aware blocks, are the only things that need versions 4 to 6, so receivers that haven't been updated can
+    //still read patches without them
+    records.push(documentHeader(DOCUMENT_PATCH, chunker ? PATCH_DOCUMENT_VERSION : compressLiterals ? 5 : refine ? 4 : 3,
+                                (compressLiterals ? PATCH_FLAG_COMPRESSED : 0) | (chunker ? PATCH_FLAG_LINES : 0)), header.buffer);
+
+    function writeRecord(record)
+    {
+      records.push(record.buffer);
+      recordCount++;
+    }
+
+    //nextBlock is the destination block that matched right after the new data, if there is one. It's left out when the literal buffer is just full.
+    function writeLiteral(nextBlock)
+    {
+      if(literalSize == 0) return;
+      var record = null;
+      if(refine && !literalSplit && nextBlock !== undefined)
+        record = refineLiteral(checksumInfo, literal.subarray(0, literalSize), lastCopied + 1, nextBlock - lastCopied - 1);
+      if(!record && compressLiterals && literalSize >= MIN_COMPRESS)
+      {
+        var compressed = compress(literal.subarray(0, literalSize));
+        if(9 + compressed.length < 5 + literalSize)
+        {
+          record = new Uint8Array(9 + compressed.length);
+          record[0] = RECORD_COMPRESSED;
+          writeInt32(record, 1, literalSize);
+          writeInt32(record, 5, compressed.length);
+          record.set(compressed, 9);
+        }
+      }
+      if(!record)
+      {
+        record = new Uint8Array(5 + literalSize);
+        record[0] = RECORD_LITERAL;
+        writeInt32(record, 1, literalSize);
+        record.set(literal.subarray(0, literalSize), 5);
+      }
+      writeRecord(record);
+      literalSize = 0;
+      literalSplit = (nextBlock === undefined);
+    }
+
+    function writeCopy()
+    {
+      if(copyCount == 0) return;
+      var record = new Uint8Array(9);
+      record[0] = RECORD_COPY;
+      writeInt32(record, 1, copyStart);
+      writeInt32(record, 5, copyCount);
+      writeRecord(record);
+      lastCopied = copyStart + copyCount - 1;
+      copyCount = 0;
+    }
+
+    //look for a match at the start of the window
+    function step()
+    {
+      var size = Math.min(blockSize, end - start);
+      if(size < blockSize)
+        adlerInfo = null; //need to reset this because the rolling checksum doesn't work correctly on a final non-aligned block
+
+      if(adlerInfo)
+        adlerInfo = checksumInfo.weakSum.roll(adlerInfo, start, start + size - 1, window);
+      else
+        adlerInfo = checksumInfo.weakSum.sum(start, start + size - 1, window);
+
+      var matchedBlock = checkMatch(adlerInfo, hashTable, window.subarray(start, start + size), checksumInfo.strongHash);
+      if(matchedBlock)
+      {
+        copyBlock(matchedBlock);
+        start += size;
+        adlerInfo = null;
+      }
+      else
+      {
+        writeCopy();
+        literal[literalSize++] = window[start++];
+        if(literalSize == literal.length) writeLiteral();
+      }
+    }
+
+    function copyBlock(matchedBlock)
+    {
+      blocksMatched++;
+      writeLiteral(matchedBlock);
+      literalSplit = false;
+      if(copyCount > 0 && matchedBlock == copyStart + copyCount)
+        copyCount++;
+      else
+      {
+        writeCopy();
+        copyStart = matchedBlock;
+        copyCount = 1;
+      }
+    }
+
+    //a line-aware block of the source is complete, it either matches a destination block as a whole or it's new data
+    function lineBlockDone(length)
+    {
+      var block = lineBlock.subarray(0, length);
+      var matchedBlock = checkMatch(checksumInfo.weakSum.sum(0, length - 1, block), hashTable, block, checksumInfo.strongHash);
+      if(matchedBlock) copyBlock(matchedBlock);
+      else
+      {
+        writeCopy();
+        for(var i = 0; i < length; i++)
+        {
+          literal[literalSize++] = block[i];
+          if(literalSize == literal.length) writeLiteral();
+        }
+      }
+      lineBlock.copyWithin(0, length, lineBlockFill);
+      lineBlockFill -= length;
+    }
+
+    function push(chunk)
+    {
+      var i = 0;
+      sourceHasher.update(chunk);
+      sourceLength += chunk.length;
+      //the chunker is never handed more than there's room to hold, and it always ends a block before lineBlock is full
+      while(chunker && i < chunk.length)
+      {
+        var piece = chunk.subarray(i, i + Math.min(lineBlock.length - lineBlockFill, chunk.length - i));
+        lineBlock.set(piece, lineBlockFill);
+        lineBlockFill += piece.length;
+        i += piece.length;
+        chunker.push(piece);
+      }
+      while(i < chunk.length)
+      {
+        if(end == window.length)
+        {
+          //slide the window back to the beginning of the buffer, keeping the byte before start for the rolling checksum
+          var keep = Math.max(start - 1, 0);
+          window.copyWithin(0, keep, end);
+          start -= keep;
+          end -= keep;
+        }
+        var count = Math.min(window.length - end, chunk.length - i);
+        window.set(chunk.subarray(i, i + count), end);
+        end += count;
+        i += count;
+
+        while((end - start) >= blockSize) step();
+      }
+    }
+
+    function finish()
+    {
+      //whatever is left is shorter than a block, it can still match a short final block in the destination
+      while(start < end) step();
+      if(chunker) chunker.finish();
+
+      //if the whole source turned out to be every block of the destination, in order, there's nothing to send but a marker saying so
+      if(recordCount == 0 && literalSize == 0 &&
+         ((copyCount == 0 && numBlocks == 0) || (copyStart == 1 && copyCount == numBlocks)))
+        records.push(new Uint8Array([RECORD_IDENTICAL]).buffer);
+      else
+      {
+        writeLiteral(numBlocks + 1);
+        writeCopy();
+        records.push(new Uint8Array([RECORD_END]).buffer);
+      }
+      records.push(sourceSummary(sourceLength, sourceHash, sourceHasher.digest()).buffer);
+      finished = true;
+    }
+
+    function take()
+    {
+      if(records.length == 0) return null;
+      var piece = writer.add(concatBuffers(records));
+      records = [];
+      if(finished) piece = concatBuffers([piece, writer.trailer()]);
+      return piece;
+    }
+
+    return {push: push, finish: finish, take: take, matched: function() { return blocksMatched; }};
+  }
+
+  /**
+   * Create a patch document that contains all the information needed to bring the destination data into synchronization with the source data.
+   *
+   * The document is the record-based format described above, written as the oldest version that can hold what's in it: version 3 normally, 4 if it
+   * has delta records (the checksum document has sub-blocks), 5 if it's compressed, and 6 for line-aware blocks. Pass {version: 1} as the options to get
+   * the original format, for receivers that haven't been updated yet. Version 1 patch documents are from before documents had a header, so they don't
+   * get one. applyPatch understands every version. The other options (see createPatchEncoder) don't apply to version 1.
+   *
+   * data can be a string, encoded with options.encoding (see encodeText). It has to be encoded the same way the destination was.
+   */
+  function createPatchDocument(checksumDocument, data, options)
+  {
+    options = options || {};
+    data = textToBinary(data, options.encoding);
+    if(options.version == 1) return createVersion1PatchDocument(checksumDocument, data);
+
+    var encoder = createPatchEncoder(checksumDocument, options);
+    encoder.push(new Uint8Array(data));
+    encoder.finish();
+    return encoder.take();
+  }
+
+  /**
+   * Create a version 1 patch document. This was the only format before version 2 came along, and is still around for receivers that haven't been updated.
+   *
+   * The version 1 patch document looks like this: (little Endian)
+   * 4 bytes - blockSize
+   * 4 bytes - number of patches
+   * 4 bytes - number of matched blocks
+   * For each matched block:
+   *   4 bytes - the index of the matched block
+   * For each patch:
+   *   4 bytes - last matching block index. NOTE: This is 1 based index! Zero indicates beginning of file, NOT the first block
+   *   4 bytes - patch size
+   *   n bytes - new data
+   */
+  function createVersion1PatchDocument(checksumDocument, data)
+  {
+    function appendBuffer( buffer1, buffer2 ) {
+      var tmp = new Uint8Array( buffer1.byteLength + buffer2.byteLength );
+      tmp.set( new Uint8Array( buffer1 ), 0 );
+      tmp.set( new Uint8Array( buffer2 ), buffer1.byteLength );
+      return tmp.buffer;
+    }
+
+    var checksumInfo = readChecksumDocument(checksumDocument);
+    var blockSize = checksumInfo.blockSize;
     var numPatches = 0;
+    if(checksumInfo.lines)
+      throw new BSyncError("Version 1 patch documents can't be made from a checksum document with line-aware blocks");
+    if(checksumInfo.rdiff)
+      throw new BSyncError("Version 1 patch documents can't be made from a librsync signature");
+
+    var patchDocument = new ArrayBuffer(12);
+    var patch;
+    var patches = new ArrayBuffer(0);
+    var i=0;
+
+    var hashTable = parseChecksumDocument(checksumInfo);
+    var endOffset = data.byteLength - blockSize;
+    var adlerInfo = null;
+    var lastMatchIndex = 0;
+    var currentPatch = new ArrayBuffer(1000);
+    var currentPatchUint8 = new Uint8Array(currentPatch);
+    var currentPatchSize = 0;
+    var dataUint8 = new Uint8Array(data);
+    var matchedBlocks = new ArrayBuffer(1000);
+    var matchedBlocksUint32 = new Uint32Array(matchedBlocks);
+    var matchCount = 0;
+
+
+    for(;;)
+    {
+      var chunkSize = 0;
+      //determine the size of the next data chuck to evaluate. Default to blockSize, but clamp to end of data
+      if((i + blockSize) > data.byteLength)
+      {
+        chunkSize = data.byteLength - i;
+        adlerInfo=null; //need to reset this because the rolling checksum doesn't work correctly on a final non-aligned block
+      }
+      else
+        chunkSize = blockSize;
+
+      if(adlerInfo)
+        adlerInfo = rollingChecksum(adlerInfo, i, i + chunkSize - 1, dataUint8);
+      else
+        adlerInfo = adler32(i, i + chunkSize - 1, dataUint8);
+
+      var matchedBlock = checkMatch(adlerInfo, hashTable, new Uint8Array(data,i,chunkSize), checksumInfo.strongHash);
+      if(matchedBlock)
+      { 
+        //if we have a match, do the following:
+        //1) add the matched block index to our tracking buffer
+        //2) check to see if there's a current patch. If so, add it to the patch document. 
+        //3) jump forward blockSize bytes and continue
+        matchedBlocksUint32[matchCount] = matchedBlock;
+        matchCount++;
+        //check to see if we need more memory for the matched blocks
+        if(matchCount >= matchedBlocksUint32.length)
+        {
+          matchedBlocks = appendBuffer(matchedBlocks, new ArrayBuffer(1000));
+          matchedBlocksUint32 = new Uint32Array(matchedBlocks);
+        }
+        if(currentPatchSize > 0)
+        {
+          //create the patch and append it to the patches buffer
+          patch = new ArrayBuffer(4 + 4); //4 for last match index, 4 for patch size
+          var patchUint32 = new Uint32Array(patch,0,2);
+          patchUint32[0] = lastMatchIndex;
+          patchUint32[1] = currentPatchSize;
+          patch = appendBuffer(patch,currentPatch.slice(0,currentPatchSize));
+          patches = appendBuffer(patches, patch);
+          currentPatch = new ArrayBuffer(1000);
+          currentPatchUint8 = new Uint8Array(currentPatch);
+          currentPatchSize = 0;
+          numPatches++;
+        }
+        lastMatchIndex = matchedBlock;
+        i+=blockSize; 
+        if(i >= dataUint8.length) break;
+        adlerInfo=null;
+        continue;
+      }
+      else
+      {
+        //while we don't have a block match, append bytes to the current patch
+        currentPatchUint8[currentPatchSize] = dataUint8[i]; 
+        currentPatchSize++;
+        if(currentPatchSize >= currentPatch.byteLength)
+        {
+          //allocate another 1000 bytes
+          currentPatch = appendBuffer(currentPatch, new ArrayBuffer(1000));
+          currentPatchUint8 = new Uint8Array(currentPatch);
+        }
+      }
+      if((i) >= dataUint8.length -1) break;
+      i++;
+    } //end for each byte in the data
+    if(currentPatchSize > 0)
+    {
+      //create the patch and append it to the patches buffer
+      patch = new ArrayBuffer(4 + 4); //4 for last match index, 4 for patch size
+      var patchUint32 = new Uint32Array(patch,0,2);
+      patchUint32[0] = lastMatchIndex;
+      patchUint32[1] = currentPatchSize;
+      patch = appendBuffer(patch,currentPatch.slice(0,currentPatchSize));
+      patches = appendBuffer(patches, patch);
+      numPatches++;
+    }
+
+    var patchDocumentView32 = new Uint32Array(patchDocument);
+    patchDocumentView32[0] = blockSize;
+    patchDocumentView32[1] = numPatches;
+    patchDocumentView32[2] = matchCount;
+    patchDocument = appendBuffer(patchDocument, matchedBlocks.slice(0,matchCount * 4));
+    patchDocument = appendBuffer(patchDocument, patches);
+
+    var patchDocumentView32 = new Uint32Array(patchDocument,0,matchCount + 3);
+    var patchDocumentView8 = new Uint8Array(patchDocument);
+
+    return patchDocument;
+  }
+
+  /**
+   * Streaming version of createPatchDocument, for source data that is too large to hold in memory. The source is read a chunk at a time (see readChunks for
+   * the supported source types), keeping only a couple of blocks of it around for the rolling checksum window. Records for matched blocks and new data are
+   * produced as soon as they're found, so memory use doesn't depend on the size of the source. The result is a version 2 patch document.
+   *
+   * Options:
+   *   onData - function(ArrayBuffer), called with each piece of the patch document as soon as it's ready, in order. Concatenating the pieces gives the whole
+   *            document. Can return a promise to hold off reading the source until the piece has been dealt with, e.g. written to a socket.
+   *   refine, compress - same as createPatchDocument.
+   *
+   * Returns a promise for the complete document. If onData is supplied, the pieces aren't kept and the promise resolves with no value.
+   */
+  function createPatchDocumentStream(checksumDocument, source, options)
+  {
+    options = options || {};
+    var onData = options.onData;
+    var pieces = [];
+    var encoder;
+
+    try { encoder = createPatchEncoder(checksumDocument, options); }
+    catch(err) { return Promise.reject(err); }
+
+    //hand over whatever records are ready. Done once for each chunk of the source, rather than as lots of tiny pieces
+    function emit()
+    {
+      var piece = encoder.take();
+      if(!piece) return;
+      if(onData) return onData(piece);
+      pieces.push(piece);
+    }
+
+    return Promise.resolve(emit())
+      .then(function() { return readChunks(source, function(chunk) { encoder.push(chunk); return emit(); }); })
+      .then(function()
+      {
+        encoder.finish();
+        return emit();
+      })
+      .then(function()
+      {
+        if(!onData) return concatBuffers(pieces);
+      });
+  }
+
+  /**
+   * Write the new data a delta record describes into target (a Uint8Array) at position, from the ops (a Uint8Array) and the destination blocks they're
+   * based on. See refineLiteral. target has to have room for it, deltaLength says how much that is. Returns the position just past what was written.
+   * If there's an onCopy, it's called with (offset in base, length, offset in target) for each piece that's copied from the base.
+   */
+  function applyDelta(base, ops, target, position, onCopy)
+  {
+    var offset = 0;
+
+    function need(length)
+    {
+      if(offset + length > ops.length)
+        throw new BSyncFormatError("Delta record in patch document ended in the middle of an op");
+    }
+
+    while(offset < ops.length)
+    {
+      switch(ops[offset])
+      {
+        case OP_COPY:
+          need(9);
+          var copyOffset = readInt32(ops, offset + 1);
+          var copyLength = readInt32(ops, offset + 5);
+          if(copyOffset + copyLength > base.length)
+            throw new BSyncError("Delta record in patch document refers to data past the end of the destination");
+          target.set(base.subarray(copyOffset, copyOffset + copyLength), position);
+          if(onCopy) onCopy(copyOffset, copyLength, position);
+          position += copyLength;
+          offset += 9;
+          break;
+        case OP_ADD:
+          need(5);
+          var addLength = readInt32(ops, offset + 1);
+          need(5 + addLength);
+          target.set(ops.subarray(offset + 5, offset + 5 + addLength), position);
+          position += addLength;
+          offset += 5 + addLength;
+          break;
+        case OP_RUN:
+          need(6);
+          var runLength = readInt32(ops, offset + 2);
+          target.fill(ops[offset + 1], position, position + runLength);
+          position += runLength;
+          offset += 6;
+          break;
+        default:
+          throw new BSyncFormatError("Unknown op " + ops[offset] + " in a delta record in patch document");
+      }
+    }
+    return position;
+  }
+
+  /**
+   * Step through the records of a version 2 or later patch document body without applying them, calling visit(type, offset) for each one, the end or
+   * identical record included. offset is where the record starts, at its type byte. Returns the offset just past the end or identical record, which is
+   * where the source summary starts from version 3 on. It only checks that each record fits in the body, not what's in it.
+   */
+  function walkPatchRecords(body, visit)
+  {
+    var offset = 4;
+    var type, size;
+
+    function need(length)
+    {
+      if(offset + length > body.length)
+        throw new BSyncFormatError("Patch document ended in the middle of a record at offset " + offset);
+    }
+
+    for(;;)
+    {
+      need(1);
+      type = body[offset];
+      if(type == RECORD_END || type == RECORD_IDENTICAL) size = 1;
+      else if(type == RECORD_COPY) size = 9;
+      else if(type == RECORD_BLOCK) size = 5;
+      else if(type == RECORD_LITERAL) { need(5); size = 5 + readInt32(body, offset + 1); }
+      else if(type == RECORD_DELTA) { need(13); size = 13 + readInt32(body, offset + 9); }
+      else if(type == RECORD_COMPRESSED) { need(9); size = 9 + readInt32(body, offset + 5); }
+      else throw new BSyncFormatError("Unknown record type " + type + " in patch document at offset " + offset);
+      need(size);
+      if(visit) visit(type, offset);
+      offset += size;
+      if(type == RECORD_END || type == RECORD_IDENTICAL) return offset;
+    }
+  }
+
+  /**
+   * Find the source summary at the end of a version 3 or later patch document body. Returns the summary (see readSourceSummary) with its digest.
+   */
+  function findSourceSummary(body)
+  {
+    var offset = walkPatchRecords(body);
+    if(offset + SOURCE_SUMMARY_SIZE > body.length)
+      throw new BSyncFormatError("Patch document ended in the middle of the source summary");
+    var summary = readSourceSummary(body, offset);
+    if(offset + SOURCE_SUMMARY_SIZE + summary.digestLength > body.length)
+      throw new BSyncFormatError("Patch document ended in the middle of the source summary");
+    summary.digest = body.subarray(offset + SOURCE_SUMMARY_SIZE, offset + SOURCE_SUMMARY_SIZE + summary.digestLength);
+    return summary;
+  }
+
+  //how much new data the ops of a delta record make. Unlike applyDelta, this doesn't need the destination
+  function deltaLength(ops)
+  {
+    var offset = 0;
+    var length = 0;
+    while(offset < ops.length)
+    {
+      if(ops[offset] == OP_COPY && offset + 9 <= ops.length) { length += readInt32(ops, offset + 5); offset += 9; }
+      else if(ops[offset] == OP_ADD && offset + 5 <= ops.length) { length += readInt32(ops, offset + 1); offset += 5 + readInt32(ops, offset + 1); }
+      else if(ops[offset] == OP_RUN && offset + 6 <= ops.length) { length += readInt32(ops, offset + 2); offset += 6; }
+      else throw new BSyncFormatError("Bad op in a delta record in patch document");
+    }
+    return length;
+  }
+
+  //compressed records are only allowed in documents that say they have them
+  function checkCompressed(flags)
+  {
+    if(!(flags & PATCH_FLAG_COMPRESSED))
+      throw new BSyncFormatError("Patch document has a compressed record, but isn't flagged as having any");
+  }
+
+  //where applying a patch puts a result length bytes long: the start of output (a Uint8Array) if there is one, or a new buffer
+  function resultView(length, output)
+  {
+    if(!output) return new Uint8Array(length);
+    if(output.length < length)
+      throw new RangeError("The output buffer is " + output.length + " bytes, but applying the patch gives " + length);
+    return output.subarray(0, length);
+  }
+
+  /**
+   * Apply the body of a version 2 or later patch document (a Uint8Array) to the destination data (also a Uint8Array). Used by applyPatch.
+   * The records are gone over twice: once to add up how long the result is, so it's only allocated once, and again to write each piece straight into place.
+   * The result is an ArrayBuffer, or if output (a Uint8Array) is given, it's written at the start of that and the part written is returned.
+   * If verify is set, and the document has a source summary, the result is checked against it.
+   * If segments is an array, each piece of the result that's copied from the destination is added to it as [offset in the result, offset in the destination, length].
+   */
+  function applyVersion2Patch(body, dataView, version, flags, verify, segments, output)
+  {
+    var length = 0;
+    var identical = false;
+    var result;
+    var position = 0;
+    var summary;
+
+    if(body.length < 4)
+      throw new BSyncFormatError("Patch document ended in the middle of a record at offset 4");
+    var blockSize = readInt32(body, 0);
+    var ends = (flags & PATCH_FLAG_LINES) ? lineBlockEnds(dataView, blockSize) : null;
+
+    //a run of blocks from the destination. The last block can be short, so the length is clamped to the end of the data
+    function destinationBlocks(blockIndex, count)
+    {
+      if(ends)
+      {
+        if(blockIndex < 1 || blockIndex > ends.length)
+          throw new BSyncError("Patch document refers to block " + blockIndex + ", which is past the end of the destination data");
+        var first = blockIndex > 1 ? ends[blockIndex - 2] : 0;
+        return dataView.subarray(first, ends[Math.min(blockIndex + count - 1, ends.length) - 1]);
+      }
+      var start = (blockIndex - 1) * blockSize;
+      if(blockIndex < 1 || start >= dataView.length)
+        throw new BSyncError("Patch document refers to block " + blockIndex + ", which is past the end of the destination data");
+      return dataView.subarray(start, Math.min(start + count * blockSize, dataView.length));
+    }
+
+    function copy(blocks)
+    {
+      if(segments) segments.push([position, blocks.byteOffset - dataView.byteOffset, blocks.length]);
+      result.set(blocks, position);
+      position += blocks.length;
+    }
+
+    //how long each record's piece of the result is. This also checks that the records fit in the body
+    var summaryOffset = walkPatchRecords(body, function(type, offset)
+    {
+      if(type == RECORD_IDENTICAL) { identical = true; length = dataView.length; }
+      else if(type == RECORD_COPY) length += destinationBlocks(readInt32(body, offset + 1), readInt32(body, offset + 5)).length;
+      else if(type == RECORD_BLOCK) length += destinationBlocks(readInt32(body, offset + 1), 1).length;
+      else if(type == RECORD_LITERAL) length += readInt32(body, offset + 1);
+      else if(type == RECORD_DELTA) length += deltaLength(body.subarray(offset + 13, offset + 13 + readInt32(body, offset + 9)));
+      else if(type == RECORD_COMPRESSED) { checkCompressed(flags); length += readInt32(body, offset + 1); }
+    });
+
+    result = (identical && !output) ? dataView : resultView(length, output);
+
+    if(identical)
+    {
+      if(segments) segments.push([0, 0, dataView.length]);
+      if(output) result.set(dataView);
+    }
+    else walkPatchRecords(body, function(type, offset)
+    {
+      var size;
+      switch(type)
+      {
+        case RECORD_COPY:
+          copy(destinationBlocks(readInt32(body, offset + 1), readInt32(body, offset + 5)));
+          break;
+        case RECORD_BLOCK:
+          copy(destinationBlocks(readInt32(body, offset + 1), 1));
+          break;
+        case RECORD_LITERAL:
+          size = readInt32(body, offset + 1);
+          result.set(body.subarray(offset + 5, offset + 5 + size), position);
+          position += size;
+          break;
+        case RECORD_DELTA:
+          var base = destinationBlocks(readInt32(body, offset + 1), readInt32(body, offset + 5));
+          position = applyDelta(base, body.subarray(offset + 13, offset + 13 + readInt32(body, offset + 9)), result, position, segments && function(copyOffset, copyLength, at)
+          {
+            segments.push([at, base.byteOffset - dataView.byteOffset + copyOffset, copyLength]);
+          });
+          break;
+        case RECORD_COMPRESSED:
+          size = readInt32(body, offset + 1);
+          result.set(decompress(body.subarray(offset + 9, offset + 9 + readInt32(body, offset + 5)), size), position);
+          position += size;
+          break;
+      }
+    });
+
+    if(version >= 3 && verify)
+    {
+      if(summaryOffset + SOURCE_SUMMARY_SIZE > body.length)
+        throw new BSyncFormatError("Patch document ended in the middle of a record at offset " + summaryOffset);
+      summary = readSourceSummary(body, summaryOffset);
+      if(summaryOffset + SOURCE_SUMMARY_SIZE + summary.digestLength > body.length)
+        throw new BSyncFormatError("Patch document ended in the middle of a record at offset " + summaryOffset);
+      summary.digest = body.subarray(summaryOffset + SOURCE_SUMMARY_SIZE, summaryOffset + SOURCE_SUMMARY_SIZE + summary.digestLength);
+      checkSource(summary, result.length, summary.strongHash.create().update(result).digest());
+    }
+    if(output) return result;
+    return identical ? exactBuffer(dataView) : result.buffer;
+  }
+
+  /**
+   * Apply the patch to the destination data, making it into a duplicate of the source data. All versions of the patch document are supported.
+   * Due to the inability to modify the size of ArrayBuffers once they have been allocated, this function
+   * will return a new ArrayBuffer with the update file data. Its length is worked out from the patch first, so it's allocated once and each piece
+   * is written straight into place, but it still needs room for the destination and the result at the same time.
+   *
+   * To reuse memory, pass an ArrayBuffer or typed array as options.output. The result is written at the start of it, and a Uint8Array of the part
+   * that was written is returned instead. A RangeError is thrown if it's too small. It can't share memory with the destination data.
+   *
+   * Patch documents from version 3 on carry the length and hash of the source, and the result is checked against them. If it doesn't match (a false
+   * block match, or the wrong destination data) a BSyncIntegrityError is thrown. Pass {verify: false} as the options to skip the check and save the
+   * time it takes to hash the result.
+   *
+   * Pass {reverse: true} to get an undo patch as well, one that turns the result back into data (see createReversePatch). Then the return value is
+   * {data, reverse}, with the result in data and the undo patch in reverse.
+   *
+   * If data is a string, or the encoding option is given, it's text mode: data is encoded with options.encoding (see encodeText) and the result is
+   * decoded back into a string.
+   *
+   * A librsync delta, from `rdiff delta`, can be applied too. Those don't carry anything to check the result against, and can't give an undo patch.
+   */
+  function applyPatch(patchDocument, data, options)
+  {
+    options = options || {};
+    var text = typeof data == "string" || options.encoding !== undefined;
+    data = textToBinary(data, options.encoding);
+    var dataView = toUint8Array(data);
+    patchDocument = decodeDocument(patchDocument);
+    var segments = options.reverse ? [] : null;
+    var output = null;
+    var document, result;
+    if(options.output)
+    {
+      output = toUint8Array(options.output);
+      if(output.buffer === dataView.buffer)
+        throw new TypeError("The output buffer can't share memory with the destination data");
+    }
+    if(isRdiffDelta(patchDocument))
+    {
+      if(options.reverse)
+        throw new BSyncError("Undo patches can't be made while applying a librsync delta");
+      result = applyRdiffDelta(patchDocument, dataView, output);
+      return text ? decodeText(result, options.encoding) : result;
+    }
+
+    document = openDocument(patchDocument, DOCUMENT_PATCH, PATCH_DOCUMENT_VERSION);
+    if(document.legacy) result = applyVersion1Patch(patchDocument, dataView, output);
+    else result = applyVersion2Patch(document.body, dataView, document.version, document.flags, options.verify !== false, segments, output);
+    if(!options.reverse) return text ? decodeText(result, options.encoding) : result;
+
+    //version 1 patches are applied without keeping track of where everything came from, so for those the undo patch is worked out the long way
+    var blockSize = readInt32(document.body, 0);
+    return {
+      data: text ? decodeText(result, options.encoding) : result,
+      reverse: document.legacy ? createPatchDocument(createChecksumDocument(blockSize, result), dataView) : createReversePatch(result, dataView, blockSize, segments)
+    };
+  }
+
+  /**
+   * Apply a version 1 patch document to the destination data (a Uint8Array). Used by applyPatch. Like applyVersion2Patch, the result is written into
+   * output (a Uint8Array) if it's given.
+   */
+  function applyVersion1Patch(patchDocument, dataView, output)
+  {
+
+    if(patchDocument.byteLength < 12 || patchDocument.byteLength < 12 + (new Uint32Array(patchDocument,0,3)[2] * 4))
+      throw new BSyncFormatError("Patch document is too short, it may have been truncated");
+
+    var patchDocumentView32 = new Uint32Array(patchDocument,0,3);
+    var blockSize = patchDocumentView32[0];
+    var patchCount = patchDocumentView32[1];
+    var matchCount = patchDocumentView32[2];
+    var matchedBlockView32 = new Uint32Array(patchDocument,12,matchCount);
+    var i=0;
+    var j=0;
+
+    //first, let's deal with the simple case where we fully match. This is just an optimization for the unchanged file case.
+    //to determine this, the number of matches must exactly equal ceil of data / blockSize, and num patches must be zero
+    //additionally, the matched block indexes must start with 1 and be in order. This is to deal with the extreme edge case of a block being relocated
+    //on an exact block boundary
+    if(patchCount == 0)
+      if(Math.ceil(dataView.length / blockSize) == matchCount)
+        for(i = 1; i <= matchCount; i++)
+          if(matchedBlockView32[i-1] != i) { break; }
+    if((i - 1) == matchCount) return output ? writePieces([dataView], dataView.length, output) : exactBuffer(dataView); //exact match
+
+    //there was a modification. We need to construct the new document.
+    //the way this works is as follows:
+    //1) for each patch, get the last index of the matching block
+    //2) loop through the matchedBlocks, collecting blocks up to the index from step 1
+    //3) collect the patch at that point
+    //4) after all patches have been collected, continue to loop through the matchedBlocks collecting each one in order
+    //5) write all of the pieces into a result allocated once, now that its length is known
+    var offset = 12 + (matchCount * 4); //offset to the start of the patches
+    var lastMatchingBlockIndex=0;
+    var patchSize=0;
+    var patchView8;
+    var matchIndex=0; //the index into the matching blocks array
+    var blockIndex=0; //the index of the block in the matching blocks array
+    var pieces = [];
+    var length = 0;
+    var patchDocumentView8 = new Uint8Array(patchDocument);
+    var chunkSize=0;
+
+    function collect(piece)
+    {
+      pieces.push(piece);
+      length += piece.length;
+    }
+
+    for(i=0; i< patchCount; i++)
+    {
+      if(offset + 8 > patchDocumentView8.length || offset + 8 + readInt32(patchDocumentView8,offset + 4) > patchDocumentView8.length)
+        throw new BSyncFormatError("Patch document ended in the middle of patch " + (i + 1) + " of " + patchCount);
+      lastMatchingBlockIndex = readInt32(patchDocumentView8,offset);
+      patchSize = readInt32(patchDocumentView8,offset + 4);
+      patchView8 = new Uint8Array(patchDocument, offset + 8, patchSize);
+      offset = offset + 8 + patchSize;
+
+      for(;matchIndex < matchedBlockView32.length; matchIndex++)
+      {
+        blockIndex = matchedBlockView32[matchIndex];
+        if(blockIndex > lastMatchingBlockIndex) break;
+        if((blockIndex * blockSize) > dataView.length)
+          chunkSize = dataView.length % blockSize;
+        else chunkSize = blockSize;
+        collect(dataView.subarray((blockIndex-1) * blockSize, (blockIndex-1) * blockSize + chunkSize));
+      }
+
+      collect(patchView8);
+    }
+
+    //we're done with all the patches, add the remaining blocks
+    for(;matchIndex < matchedBlockView32.length; matchIndex++)
+    {
+      blockIndex = matchedBlockView32[matchIndex];
+      if((blockIndex * blockSize) > dataView.length)
+        chunkSize = dataView.length % blockSize;
+      else chunkSize = blockSize;
+      collect(dataView.subarray((blockIndex-1) * blockSize, (blockIndex-1) * blockSize + chunkSize));
+    }
+
+    return writePieces(pieces, length, output);
+  }
+
+  /**
+   * Copy pieces (Uint8Arrays, adding up to length) one after another into output, or into a new buffer if output is null. Returns the part of output
+   * that was written, or the new ArrayBuffer.
+   */
+  function writePieces(pieces, length, output)
+  {
+    var offset = 0;
+    var result = resultView(length, output);
+    for(var i = 0; i < pieces.length; i++)
+    {
+      result.set(pieces[i], offset);
+      offset += pieces[i].length;
+    }
+    return output ? result : result.buffer;
+  }
+
+  /**
+   * Writes a patch document from a description of the source in terms of the destination, for the patches that aren't made by searching the source for
+   * blocks (see createReversePatch and composePatches). Call these in the order the source goes:
+   *   copy(start, end) - a range of the destination, any bytes at all. Whole blocks are sent as copy records and the odd bytes at either end as delta
+   *                      records. Ranges that follow straight on from each other are put together first.
+   *   literal(bytes)   - new data, a Uint8Array. It's kept as it is until finish(), so it mustn't be changed in the meantime.
+   *   run(value, count) - new data that's all the same byte
+   *   identical()      - the source is the destination, instead of anything else
+   * finish(summary) takes the source summary (see sourceSummary), and returns the document. It's version 3, or 4 if it needed delta records.
+   * destinationLength is only used to tell whether a short block at the end of a range is the destination's last block, -1 if that's not known.
+   */
+  function createPatchWriter(blockSize, destinationLength)
+  {
+    var header = new Uint8Array(4);
+    var records = [new Uint8Array(HEADER_SIZE), header];
+    var version = 3;
+    var copyStart = 0;
+    var copyCount = 0;
+    var rangeStart = 0;
+    var rangeEnd = 0;
+    var literalPieces = [];
+    var literalSize = 0;
+    var isIdentical = false;
+
+    writeInt32(header, 0, blockSize);
+
+    function writeCopy()
+    {
+      if(copyCount == 0) return;
+      var record = new Uint8Array(9);
+      record[0] = RECORD_COPY;
+      writeInt32(record, 1, copyStart);
+      writeInt32(record, 5, copyCount);
+      records.push(record);
+      copyCount = 0;
+    }
+
+    function copyBlocks(firstBlock, count)
+    {
+      if(count == 0) return;
+      if(copyCount > 0 && copyStart + copyCount == firstBlock)
+      {
+        copyCount += count;
+        return;
+      }
+      writeCopy();
+      copyStart = firstBlock;
+      copyCount = count;
+    }
+
+    //part of a block or two, as a delta record with a single copy op
+    function copyBytes(start, end)
+    {
+      if(start == end) return;
+      writeCopy();
+      var firstBlock = Math.floor(start / blockSize) + 1;
+      var record = new Uint8Array(22);
+      record[0] = RECORD_DELTA;
+      writeInt32(record, 1, firstBlock);
+      writeInt32(record, 5, Math.floor((end - 1) / blockSize) + 2 - firstBlock);
+      writeInt32(record, 9, 9);
+      record[13] = OP_COPY;
+      writeInt32(record, 14, start - (firstBlock - 1) * blockSize);
+      writeInt32(record, 18, end - start);
+      records.push(record);
+      version = 4;
+    }
+
+    //the whole blocks in the pending range, and whatever's left over at either end
+    function flushRange()
+    {
+      if(rangeStart == rangeEnd) return;
+      var blocksStart = Math.ceil(rangeStart / blockSize) * blockSize;
+      var blocksEnd = Math.floor(rangeEnd / blockSize) * blockSize;
+      if(rangeEnd == destinationLength) blocksEnd = rangeEnd; //the last block is allowed to be short
+      if(blocksEnd <= blocksStart) copyBytes(rangeStart, rangeEnd);
+      else
+      {
+        copyBytes(rangeStart, blocksStart);
+        copyBlocks(blocksStart / blockSize + 1, Math.ceil((blocksEnd - blocksStart) / blockSize));
+        copyBytes(blocksEnd, rangeEnd);
+      }
+      rangeStart = rangeEnd = 0;
+    }
+
+    function flushLiteral()
+    {
+      if(literalSize == 0) return;
+      writeCopy();
+      var record = new Uint8Array(5 + literalSize);
+      var offset = 5;
+      record[0] = RECORD_LITERAL;
+      writeInt32(record, 1, literalSize);
+      for(var i = 0; i < literalPieces.length; i++)
+      {
+        record.set(literalPieces[i], offset);
+        offset += literalPieces[i].length;
+      }
+      records.push(record);
+      literalPieces = [];
+      literalSize = 0;
+    }
+
+    function copy(start, end)
+    {
+      if(start == end) return;
+      if(rangeEnd > rangeStart && start == rangeEnd)
+      {
+        rangeEnd = end;
+        return;
+      }
+      flushLiteral();
+      flushRange();
+      rangeStart = start;
+      rangeEnd = end;
+    }
+
+    //new data is gathered up into literal records of up to MAX_LITERAL_RECORD bytes, however it comes in
+    function literal(bytes)
+    {
+      var offset = 0;
+      flushRange();
+      while(offset < bytes.length)
+      {
+        var size = Math.min(bytes.length - offset, MAX_LITERAL_RECORD - literalSize);
+        literalPieces.push(bytes.subarray(offset, offset + size));
+        literalSize += size;
+        offset += size;
+        if(literalSize == MAX_LITERAL_RECORD) flushLiteral();
+      }
+    }
+
+    function run(value, count)
+    {
+      while(count > 0)
+      {
+        var piece = new Uint8Array(Math.min(count, MAX_LITERAL_RECORD));
+        piece.fill(value);
+        literal(piece);
+        count -= piece.length;
+      }
+    }
+
+    function finish(summary)
+    {
+      if(isIdentical) records.push(new Uint8Array([RECORD_IDENTICAL]));
+      else
+      {
+        flushLiteral();
+        flushRange();
+        writeCopy();
+        records.push(new Uint8Array([RECORD_END]));
+      }
+      records.push(summary, new Uint8Array(TRAILER_SIZE));
+      var patchDocument = concatBuffers(records);
+      sealDocument(patchDocument, DOCUMENT_PATCH, version);
+      return patchDocument;
+    }
+
+    return {copy: copy, literal: literal, run: run, identical: function() { isIdentical = true; }, finish: finish};
+  }
+
+  /**
+   * Make the patch that undoes applying a patch: it turns output (what applying the patch made) back into destination (what it was applied to).
+   * segments are the pieces of the output that were copied from the destination, as [offset in the output, offset in the destination, length], from
+   * applyVersion2Patch. Those pieces are copied back out of the output, so the only new data in the undo patch is whatever the patch dropped or overwrote.
+   */
+  function createReversePatch(output, destination, blockSize, segments)
+  {
+    var destinationView = toUint8Array(destination);
+    var writer = createPatchWriter(blockSize, output.byteLength);
+    var position = 0; //how much of the destination is done
+    var i;
+
+    if(segments.length == 1 && segments[0][0] == 0 && segments[0][1] == 0 && segments[0][2] == output.byteLength && output.byteLength == destination.byteLength)
+      writer.identical();
+    else
+    {
+      //in destination order. A part of the destination that was copied more than once only needs to be copied back once
+      segments.sort(function(a, b) { return a[1] - b[1]; });
+      for(i = 0; i < segments.length; i++)
+      {
+        var outputStart = segments[i][0];
+        var start = segments[i][1];
+        var end = start + segments[i][2];
+        if(end <= position) continue;
+        if(start < position)
+        {
+          outputStart += position - start;
+          start = position;
+        }
+        writer.literal(destinationView.subarray(position, start));
+        writer.copy(outputStart, outputStart + end - start);
+        position = end;
+      }
+      writer.literal(destinationView.subarray(position));
+    }
+
+    var sourceHash = getStrongHash(SOURCE_HASH);
+    return writer.finish(sourceSummary(destinationView.length, sourceHash, sourceHash.digest(destinationView)));
+  }
+
+  /**
+   * Copy records give blocks, not bytes. Every block is blockSize long but the destination's last one, so if a patch's records come to more bytes than
+   * its source (known counts every block copied as a whole blockSize), the difference has to be from copying the last block, which can only be the highest
+   * numbered one copied. runs are the blocks copied, as [firstBlock, count]. Returns {block, shortBy}, the destination's last block and how much shorter
+   * than blockSize it is, with shortBy 0 if the records already add up. Throws a BSyncError, calling the patch name, if they can't.
+   */
+  function findShortBlock(runs, known, sourceLength, blockSize, name)
+  {
+    var block = 0;
+    var copies = 0;
+    var shortBy = 0;
+    var i;
+
+    for(i = 0; i < runs.length; i++) block = Math.max(block, runs[i][0] + runs[i][1] - 1);
+    if(known != sourceLength)
+    {
+      for(i = 0; i < runs.length; i++)
+        if(runs[i][0] + runs[i][1] - 1 == block) copies++;
+      shortBy = (known - sourceLength) / copies;
+      if(!(shortBy >= 1 && shortBy < blockSize && shortBy % 1 == 0))
+        throw new BSyncError(name + " doesn't add up, its records make " + known + " bytes but its source is " + sourceLength + " bytes long");
+    }
+    return {block: block, shortBy: shortBy};
+  }
+
+  var PIECE_COPY = 0; //a range of the destination, the value is where it starts
+  var PIECE_DATA = 1; //new data, the value is a Uint8Array of it
+  var PIECE_RUN = 2;  //new data that's all the same byte, the value is the byte
+
+  /**
+   * Read a patch document into a list of the pieces of its source, in order, as [offset in the source, length, type, value] (see PIECE_COPY and the
+   * others). Used by composePatches and exportRdiffDelta. name is what to call the patch in errors ("Patch 2"), and action is what's being done with it
+   * ("composed"), for the errors about patches that can't be used. destinationLength is -1 if it isn't known, and then it's worked out
+   * if the patch copies the destination's last block, since that's the only one that can be short. Returns {blockSize, pieces, length, destinationLength,
+   * summary}, where length is the length of the source and summary is the source summary, ready to be written into another patch.
+   */
+  function readPatchPieces(patchDocument, destinationLength, name, action)
+  {
+    var document = openDocument(patchDocument, DOCUMENT_PATCH, PATCH_DOCUMENT_VERSION);
+    if(document.legacy || document.version < 3)
+      throw new BSyncError(name + " is format version " + document.version + ". Only patches from version 3 on can be " + action + ", older ones don't say how long their source is");
+    if(document.flags & PATCH_FLAG_LINES)
+      throw new BSyncError(name + " has line-aware blocks, which can't be " + action + ". Where they are depends on the data, not just the patch.");
+    var body = document.body;
+    var blockSize = readInt32(body, 0);
+    var summary = findSourceSummary(body);
+    var pieces = [];
+    var blockRuns = []; //copy records as [firstBlock, count], which need the length of the destination's last block before they can be pieces
+    var known = 0;
+    var i, position;
+
+    function piece(length, type, value)
+    {
+      if(length == 0) return;
+      pieces.push([0, length, type, value]);
+      known += length;
+    }
+
+    function blocks(firstBlock, count)
+    {
+      if(count == 0) return;
+      if(firstBlock < 1)
+        throw new BSyncError(name + " refers to block " + firstBlock + ", block numbers start at 1");
+      blockRuns.push([firstBlock, count]);
+      pieces.push([0, 0, PIECE_COPY, firstBlock, count]);
+      known += count * blockSize;
+    }
+
+    walkPatchRecords(body, function(type, offset)
+    {
+      switch(type)
+      {
+        case RECORD_COPY: blocks(readInt32(body, offset + 1), readInt32(body, offset + 5)); break;
+        case RECORD_BLOCK: blocks(readInt32(body, offset + 1), 1); break;
+        case RECORD_IDENTICAL: piece(summary.length, PIECE_COPY, 0); break;
+        case RECORD_LITERAL: piece(readInt32(body, offset + 1), PIECE_DATA, body.subarray(offset + 5, offset + 5 + readInt32(body, offset + 1))); break;
+        case RECORD_COMPRESSED:
+          checkCompressed(document.flags);
+          piece(readInt32(body, offset + 1), PIECE_DATA, decompress(body.subarray(offset + 9, offset + 9 + readInt32(body, offset + 5)), readInt32(body, offset + 1)));
+          break;
+        case RECORD_DELTA:
+          var base = (readInt32(body, offset + 1) - 1) * blockSize;
+          var ops = body.subarray(offset + 13, offset + 13 + readInt32(body, offset + 9));
+          var at = 0;
+          while(at < ops.length)
+          {
+            if(ops[at] == OP_COPY && at + 9 <= ops.length) { piece(readInt32(ops, at + 5), PIECE_COPY, base + readInt32(ops, at + 1)); at += 9; }
+            else if(ops[at] == OP_ADD && at + 5 <= ops.length) { piece(readInt32(ops, at + 1), PIECE_DATA, ops.subarray(at + 5, at + 5 + readInt32(ops, at + 1))); at += 5 + readInt32(ops, at + 1); }
+            else if(ops[at] == OP_RUN && at + 6 <= ops.length) { piece(readInt32(ops, at + 2), PIECE_RUN, ops[at + 1]); at += 6; }
+            else throw new BSyncFormatError("Bad op in a delta record in " + name.toLowerCase());
+          }
+          break;
+      }
+    });
+
+    if(destinationLength < 0 && known != summary.length)
+    {
+      var lastBlock = findShortBlock(blockRuns, known, summary.length, blockSize, name);
+      destinationLength = lastBlock.block * blockSize - lastBlock.shortBy;
+    }
+
+    position = 0;
+    for(i = 0; i < pieces.length; i++)
+    {
+      if(pieces[i].length == 5)
+      {
+        var start = (pieces[i][3] - 1) * blockSize;
+        var end = (pieces[i][3] - 1 + pieces[i][4]) * blockSize;
+        if(destinationLength >= 0)
+        {
+          if(start >= destinationLength)
+            throw new BSyncError(name + " refers to block " + pieces[i][3] + ", which is past the end of its destination (" + destinationLength + " bytes)");
+          end = Math.min(end, destinationLength);
+        }
+        pieces[i] = [0, end - start, PIECE_COPY, start];
+      }
+      pieces[i][0] = position;
+      position += pieces[i][1];
+    }
+    if(position != summary.length)
+      throw new BSyncError(name + " doesn't add up, its records make " + position + " bytes but its source is " + summary.length + " bytes long");
+
+    return {blockSize: blockSize, pieces: pieces, length: summary.length, destinationLength: destinationLength,
+            summary: sourceSummary(summary.length, summary.strongHash, summary.digest)};
+  }
+
+  /**
+   * Combine patches that were made one after the other, A to B, B to C and so on, into one patch that goes straight from the first one's destination to
+   * the last one's source. Takes the patch documents as arguments, or as an array, in order.
+   *
+   * The patches are all that's needed, none of the data. Each patch's copies of its destination are swapped for whatever the patch before it put in those
+   * bytes: either a copy from further back, or new data. What's left is copies from the first destination, which use its block size, and new data. The
+   * result is an ordinary patch document, with the last patch's source summary so it's checked when it's applied.
+   *
+   * Only patches from version 3 on can be composed, since composing them needs to know how long each source is. A BSyncError is thrown if a patch
+   * needs bytes the one before it doesn't make, which means they weren't made one after the other.
+   */
+  function composePatches()
+  {
+    var patches = Array.prototype.concat.apply([], arguments);
+    if(patches.length == 0) throw new TypeError("composePatches needs at least one patch document");
+
+    var first = readPatchPieces(patches[0], -1, "Patch 1", "composed");
+    var current = first;
+    var i, j;
+
+    for(i = 1; i < patches.length; i++)
+    {
+      var next = readPatchPieces(patches[i], current.length, "Patch " + (i + 1), "composed");
+      var pieces = [];
+      var position = 0;
+      for(j = 0; j < next.pieces.length; j++)
+      {
+        var piece = next.pieces[j];
+        if(piece[2] != PIECE_COPY)
+        {
+          pieces.push([position, piece[1], piece[2], piece[3]]);
+          position += piece[1];
+          continue;
+        }
+        var start = piece[3];
+        var end = start + piece[1];
+        if(end > current.length)
+          throw new BSyncError("Patch " + (i + 1) + " needs bytes " + start + " to " + end + " of its destination, but patch " + i + " only makes " + current.length);
+
+        //find the first piece of the patch before that has any of the bytes, then take what's needed from it and the ones after it
+        var low = 0;
+        var high = current.pieces.length - 1;
+        while(low < high)
+        {
+          var middle = (low + high + 1) >> 1;
+          if(current.pieces[middle][0] <= start) low = middle;
+          else high = middle - 1;
+        }
+        for(var k = low; start < end; k++)
+        {
+          var from = current.pieces[k];
+          var skip = start - from[0];
+          var length = Math.min(from[0] + from[1], end) - start;
+          var value = from[2] == PIECE_COPY ? from[3] + skip : from[2] == PIECE_DATA ? from[3].subarray(skip, skip + length) : from[3];
+          pieces.push([position, length, from[2], value]);
+          position += length;
+          start += length;
+        }
+      }
+      current = {pieces: pieces, length: next.length, summary: next.summary};
+    }
+
+    var writer = createPatchWriter(first.blockSize, first.destinationLength);
+    if(current.pieces.length == 1 && current.pieces[0][2] == PIECE_COPY && current.pieces[0][3] == 0 && current.length == first.destinationLength)
+      writer.identical();
+    else
+    {
+      for(i = 0; i < current.pieces.length; i++)
+      {
+        var p = current.pieces[i];
+        if(p[2] == PIECE_COPY) writer.copy(p[3], p[3] + p[1]);
+        else if(p[2] == PIECE_DATA) writer.literal(p[3]);
+        else writer.run(p[3], p[1]);
+      }
+    }
+    return writer.finish(current.summary);
+  }
+
+  /**
+   * librsync interop, so bit-sync can work with rdiff on the other end. Its documents are all big endian, and have no header or trailer beyond a magic number.
+   *
+   * A signature is the magic number, the block length and the strong sum length (4 bytes each), then for every block of the data its weak sum (4 bytes)
+   * and the first strong sum length bytes of its strong sum. Which weak and strong sums those are depends on the magic, see RDIFF_SIGNATURES.
+   *
+   * A delta is RS_DELTA_MAGIC then commands, each an opcode byte and its parameters:
+   *   0 - end
+   *   1 to 64 - a literal that long, the data follows
+   *   65 to 68 - a literal whose length follows in 1, 2, 4 or 8 bytes, then the data
+   *   69 to 84 - a copy from the basis (the destination here). 69 + 4 * where's size + length's size, where the sizes go 0 to 3 for 1, 2, 4 and 8 byte
+   *              parameters. The position in the basis follows, then the length.
+   */
+  var RDIFF_SIGNATURES = {
+    "md4": {magic: 0x72730136, weakSum: "rollsum", strongHash: "md4"},
+    "blake2": {magic: 0x72730137, weakSum: "rollsum", strongHash: "blake2b256"},
+    "rk-md4": {magic: 0x72730146, weakSum: "rabinkarp", strongHash: "md4"},
+    "rk-blake2": {magic: 0x72730147, weakSum: "rabinkarp", strongHash: "blake2b256"}
+  };
+  var RDIFF_DEFAULT_FORMAT = "rk-blake2"; //what rdiff makes by default
+  var RDIFF_DEFAULT_BLOCK_SIZE = 2048;
+  var RDIFF_SIGNATURE_HEADER_SIZE = 12;
+  var RS_DELTA_MAGIC = 0x72730236;
+  var RS_OP_END = 0;
+  var RS_OP_LITERAL_N1 = 0x41;
+  var RS_OP_COPY_N1_N1 = 0x45;
+  var RS_OP_COPY_N8_N8 = 0x54;
+  var RS_INT_SIZES = [1, 2, 4, 8];
+
+  function readInt32BE(view, offset)
+  {
+    return ((view[offset] << 24) | (view[offset + 1] << 16) | (view[offset + 2] << 8) | view[offset + 3]) >>> 0;
+  }
+
+  function writeInt32BE(view, offset, value)
+  {
+    view[offset] = (value >>> 24) & 0xFF;
+    view[offset + 1] = (value >>> 16) & 0xFF;
+    view[offset + 2] = (value >>> 8) & 0xFF;
+    view[offset + 3] = value & 0xFF;
+  }
+
+  //which of RDIFF_SIGNATURES a document is, going by its magic number, or null if it isn't a librsync signature
+  function rdiffSignatureFormat(view)
+  {
+    if(view.length < 4) return null;
+    var magic = readInt32BE(view, 0);
+    for(var name in RDIFF_SIGNATURES)
+      if(RDIFF_SIGNATURES[name].magic == magic) return name;
+    return null;
+  }
+
+  //a legacy checksum document starting with one of these would need a block size of over 900MB, so they can't be mistaken for each other
+  function isRdiffSignature(document)
+  {
+    return !!rdiffSignatureFormat(toUint8Array(document));
+  }
+
+  function isRdiffDelta(document)
+  {
+    var view = toUint8Array(document);
+    return view.length >= 4 && readInt32BE(view, 0) == RS_DELTA_MAGIC;
+  }
+
+  /**
+   * Read a librsync signature into the same thing readChecksumDocument returns for a checksum document, with rdiff set to its format (a key of
+   * RDIFF_SIGNATURES). The entries are rewritten with little endian weak sums, so the rest of the code can treat it like any other checksum document.
+   */
+  function readRdiffSignature(signature)
+  {
+    var view = toUint8Array(signature);
+    var format = RDIFF_SIGNATURES[rdiffSignatureFormat(view)];
+    if(view.length < RDIFF_SIGNATURE_HEADER_SIZE)
+      throw new BSyncFormatError("librsync signature is too short to hold its block length and strong sum length");
+    var blockSize = readInt32BE(view, 4);
+    var strongLength = readInt32BE(view, 8);
+    var strongHash = strongHashes[format.strongHash];
+    if(blockSize == 0)
+      throw new BSyncFormatError("librsync signature has a block length of zero");
+    if(strongLength == 0 || strongLength > strongHash.digestLength)
+      throw new BSyncFormatError("librsync signature says its " + strongHash.name + " sums are " + strongLength + " bytes long, they can't be more than " + strongHash.digestLength);
+
+    var info = checksumLayout(blockSize, strongHash, strongLength, 0, false);
+    var body = view.subarray(RDIFF_SIGNATURE_HEADER_SIZE);
+    if(body.length % info.entrySize != 0)
+      throw new BSyncFormatError("librsync signature has " + body.length + " bytes of block sums, which isn't a whole number of " + info.entrySize + " byte blocks. It has probably been truncated.");
+    info.numBlocks = body.length / info.entrySize;
+    info.entries = new Uint8Array(body);
+    for(var i = 0; i < info.entries.length; i += info.entrySize)
+      writeInt32(info.entries, i, readInt32BE(body, i));
+    info.weakSum = WEAK_SUMS[format.weakSum];
+    info.rdiff = rdiffSignatureFormat(view);
+    return info;
+  }
+
+  /**
+   * Create a librsync signature of data, the same as `rdiff signature` would, for a sender that's going to use rdiff to make the delta. createPatchDocument
+   * and the rest take librsync signatures as well as checksum documents, so a bit-sync sender can use one too. Options:
+   *   blockSize - defaults to 2048. rdiff picks its own if it isn't told, so give it the same one with -b to get the same signature.
+   *   format - "rk-blake2" (the default, and rdiff's), "blake2", "rk-md4" or "md4". The rk ones use RabinKarp weak sums, the others librsync's older rollsum.
+   *   strongLength - how many bytes of each strong sum to keep, defaults to all of it (32 for blake2, 16 for md4). Like rdiff's -S.
+   *   encoding - for string data, see encodeText.
+   * Returns an ArrayBuffer.
+   */
+  function createRdiffSignature(data, options)
+  {
+    options = options || {};
+    var view = new Uint8Array(textToBinary(data, options.encoding));
+    var formatName = options.format || RDIFF_DEFAULT_FORMAT;
+    var format = RDIFF_SIGNATURES.hasOwnProperty(formatName) ? RDIFF_SIGNATURES[formatName] : null;
+    if(!format)
+      throw new TypeError("librsync signatures can be \"rk-blake2\", \"blake2\", \"rk-md4\" or \"md4\", got: " + formatName);
+    var strongHash = strongHashes[format.strongHash];
+    var blockSize = options.blockSize === undefined ? RDIFF_DEFAULT_BLOCK_SIZE : options.blockSize;
+    var strongLength = options.strongLength === undefined ? strongHash.digestLength : options.strongLength;
+    if(!(blockSize >= 1 && blockSize <= 0xFFFFFFFF && blockSize % 1 == 0))
+      throw new TypeError("blockSize should be a whole number of bytes, got: " + blockSize);
+    if(!(strongLength >= 1 && strongLength <= strongHash.digestLength && strongLength % 1 == 0))
+      throw new TypeError("strongLength should be from 1 to " + strongHash.digestLength + " for " + formatName + " signatures, got: " + strongLength);
+
+    var numBlocks = Math.ceil(view.length / blockSize);
+    var entrySize = 4 + strongLength;
+    var signature = new Uint8Array(RDIFF_SIGNATURE_HEADER_SIZE + numBlocks * entrySize);
+    writeInt32BE(signature, 0, format.magic);
+    writeInt32BE(signature, 4, blockSize);
+    writeInt32BE(signature, 8, strongLength);
+    for(var i = 0; i < numBlocks; i++)
+    {
+      var block = view.subarray(i * blockSize, Math.min((i + 1) * blockSize, view.length));
+      var offset = RDIFF_SIGNATURE_HEADER_SIZE + i * entrySize;
+      writeInt32BE(signature, offset, WEAK_SUMS[format.weakSum].sum(0, block.length - 1, block).checksum);
+      signature.set(strongHash.digest(block).subarray(0, strongLength), offset + 4);
+    }
+    return signature.buffer;
+  }
+
+  //how many bytes a delta command parameter takes, the same way librsync decides
+  function rdiffIntSize(value)
+  {
+    return value <= 0xFF ? 1 : value <= 0xFFFF ? 2 : value <= 0xFFFFFFFF ? 4 : 8;
+  }
+
+  function writeRdiffInt(view, offset, value, size)
+  {
+    if(size == 8)
+    {
+      writeInt32BE(view, offset, Math.floor(value / 0x100000000));
+      writeInt32BE(view, offset + 4, value >>> 0);
+    }
+    else
+      for(var i = size - 1; i >= 0; i--, value = Math.floor(value / 256)) view[offset + i] = value & 0xFF;
+  }
+
+  /**
+   * Turn a patch document into a librsync delta, for `rdiff patch` to apply. The patch has to be version 3 or later and not line-aware, for the same
+   * reasons as composePatches: the delta has to say exactly which bytes of the basis to copy. That comes out of the patch alone if it copies the
+   * destination's last block, otherwise pass the length of the destination as destinationLength. rdiff doesn't check its result, so the source summary
+   * is left behind. Returns an ArrayBuffer.
+   */
+  function exportRdiffDelta(patchDocument, destinationLength)
+  {
+    var patch = readPatchPieces(patchDocument, destinationLength === undefined ? -1 : destinationLength, "The patch", "turned into librsync deltas");
+    var commands = [];
+    var size = 4 + 1;
+    var i, piece;
+
+    //neighbouring pieces are merged, rdiff has no use for where the blocks were
+    for(i = 0; i < patch.pieces.length; i++)
+    {
+      piece = patch.pieces[i];
+      var last = commands[commands.length - 1];
+      if(piece[2] == PIECE_COPY && last && last.copy && last.from + last.length == piece[3])
+        last.length += piece[1];
+      else if(piece[2] != PIECE_COPY && last && !last.copy)
+      {
+        last.length += piece[1];
+        last.pieces.push(piece);
+      }
+      else commands.push(piece[2] == PIECE_COPY ? {copy: true, from: piece[3], length: piece[1]} : {copy: false, length: piece[1], pieces: [piece]});
+    }
+    for(i = 0; i < commands.length; i++)
+      size += 1 + (commands[i].copy ? rdiffIntSize(commands[i].from) + rdiffIntSize(commands[i].length) :
+                   (commands[i].length <= 64 ? 0 : rdiffIntSize(commands[i].length)) + commands[i].length);
+
+    var delta = new Uint8Array(size);
+    var position = 4;
+    writeInt32BE(delta, 0, RS_DELTA_MAGIC);
+    for(i = 0; i < commands.length; i++)
+    {
+      var command = commands[i];
+      if(command.copy)
+      {
+        var whereSize = rdiffIntSize(command.from);
+        var lengthSize = rdiffIntSize(command.length);
+        delta[position++] = RS_OP_COPY_N1_N1 + 4 * RS_INT_SIZES.indexOf(whereSize) + RS_INT_SIZES.indexOf(lengthSize);
+        writeRdiffInt(delta, position, command.from, whereSize);
+        writeRdiffInt(delta, position + whereSize, command.length, lengthSize);
+        position += whereSize + lengthSize;
+        continue;
+      }
+      if(command.length <= 64) delta[position++] = command.length;
+      else
+      {
+        var literalSize = rdiffIntSize(command.length);
+        delta[position++] = RS_OP_LITERAL_N1 + RS_INT_SIZES.indexOf(literalSize);
+        writeRdiffInt(delta, position, command.length, literalSize);
+        position += literalSize;
+      }
+      for(var j = 0; j < command.pieces.length; j++)
+      {
+        piece = command.pieces[j];
+        if(piece[2] == PIECE_DATA) delta.set(piece[3], position);
+        else delta.fill(piece[3], position, position + piece[1]);
+        position += piece[1];
+      }
+    }
+    delta[position] = RS_OP_END;
+    return delta.buffer;
+  }
+
+  //the commands in a librsync delta, each [copy, offset, length] where offset is in the basis for a copy and in the delta for a literal, and how long
+  //the result of applying it is. Used by applyRdiffDelta and inspectPatch.
+  function readRdiffDelta(view)
+  {
+    var commands = [];
+    var length = 0;
+    var position = 4;
+
+    function readInt(size)
+    {
+      if(position + size > view.length)
+        throw new BSyncFormatError("librsync delta ended in the middle of a command at offset " + position);
+      var value = 0;
+      for(var i = 0; i < size; i++) value = value * 256 + view[position + i];
+      position += size;
+      return value;
+    }
+
+    for(;;)
+    {
+      var commandOffset = position;
+      var op = readInt(1);
+      if(op == RS_OP_END) break;
+      if(op < RS_OP_COPY_N1_N1)
+      {
+        var literalLength = op < RS_OP_LITERAL_N1 ? op : readInt(RS_INT_SIZES[op - RS_OP_LITERAL_N1]);
+        if(position + literalLength > view.length)
+          throw new BSyncFormatError("librsync delta ended in the middle of a command at offset " + commandOffset);
+        commands.push([false, position, literalLength]);
+        position += literalLength;
+        length += literalLength;
+      }
+      else if(op <= RS_OP_COPY_N8_N8)
+      {
+        var from = readInt(RS_INT_SIZES[(op - RS_OP_COPY_N1_N1) >> 2]);
+        var copyLength = readInt(RS_INT_SIZES[(op - RS_OP_COPY_N1_N1) & 3]);
+        commands.push([true, from, copyLength]);
+        length += copyLength;
+      }
+      else
+        throw new BSyncFormatError("librsync delta has an unknown command (" + op + ") at offset " + commandOffset);
+    }
+    if(position != view.length)
+      throw new BSyncFormatError("librsync delta has " + (view.length - position) + " bytes after its end command");
+    return {commands: commands, length: length};
+  }
+
+  /**
+   * Apply a librsync delta to data, the basis. Used by applyPatch. The commands are gone over twice, like applyVersion2Patch does with records: once to
+   * check them and add up how long the result is, and again to write it. There's nothing to check the result against, librsync deltas don't carry a hash.
+   */
+  function applyRdiffDelta(delta, data, output)
+  {
+    var view = toUint8Array(delta);
+    var base = toUint8Array(data);
+    var parsed = readRdiffDelta(view);
+    var commands = parsed.commands;
+    var position = 0;
+    var result, i;
+
+    for(i = 0; i < commands.length; i++)
+      if(commands[i][0] && commands[i][1] + commands[i][2] > base.length)
+        throw new BSyncError("librsync delta copies bytes " + commands[i][1] + " to " + (commands[i][1] + commands[i][2]) + " of its basis, which is only " + base.length + " bytes long");
+
+    result = resultView(parsed.length, output);
+    for(i = 0; i < commands.length; i++)
+    {
+      var source = commands[i][0] ? base : view;
+      result.set(source.subarray(commands[i][1], commands[i][1] + commands[i][2]), position);
+      position += commands[i][2];
+    }
+    return output ? result : result.buffer;
+  }
+
+  //bytes as a hex string, for showing digests
+  function toHex(bytes)
+  {
+    var hex = "";
+    for(var i = 0; i < bytes.length; i++) hex += (bytes[i] < 16 ? "0" : "") + bytes[i].toString(16);
+    return hex;
+  }
+
+  /**
+   * Describe a patch document, any version, without applying it. Returns:
+   *   {type: "patch", version, flags, blockSize, documentLength, sourceLength, exact, sourceHash, sourceDigest, operations, matchedBlocks, copiedBytes,
+   *    literalBytes, savedBytes, savings}
+   *
+   * operations are what the patch does, in order, each one {type, offset, length} where offset and length are the part of the source it makes:
+   *   copy - blocks of the destination, with firstBlock and blockCount. Block numbers start at 1.
+   *   literal - new data, with compressedLength as well if it's in a compressed record.
+   *   delta - new data made from changes to some destination blocks (firstBlock and blockCount), with copiedBytes taken from them and literalBytes that
+   *           are new.
+   *   identical - the source and destination are already the same, so the whole destination is copied.
+   * matchedBlocks counts the blocks copied, and copiedBytes and literalBytes are how much of the source comes from the destination and how much
+   * is in the patch.
+   *
+   * Only version 3 and later patches say how long their source is, and what its hash (sourceHash is the hash's name, and sourceDigest the digest in
+   * hex) is. For older ones, sourceLength and the lengths of copies are worked out as if every block is whole, and exact is false. An identical record
+   * in a version 2 patch has a length of 0, since there's nothing to tell how long it is.
+   *
+   * lines is true if the patch has line-aware blocks (see createLineChunker). How long those are depends on the destination, so then copies have a
+   * null length, everything from the first one on has a null offset, and an identical record has a null matchedBlocks.
+   *
+   * savedBytes is how much smaller the patch is than sending the whole source, and savings is that as a fraction of the source's length.
+   *
+   * librsync deltas can be described too. They have rdiff set to true, a null version, blockSize and matchedBlocks, since they copy ranges of bytes
+   * rather than blocks, and their copies have from, where in the destination they copy from, instead of firstBlock and blockCount. How long the source
+   * is comes out of the commands, so exact is true, but there's no hash.
+   */
+  function inspectPatch(patchDocument)
+  {
+    patchDocument = decodeDocument(patchDocument);
+    if(isRdiffDelta(patchDocument)) return inspectRdiffDelta(patchDocument);
+    var document = openDocument(patchDocument, DOCUMENT_PATCH, PATCH_DOCUMENT_VERSION);
+    var body = document.body;
+    var info = {type: "patch", version: document.version, flags: document.flags, blockSize: 0, documentLength: toUint8Array(patchDocument).length,
+                sourceLength: 0, exact: false, lines: !!(document.flags & PATCH_FLAG_LINES), sourceHash: null, sourceDigest: null, operations: [], matchedBlocks: 0,
+                copiedBytes: 0, literalBytes: 0, savedBytes: 0, savings: 0};
+    var runs = [];
+    var known = 0;
+    var summary = null;
+    var i;
+
+    function operation(op)
+    {
+      info.operations.push(op);
+      if(op.type == "copy")
+      {
+        runs.push([op.firstBlock, op.blockCount]);
+        info.matchedBlocks += op.blockCount;
+      }
+      known += op.length;
+    }
+
+    function copy(firstBlock, count)
+    {
+      var last = info.operations[info.operations.length - 1];
+      if(last && last.type == "copy" && last.firstBlock + last.blockCount == firstBlock)
+      {
+        last.blockCount += count;
+        last.length += count * info.blockSize;
+        runs[runs.length - 1][1] += count;
+        info.matchedBlocks += count;
+        known += count * info.blockSize;
+      }
+      else operation({type: "copy", offset: 0, length: count * info.blockSize, firstBlock: firstBlock, blockCount: count});
+    }
+
+    if(document.legacy)
+    {
+      if(body.length < 12 || body.length < 12 + readInt32(body, 8) * 4)
+        throw new BSyncFormatError("Patch document is too short, it may have been truncated");
+      info.blockSize = readInt32(body, 0);
+      var patchCount = readInt32(body, 4);
+      var matchCount = readInt32(body, 8);
+      var matchIndex = 0;
+      var offset = 12 + matchCount * 4;
+
+      //same order applyVersion1Patch puts them in
+      for(i = 0; i <= patchCount; i++)
+      {
+        var lastMatchingBlockIndex = 0xFFFFFFFF;
+        if(i < patchCount)
+        {
+          if(offset + 8 > body.length || offset + 8 + readInt32(body, offset + 4) > body.length)
+            throw new BSyncFormatError("Patch document ended in the middle of patch " + (i + 1) + " of " + patchCount);
+          lastMatchingBlockIndex = readInt32(body, offset);
+        }
+        for(; matchIndex < matchCount && readInt32(body, 12 + matchIndex * 4) <= lastMatchingBlockIndex; matchIndex++)
+          copy(readInt32(body, 12 + matchIndex * 4), 1);
+        if(i < patchCount)
+        {
+          operation({type: "literal", offset: 0, length: readInt32(body, offset + 4)});
+          offset += 8 + readInt32(body, offset + 4);
+        }
+      }
+    }
+    else
+    {
+      if(body.length < 4)
+        throw new BSyncFormatError("Patch document is too short to hold a block size");
+      info.blockSize = readInt32(body, 0);
+      if(document.version >= 3) summary = findSourceSummary(body);
+
+      walkPatchRecords(body, function(type, offset)
+      {
+        switch(type)
+        {
+          case RECORD_COPY: copy(readInt32(body, offset + 1), readInt32(body, offset + 5)); break;
+          case RECORD_BLOCK: copy(readInt32(body, offset + 1), 1); break;
+          case RECORD_LITERAL: operation({type: "literal", offset: 0, length: readInt32(body, offset + 1)}); break;
+          case RECORD_COMPRESSED:
+            checkCompressed(document.flags);
+            operation({type: "literal", offset: 0, length: readInt32(body, offset + 1), compressedLength: readInt32(body, offset + 5)});
+            break;
+          case RECORD_IDENTICAL: operation({type: "identical", offset: 0, length: summary ? summary.length : 0}); break;
+          case RECORD_DELTA:
+            var ops = body.subarray(offset + 13, offset + 13 + readInt32(body, offset + 9));
+            var length = deltaLength(ops);
+            var copied = 0;
+            for(var at = 0; at < ops.length; at += ops[at] == OP_COPY ? 9 : ops[at] == OP_ADD ? 5 + readInt32(ops, at + 1) : 6)
+              if(ops[at] == OP_COPY) copied += readInt32(ops, at + 5);
+            operation({type: "delta", offset: 0, length: length, firstBlock: readInt32(body, offset + 1), blockCount: readInt32(body, offset + 5),
+                       copiedBytes: copied, literalBytes: length - copied});
+            break;
+        }
+      });
+    }
+
+    //trim the destination's last block, now that it's known which one that is and how short
+    var lastBlock = summary && !info.lines ? findShortBlock(runs, known, summary.length, info.blockSize, "Patch document") : {block: 0, shortBy: 0};
+    var position = 0;
+    for(i = 0; i < info.operations.length; i++)
+    {
+      var op = info.operations[i];
+      if(op.type == "copy" && info.lines) op.length = null;
+      if(op.type == "copy" && op.firstBlock + op.blockCount - 1 == lastBlock.block) op.length -= lastBlock.shortBy;
+      op.offset = position;
+      position = position === null || op.length === null ? null : position + op.length;
+      if(op.type == "identical") info.matchedBlocks = info.lines ? null : Math.ceil(op.length / info.blockSize);
+      if(op.type == "copy" || op.type == "identical") info.copiedBytes += op.length;
+      else if(op.type == "delta")
+      {
+        info.copiedBytes += op.copiedBytes;
+        info.literalBytes += op.literalBytes;
+      }
+      else info.literalBytes += op.length;
+    }
+
+    //with line-aware blocks, the copies are whatever the rest of the source isn't
+    if(info.lines)
+    {
+      position = summary.length;
+      info.copiedBytes = position - info.literalBytes;
+    }
+    info.sourceLength = position;
+    info.exact = !!summary;
+    if(summary)
+    {
+      info.sourceHash = summary.strongHash.name;
+      info.sourceDigest = toHex(summary.digest);
+    }
+    info.savedBytes = info.sourceLength - info.documentLength;
+    info.savings = info.sourceLength ? info.savedBytes / info.sourceLength : 0;
+    return info;
+  }
+
+  //inspectPatch for a librsync delta
+  function inspectRdiffDelta(delta)
+  {
+    var view = toUint8Array(delta);
+    var commands = readRdiffDelta(view).commands;
+    var info = {type: "patch", rdiff: true, version: null, flags: 0, blockSize: null, documentLength: view.length, sourceLength: 0, exact: true, lines: false,
+                sourceHash: null, sourceDigest: null, operations: [], matchedBlocks: null, copiedBytes: 0, literalBytes: 0, savedBytes: 0, savings: 0};
+
+    for(var i = 0; i < commands.length; i++)
+    {
+      if(commands[i][0])
+      {
+        info.operations.push({type: "copy", offset: info.sourceLength, length: commands[i][2], from: commands[i][1]});
+        info.copiedBytes += commands[i][2];
+      }
+      else
+      {
+        info.operations.push({type: "literal", offset: info.sourceLength, length: commands[i][2]});
+        info.literalBytes += commands[i][2];
+      }
+      info.sourceLength += commands[i][2];
+    }
+    info.savedBytes = info.sourceLength - info.documentLength;
+    info.savings = info.sourceLength ? info.savedBytes / info.sourceLength : 0;
+    return info;
+  }
+
+  /**
+   * Describe a checksum document. Returns:
+   *   {type: "checksum", version, blockSize, numBlocks, strongHash, strongLength, subBlockSize, documentLength, minDataLength, maxDataLength,
+   *    duplicateBlocks, blocks}
+   *
+   * strongHash is the strong hash's name, minDataLength and maxDataLength are the range of lengths the data it was made from could have been (only its
+   * last block can be short), and duplicateBlocks counts the blocks with the same checksums as an earlier one. blocks has an entry for each block,
+   * {block, offset, weak, strong}, where weak is the adler32 checksum and strong is the (possibly truncated) strong hash in hex.
+   *
+   * librsync signatures can be described too. They have rdiff set to their format (see createRdiffSignature), and weak is librsync's weak sum.
+   *
+   * lines is true if the blocks are line-aware (see createLineChunker). Then where each block starts isn't known, so offset is null, and the data
+   * could have been anything from a byte per block to MAX_LINE_BLOCKS times blockSize per block.
+   */
+  function inspectChecksumDocument(checksumDocument)
+  {
+    checksumDocument = decodeDocument(checksumDocument);
+    var checksumInfo = readChecksumDocument(checksumDocument);
+    var entries = checksumInfo.entries;
+    var seen = {};
+    var lines = checksumInfo.lines;
+    var info = {type: "checksum", version: checksumInfo.version, blockSize: checksumInfo.blockSize, numBlocks: checksumInfo.numBlocks,
+                strongHash: checksumInfo.strongHash.name, strongLength: checksumInfo.strongLength, subBlockSize: checksumInfo.subBlockSize, lines: lines,
+                documentLength: toUint8Array(checksumDocument).length,
+                minDataLength: lines ? checksumInfo.numBlocks : Math.max(0, (checksumInfo.numBlocks - 1) * checksumInfo.blockSize + 1),
+                maxDataLength: checksumInfo.numBlocks * checksumInfo.blockSize * (lines ? MAX_LINE_BLOCKS : 1), duplicateBlocks: 0, blocks: []};
+    if(checksumInfo.rdiff) info.rdiff = checksumInfo.rdiff;
+
+    for(var i = 0; i < checksumInfo.numBlocks; i++)
+    {
+      var offset = i * checksumInfo.entrySize;
+      var block = {block: i + 1, offset: lines ? null : i * checksumInfo.blockSize, weak: readInt32(entries, offset), strong: toHex(entries.subarray(offset + 4, offset + 4 + checksumInfo.strongLength))};
+      var key = block.weak + ":" + block.strong;
+      if(seen[key]) info.duplicateBlocks++;
+      seen[key] = true;
+      info.blocks.push(block);
+    }
+    return info;
+  }
+
+  /**
+   * Turn what inspectPatch or inspectChecksumDocument returns into text, for logs and tests. Patches come out something like a diff, a line for each
+   * operation marked with = for copies from the destination, + for new data and ~ for deltas, then the totals. Checksum documents get a line for each
+   * block. The lines are joined with \n, with no newline at the end.
+   */
+  function formatInspection(info)
+  {
+    var lines = [];
+    var i;
+
+    //line-aware blocks can leave where things are unknown
+    function range(start, length) { return start === null ? "[?)" : length === null ? "[" + start + ", ?)" : "[" + start + ", " + (start + length) + ")"; }
+    function blocks(first, count) { return count == 1 ? "block " + first : "blocks " + first + "-" + (first + count - 1); }
+
+    if(info.type == "checksum")
+    {
+      lines.push((info.rdiff ? "librsync signature (" + info.rdiff + ")" : "checksum document version " + info.version) + ", " + info.documentLength + " bytes");
+      lines.push("block size " + info.blockSize + (info.lines ? " (line-aware)" : "") + ", " + info.numBlocks + " blocks (" + info.minDataLength + " to " + info.maxDataLength + " bytes of data), " +
+                 info.strongHash + " " + info.strongLength + " bytes" + (info.subBlockSize ? ", sub-blocks of " + info.subBlockSize + " bytes" : "") +
+                 (info.duplicateBlocks ? ", " + info.duplicateBlocks + " duplicate blocks" : ""));
+      for(i = 0; i < info.blocks.length; i++)
+      {
+        var block = info.blocks[i];
+        lines.push("  " + block.block + " " + (info.lines ? "" : range(block.offset, Math.min(info.blockSize, info.maxDataLength - block.offset)) + " ") + (info.rdiff ? RDIFF_SIGNATURES[info.rdiff].weakSum : "adler32") + " " +
+                   ("0000000" + block.weak.toString(16)).slice(-8) + " " + info.strongHash + " " + block.strong);
+      }
+      return lines.join("\n");
+    }
+
+    if(info.type != "patch") throw new TypeError("formatInspection takes what inspectPatch or inspectChecksumDocument returns");
+
+    lines.push("--- destination" + (info.rdiff ? "" : ", block size " + info.blockSize + (info.lines ? " (line-aware)" : "")));
+    lines.push("+++ source, " + (info.exact ? "" : "about ") + info.sourceLength + " bytes" + (info.sourceHash ? ", " + info.sourceHash + " " + info.sourceDigest : ""));
+    lines.push((info.rdiff ? "librsync delta" : "patch document version " + info.version) + ", " + info.documentLength + " bytes");
+    for(i = 0; i < info.operations.length; i++)
+    {
+      var op = info.operations[i];
+      var at = range(op.offset, op.length) + " ";
+      if(op.type == "copy" && info.rdiff) lines.push("= " + at + "copy " + range(op.from, op.length) + " of the destination, " + op.length + " bytes");
+      else if(op.type == "copy") lines.push("= " + at + "copy " + blocks(op.firstBlock, op.blockCount) + (op.length === null ? "" : ", " + op.length + " bytes"));
+      else if(op.type == "identical") lines.push("= " + at + "identical to the destination");
+      else if(op.type == "delta") lines.push("~ " + at + "delta on " + blocks(op.firstBlock, op.blockCount) + ", " + op.copiedBytes + " bytes copied, " + op.literalBytes + " new");
+      else lines.push("+ " + at + "literal, " + op.length + " bytes" + (op.compressedLength !== undefined ? " (" + op.compressedLength + " compressed)" : ""));
+    }
+    lines.push((info.rdiff ? "" : (info.matchedBlocks === null ? "all" : info.matchedBlocks) + " blocks matched, ") + info.copiedBytes + " bytes copied, " + info.literalBytes + " bytes new");
+    lines.push("saves " + info.savedBytes + " bytes (" + (info.savings * 100).toFixed(1) + "%) compared with the whole source");
+    return lines.join("\n");
+  }
+
+  var MAX_COPY_READ = 1048576; //runs of consecutive matched blocks are read from the destination together, up to this many bytes at a time
+
+  /**
+   * Streaming version of applyPatch, for destination data that is too large to hold in memory. Instead of taking the whole destination and returning a new
+   * buffer, it reads the destination on demand and writes the synchronized data to a sink as it goes. This runs in time proportional to the size of the output.
+   *
+   * patchSource - the patch document, any version, as any of the source types readChunks takes (or just an ArrayBuffer). An encoded document (see
+   *               encodeDocument), as a string or parsed JSON, is decoded first, so that has to be held whole.
+   * readDestination - function(offset, length) that returns the bytes of the destination data at that offset, as a Uint8Array / ArrayBuffer or a promise for
+   *                   one. It can return fewer bytes than asked for at the end of the destination, just like reading past the end of a file. A file handle
+   *                   makes a good backing for this: function(offset, length) { var buf = Buffer.alloc(length); return handle.read(buf, 0, length, offset)
+   *                   .then(function(result) { return buf.subarray(0, result.bytesRead); }); }
+   * sink - where the synchronized data goes. See createSinkWriter for the supported types. It isn't closed at the end.
+   * options - {verify: false} skips checking the output against the source's hash, same as applyPatch. The check can only happen once everything
+   *           has been written, so if the promise rejects with a BSyncIntegrityError, whatever the sink got should be thrown away.
+   *
+   * Memory use is bounded for version 2 and later patch documents. A version 1 patch document lists all of its matched blocks up front, so those (4 bytes per block)
+   * have to be held while it's applied. A patch with line-aware blocks reads through the whole destination first to find them, and holds where each one ends.
+   *
+   * Returns a promise that resolves with the number of bytes written, once everything has been handed to the sink.
+   */
+  function applyPatchStream(patchSource, readDestination, sink, options)
+  {
+    options = options || {};
+    var reader;
+    var writer;
+    var crc = 0;
+    var consumed = 0;
+    try
+    {
+      if(typeof patchSource == "string" || (patchSource && typeof patchSource.bsync == "string")) patchSource = decodeDocument(patchSource);
+      reader = createChunkReader(patchSource, function(piece) { crc = crc32(piece, crc); consumed += piece.length; });
+      writer = createSinkWriter(sink);
+    }
+    catch(err) { return Promise.reject(err); }
+
+    var blockSize = 0;
+    var written = 0;
+    var copyStart = 0; //the pending run of consecutive destination blocks. Block indexes are 1 based.
+    var copyCount = 0;
+    var summary = null;
+    var outputHasher = null;
+
+    function output(chunk)
+    {
+      chunk = toUint8Array(chunk);
+      if(chunk.length == 0) return Promise.resolve();
+      written += chunk.length;
+      if(outputHasher) outputHasher.update(chunk);
+      return writer.write(chunk);
+    }
+
+    //line-aware blocks (see createLineChunker) aren't all blockSize long. Where each one ends is found by reading through the destination once before
+    //anything else
+    var ends = null;
+    function findLineBlocks()
+    {
+      var offset = 0;
+      ends = [];
+      var chunker = createLineChunker(blockSize, function(length) { ends.push(ends.length ? ends[ends.length - 1] + length : length); });
+      return asyncLoop(function()
+      {
+        return Promise.resolve(readDestination(offset, MAX_COPY_READ)).then(function(chunk)
+        {
+          chunk = toUint8Array(chunk);
+          offset += chunk.length;
+          chunker.push(chunk);
+          if(chunk.length < MAX_COPY_READ) chunker.finish();
+          return chunk.length == MAX_COPY_READ;
+        });
+      });
+    }
+
+    //the byte range of a run of line-aware blocks, as [offset, length]
+    function lineBlockRange(firstBlock, count)
+    {
+      if(firstBlock < 1 || firstBlock > ends.length)
+        throw new BSyncError("Patch document refers to block " + firstBlock + ", which is past the end of the destination data");
+      var start = firstBlock > 1 ? ends[firstBlock - 2] : 0;
+      return [start, ends[Math.min(firstBlock + count - 1, ends.length) - 1] - start];
+    }
+
+    //read the pending run of blocks from the destination and send it on, no more than MAX_COPY_READ bytes at a time
+    function flushCopy()
+    {
+      if(ends && copyCount > 0)
+      {
+        var range = lineBlockRange(copyStart, copyCount);
+        copyCount = 0;
+        return copyDestination(range[0], range[1]);
+      }
+      var blocksPerRead = Math.max(1, Math.floor(MAX_COPY_READ / blockSize));
+      return asyncLoop(function()
+      {
+        if(copyCount == 0) return false;
+        var count = Math.min(copyCount, blocksPerRead);
+        var offset = (copyStart - 1) * blockSize;
+        copyStart += count;
+        copyCount -= count;
+        return Promise.resolve(readDestination(offset, count * blockSize)).then(function(chunk)
+        {
+          chunk = toUint8Array(chunk);
+          //only the last block of the destination can come up short
+          if(chunk.length <= (count - 1) * blockSize || (chunk.length < count * blockSize && copyCount > 0))
+            throw new BSyncError("Patch document refers to block " + (Math.floor((offset + chunk.length) / blockSize) + 1) + ", which is past the end of the destination data");
+          return output(chunk);
+        }).then(function() { return true; });
+      });
+    }
+
+    function copyBlocks(blockIndex, count)
+    {
+      if(copyCount > 0 && blockIndex == copyStart + copyCount)
+      {
+        copyCount += count;
+        return Promise.resolve();
+      }
+      return flushCopy().then(function() { copyStart = blockIndex; copyCount = count; });
+    }
+
+    //the destination is already up to date, so all of it goes to the sink. Its length isn't known, so keep reading until it comes up short
+    function copyAll()
+    {
+      var offset = 0;
+      return asyncLoop(function()
+      {
+        return Promise.resolve(readDestination(offset, MAX_COPY_READ)).then(function(chunk)
+        {
+          chunk = toUint8Array(chunk);
+          offset += chunk.length;
+          return output(chunk).then(function() { return chunk.length == MAX_COPY_READ; });
+        });
+      });
+    }
+
+    //pass new data from the patch straight through to the sink, a piece at a time
+    function copyLiteral(size)
+    {
+      return flushCopy().then(function()
+      {
+        return asyncLoop(function()
+        {
+          if(size == 0) return false;
+          return reader.readSome(size).then(function(piece)
+          {
+            if(piece.length == 0) throw new BSyncFormatError("Patch document ended in the middle of new data");
+            size -= piece.length;
+            return output(piece).then(function() { return true; });
+          });
+        });
+      });
+    }
+
+    //read straight from the destination, checking that it's all there
+    function copyDestination(offset, length)
+    {
+      return asyncLoop(function()
+      {
+        if(length == 0) return false;
+        var count = Math.min(length, MAX_COPY_READ);
+        return Promise.resolve(readDestination(offset, count)).then(function(chunk)
+        {
+          chunk = toUint8Array(chunk);
+          if(chunk.length < count)
+            throw new BSyncError("Delta record in patch document refers to data past the end of the destination");
+          offset += count;
+          length -= count;
+          return output(chunk).then(function() { return true; });
+        });
+      });
+    }
+
+    function outputRun(value, count)
+    {
+      var piece = new Uint8Array(Math.min(count, MAX_LITERAL_RECORD));
+      piece.fill(value);
+      return asyncLoop(function()
+      {
+        if(count == 0) return false;
+        var size = Math.min(count, piece.length);
+        count -= size;
+        //the sink might hang on to what it's given, so each piece gets its own copy
+        return output(piece.slice(0, size)).then(function() { return true; });
+      });
+    }
+
+    //same as applyDelta, but the ops are read a piece at a time and the destination is read as needed
+    function applyDeltaRecord(firstBlock, count, size)
+    {
+      var base = (firstBlock - 1) * blockSize;
+      var baseLength = count * blockSize;
+      if(ends && firstBlock >= 1)
+      {
+        var range = lineBlockRange(firstBlock, count);
+        base = range[0];
+        baseLength = range[1];
+      }
+
+      function take(length)
+      {
+        if(length > size) throw new BSyncFormatError("Delta record in patch document ended in the middle of an op");
+        size -= length;
+        return reader.read(length);
+      }
+
+      if(firstBlock < 1) return Promise.reject(new BSyncError("Patch document refers to block " + firstBlock + ", which is past the end of the destination data"));
+      return flushCopy().then(function()
+      {
+        return asyncLoop(function()
+        {
+          if(size == 0) return false;
+          return take(1).then(function(op)
+          {
+            switch(op[0])
+            {
+              case OP_COPY:
+                return take(8).then(function(range)
+                {
+                  var offset = readInt32(range, 0);
+                  var length = readInt32(range, 4);
+                  if(offset + length > baseLength)
+                    throw new BSyncError("Delta record in patch document refers to data past the end of the destination");
+                  return copyDestination(base + offset, length);
+                }).then(function() { return true; });
+              case OP_ADD:
+                return take(4).then(function(length)
+                {
+                  length = readInt32(length, 0);
+                  if(length > size) throw new BSyncFormatError("Delta record in patch document ended in the middle of an op");
+                  size -= length;
+                  return copyLiteral(length);
+                }).then(function() { return true; });
+              case OP_RUN:
+                return take(5).then(function(run) { return outputRun(run[0], readInt32(run, 1)); }).then(function() { return true; });
+              default:
+                throw new BSyncFormatError("Unknown op " + op[0] + " in a delta record in patch document");
+            }
+          });
+        });
+      });
+    }
+
+    //the records are applied as they come in, so the trailer can't be checked until the end. By then everything but an identical record has been written.
+    function applyVersion2(version, flags)
+    {
+      var identical = false;
+      return reader.read(4).then(function(header)
+      {
+        blockSize = readInt32(header, 0);
+        if(flags & PATCH_FLAG_LINES) return findLineBlocks();
+      }).then(function()
+      {
+        return asyncLoop(function()
+        {
+          return reader.read(1).then(function(type)
+          {
+            switch(type[0])
+            {
+              case RECORD_END:
+                return false;
+              case RECORD_IDENTICAL:
+                identical = true;
+                return false;
+              case RECORD_COPY:
+                return reader.read(8).then(function(range) { return copyBlocks(readInt32(range, 0), readInt32(range, 4)); }).then(function() { return true; });
+              case RECORD_BLOCK:
+                return reader.read(4).then(function(index) { return copyBlocks(readInt32(index, 0), 1); }).then(function() { return true; });
+              case RECORD_LITERAL:
+                return reader.read(4).then(function(size) { return copyLiteral(readInt32(size, 0)); }).then(function() { return true; });
+              case RECORD_DELTA:
+                return reader.read(12).then(function(delta) { return applyDeltaRecord(readInt32(delta, 0), readInt32(delta, 4), readInt32(delta, 8)); }).then(function() { return true; });
+              case RECORD_COMPRESSED:
+                checkCompressed(flags);
+                var size;
+                return reader.read(8).then(function(sizes)
+                {
+                  size = readInt32(sizes, 0);
+                  return reader.read(readInt32(sizes, 4));
+                }).then(function(compressed) { return flushCopy().then(function() { return output(decompress(compressed, size)); }); }).then(function() { return true; });
+              default:
+                throw new BSyncFormatError("Unknown record type " + type[0] + " in patch document");
+            }
+          });
+        });
+      })
+      .then(function() { if(version >= 3) return readSummary(); })
+      .then(checkTrailer)
+      .then(function() { if(identical) return copyAll(); });
+    }
+
+    function readSummary()
+    {
+      return reader.read(SOURCE_SUMMARY_SIZE)
+        .then(function(start)
+        {
+          summary = readSourceSummary(start, 0);
+          return reader.read(summary.digestLength);
+        })
+        .then(function(digest) { summary.digest = new Uint8Array(digest); });
+    }
+
+    function checkTrailer()
+    {
+      var expectedCrc;
+      var length;
+      return reader.read(4)
+        .then(function(lengthBytes)
+        {
+          length = readInt32(lengthBytes, 0);
+          expectedCrc = crc;
+          return reader.read(4);
+        })
+        .then(function(crcBytes)
+        {
+          if(length != consumed)
+            throw new BSyncFormatError("This patch document should be " + length + " bytes long, but it's " + consumed + ". It has probably been truncated.");
+          if(readInt32(crcBytes, 0) != expectedCrc)
+            throw new BSyncFormatError("This patch document failed its CRC check, it has been corrupted");
+        });
+    }
+
+    //same logic as applyPatch, see the comments there
+    function applyVersion1(patchCount)
+    {
+      var matchCount;
+      var matchedBlocks;
+      var matchIndex = 0;
+      var patchIndex = 0;
+
+      function copyMatchedBlocks(lastMatchingBlockIndex)
+      {
+        return asyncLoop(function()
+        {
+          if(matchIndex >= matchCount) return false;
+          var blockIndex = readInt32(matchedBlocks, matchIndex * 4);
+          if(blockIndex > lastMatchingBlockIndex) return false;
+          matchIndex++;
+          return copyBlocks(blockIndex, 1).then(function() { return true; });
+        });
+      }
+
+      return reader.read(4)
+        .then(function(count)
+        {
+          matchCount = readInt32(count, 0);
+          return reader.read(matchCount * 4);
+        })
+        .then(function(indexes)
+        {
+          matchedBlocks = indexes;
+          return asyncLoop(function()
+          {
+            if(patchIndex++ >= patchCount) return false;
+            var patchSize;
+            return reader.read(8)
+              .then(function(patchHeader)
+              {
+                patchSize = readInt32(patchHeader, 4);
+                return copyMatchedBlocks(readInt32(patchHeader, 0));
+              })
+              .then(function() { return copyLiteral(patchSize); })
+              .then(function() { return true; });
+          });
+        })
+        .then(function() { return copyMatchedBlocks(Infinity); });
+    }
+
+    return reader.read(HEADER_SIZE)
+      .then(function(header)
+      {
+        if(hasMagic(header))
+        {
+          checkDocumentHeader(header, DOCUMENT_PATCH, PATCH_DOCUMENT_VERSION);
+          //the source's hash is at the end, but the output has to be hashed as it goes by
+          if(header[4] >= 3 && options.verify !== false) outputHasher = getStrongHash(SOURCE_HASH).create();
+          return applyVersion2(header[4], header[6] | (header[7] << 8));
+        }
+        //from before documents had a header, so it's version 1 and those 8 bytes are the start of the body
+        blockSize = readInt32(header, 0);
+        return applyVersion1(readInt32(header, 4));
+      })
+      .then(flushCopy)
+      .then(function()
+      {
+        if(outputHasher) checkSource(summary, written, outputHasher.digest());
+      })
+      .then(
+        function() { writer.release(); return written; },
+        function(err)
+        {
+          try { reader.cancel(err); writer.release(); } catch(e) {} //already failing, nothing more useful to do with this one
+          throw err;
+        });
+  }
+
+  /**
+   * Make the checksum document for the destination after a patch has been applied to it, without hashing all of it again. checksumDocument is the one
+   * the patch was made from, and data is the destination now that the patch has been applied. Blocks the patch copied from the old destination that
+   * land on a block boundary in the new data keep their checksums, straight from the old document. Only the blocks around new data are hashed.
+   *
+   * The result is identical to running createChecksumDocument over the new data with the old document's block size, hash, strongLength and subBlockSize
+   * (the number, if it was "auto" the first time around). Nothing checks that data really is the result of the patch, that's up to applyPatch.
+   * Version 1 patch documents aren't used, the whole of the new data is hashed for those. So is all of it for line-aware checksum documents, since
+   * where the blocks end depends on what came before them.
+   *
+   * data can be a string, encoded with options.encoding, see encodeText.
+   */
+  function updateChecksumDocument(checksumDocument, patchDocument, data, options)
+  {
+    data = textToBinary(data, (options || {}).encoding);
+    var checksumInfo = readChecksumDocument(checksumDocument);
+    if(checksumInfo.rdiff)
+      throw new BSyncError("librsync signatures can't be updated, make a new one with createRdiffSignature");
+    if(checksumInfo.lines)
+      return createChecksumDocument(checksumInfo.blockSize, data, {hash: checksumInfo.strongHash.name, strongLength: checksumInfo.strongLength, lines: true});
+    var patch = openDocument(patchDocument, DOCUMENT_PATCH, PATCH_DOCUMENT_VERSION);
+    var blockSize = checksumInfo.blockSize;
+    var entrySize = checksumInfo.entrySize;
+    var length = data.byteLength;
+    var numBlocks = Math.ceil(length / blockSize);
+    var reused = new Uint32Array(numBlocks); //for each block of the new data, the old block it's a copy of (1 based), or zero if it needs to be hashed
+    var dataView = new Uint8Array(data);
+    var pieces = [];
+    var known = 0;
+    var lastBlockCopies = 0;
+    var lastBlockLength = blockSize;
+    var position = 0;
+    var i, j;
+
+    //a run of old blocks. Every one is blockSize long, except maybe the old last block. Its length isn't in the checksum document, it's worked out below
+    function copy(firstBlock, count)
+    {
+      if(count == 0) return;
+      if(firstBlock < 1 || firstBlock + count - 1 > checksumInfo.numBlocks)
+        throw new BSyncError("Patch document refers to block " + (firstBlock + count - 1) + ", which isn't in the checksum document");
+      pieces.push({block: firstBlock, count: count});
+      known += count * blockSize;
+      if(firstBlock + count - 1 == checksumInfo.numBlocks)
+      {
+        known -= blockSize;
+        lastBlockCopies++;
+      }
+    }
+
+    function other(size)
+    {
+      pieces.push({length: size});
+      known += size;
+    }
+
+    if(!patch.legacy)
+    {
+      if(readInt32(patch.body, 0) != blockSize)
+        throw new BSyncError("Patch document has a block size of " + readInt32(patch.body, 0) + ", but the checksum document's is " + blockSize);
+      walkPatchRecords(patch.body, function(type, offset)
+      {
+        var body = patch.body;
+        switch(type)
+        {
+          case RECORD_COPY: copy(readInt32(body, offset + 1), readInt32(body, offset + 5)); break;
+          case RECORD_BLOCK: copy(readInt32(body, offset + 1), 1); break;
+          case RECORD_IDENTICAL: copy(1, checksumInfo.numBlocks); break;
+          case RECORD_LITERAL: other(readInt32(body, offset + 1)); break;
+          case RECORD_COMPRESSED: other(readInt32(body, offset + 1)); break;
+          case RECORD_DELTA: other(deltaLength(body.subarray(offset + 13, offset + 13 + readInt32(body, offset + 9)))); break;
+        }
+      });
+
+      //everything else adds up to the length of the new data, so whatever's left over is the old last block, however many times it was copied
+      if(lastBlockCopies > 0) lastBlockLength = (length - known) / lastBlockCopies;
+      if((lastBlockCopies == 0 && known != length) || !(lastBlockLength >= 1 && lastBlockLength <= blockSize && lastBlockLength % 1 == 0))
+        throw new BSyncError("Patch document doesn't fit the checksum document and data, the data probably isn't what the patch made");
+
+      for(i = 0; i < pieces.length; i++)
+      {
+        if(pieces[i].length !== undefined)
+        {
+          position += pieces[i].length;
+          continue;
+        }
+        for(j = pieces[i].block; j < pieces[i].block + pieces[i].count; j++)
+        {
+          var size = (j == checksumInfo.numBlocks) ? lastBlockLength : blockSize;
+          //a short final block can only be reused as the final block, where the new data is just as short
+          if(position % blockSize == 0 && Math.min(blockSize, length - position) == size) reused[position / blockSize] = j;
+          position += size;
+        }
+      }
+    }
+
+    var doc = new ArrayBuffer(HEADER_SIZE + CHECKSUM_HEADER_SIZE + (numBlocks * entrySize) + TRAILER_SIZE);
+    var docView = new Uint8Array(doc);
+    var offset = HEADER_SIZE + CHECKSUM_HEADER_SIZE;
+    docView.set(checksumHeader(numBlocks, checksumInfo), HEADER_SIZE);
+    for(i = 0; i < numBlocks; i++)
+    {
+      if(reused[i])
+        docView.set(checksumInfo.entries.subarray((reused[i] - 1) * entrySize, reused[i] * entrySize), offset);
+      else
+        writeChecksumEntry(docView, offset, dataView.subarray(i * blockSize, Math.min((i + 1) * blockSize, length)), checksumInfo);
+      offset += entrySize;
+    }
+
+    sealDocument(doc, DOCUMENT_CHECKSUM, checksumInfo.version);
+    return doc;
+  }
+
+  var YIELD_INTERVAL = 15; //milliseconds of work the async functions do between breaks, about a frame at 60fps
+  var ASYNC_SLICE = 65536; //bytes handled between checks on the time
+
+  //throw if the signal has fired, with the reason it was given, or an AbortError like fetch's when there isn't one
+  function checkAborted(signal)
+  {
+    if(!signal || !signal.aborted) return;
+    if(signal.reason !== undefined) throw signal.reason;
+    var err = new Error("The operation was aborted");
+    err.name = "AbortError";
+    throw err;
+  }
+
+  //a promise that resolves once everything else waiting on the event loop (rendering, timers, io) has had a go
+  function nextTurn()
+  {
+    return new Promise(function(resolve)
+    {
+      if(typeof setImmediate == "function") setImmediate(resolve);
+      else setTimeout(resolve, 0);
+    });
+  }
+
+  /**
+   * Keeps the async functions from hogging the thread. They call the returned function with their progress so far every ASYNC_SLICE bytes or so.
+   * Once YIELD_INTERVAL has gone by since the last break, it reports the progress to onProgress and returns a promise for the next turn of the event loop,
+   * which the caller waits for (it resolves with true, so an asyncLoop body can hand it straight back). The rest of the time it returns null, so the
+   * caller can go straight on. Either way it throws if the signal has fired.
+   * Pass true as the second argument to report progress regardless, at the end.
+   */
+  function createPacer(onProgress, signal)
+  {
+    var lastBreak = Date.now();
+    return function(progress, last)
+    {
+      checkAborted(signal);
+      if(last)
+      {
+        if(onProgress) onProgress(progress);
+        return null;
+      }
+      if(Date.now() - lastBreak < YIELD_INTERVAL) return null;
+      if(onProgress) onProgress(progress);
+      return nextTurn().then(function()
+      {
+        lastBreak = Date.now();
+        checkAborted(signal);
+        return true;
+      });
+    };
+  }
+
+  /**
+   * Async version of createChecksumDocument, for when blocking the thread until it's done isn't an option (a UI, or a server with other requests to
+   * answer). It does the same work a slice at a time, and gives the event loop a turn every YIELD_INTERVAL milliseconds. The document is the same.
+   *
+   * Options - the same as createChecksumDocument, plus:
+   *   onProgress - function({bytesProcessed, totalBytes}), called at each break and once more at the end
+   *   signal - an AbortSignal. If it fires, the work stops at the next break and the promise rejects with the signal's reason (an AbortError by default).
+   *
+   * Returns a promise for the document.
+   */
+  function createChecksumDocumentAsync(blockSize, data, options)
+  {
+    if(blockSize !== null && (typeof blockSize == "object" || (typeof blockSize == "string" && blockSize != "auto")))
+    {
+      options = data;
+      data = blockSize;
+      blockSize = "auto";
+    }
+    options = options || {};
+
+    var layout, doc, docView, dataView, ends, numBlocks, pace;
+    try
+    {
+      checkAborted(options.signal);
+      data = textToBinary(data, options.encoding);
+      dataView = new Uint8Array(data);
+      blockSize = resolveBlockSize(blockSize, data.byteLength);
+      var strongHash = getStrongHash(options.hash);
+      layout = checksumLayout(blockSize, strongHash, resolveStrongLength(options.strongLength, strongHash, data.byteLength, blockSize), options.subBlockSize, options.lines);
+      //finding the line-aware blocks is quick next to hashing them, so it's done up front
+      ends = layout.lines ? lineBlockEnds(dataView, blockSize) : null;
+      numBlocks = ends ? ends.length : Math.ceil(data.byteLength / blockSize);
+      doc = new ArrayBuffer(HEADER_SIZE + CHECKSUM_HEADER_SIZE + (numBlocks * layout.entrySize) + TRAILER_SIZE);
+      docView = new Uint8Array(doc);
+      docView.set(checksumHeader(numBlocks, layout), HEADER_SIZE);
+      pace = createPacer(options.onProgress, options.signal);
+    }
+    catch(err) { return Promise.reject(err); }
+
+    var blocksPerSlice = Math.max(1, Math.floor(ASYNC_SLICE / blockSize));
+    var block = 0;
+
+    return asyncLoop(function()
+    {
+      if(block == numBlocks) return false;
+      var end = Math.min(block + blocksPerSlice, numBlocks);
+      var offset = HEADER_SIZE + CHECKSUM_HEADER_SIZE + block * layout.entrySize;
+      if(ends) writeLineChecksumEntries(docView, offset, dataView, layout, ends, block, end);
+      else writeChecksumEntries(docView, offset, dataView.subarray(block * blockSize, Math.min(end * blockSize, dataView.length)), layout);
+      block = end;
+      return pace({bytesProcessed: ends ? ends[block - 1] : Math.min(block * blockSize, dataView.length), totalBytes: dataView.length}) || true;
+    })
+    .then(function()
+    {
+      pace({bytesProcessed: dataView.length, totalBytes: dataView.length}, true);
+      sealDocument(doc, DOCUMENT_CHECKSUM, layout.version, layout.flags);
+      return doc;
+    });
+  }
+
+  /**
+   * Async version of createPatchDocument. The source is fed through a slice at a time, with a turn for the event loop every YIELD_INTERVAL milliseconds.
+   * The patch document is the same.
+   *
+   * Options - the same as createPatchDocument, plus:
+   *   onProgress - function({bytesProcessed, totalBytes, blocksMatched}), called at each break and once more at the end. blocksMatched is how many
+   *                blocks of the source have been found in the destination so far.
+   *   signal - an AbortSignal, same as createChecksumDocumentAsync.
+   *
+   * Version 1 patch documents can't be made a piece at a time, so {version: 1} does it all in one go.
+   */
+  function createPatchDocumentAsync(checksumDocument, data, options)
+  {
+    options = options || {};
+    var encoder, pace;
+    try
+    {
+      checkAborted(options.signal);
+      data = textToBinary(data, options.encoding);
+      if(options.version == 1) return Promise.resolve(createVersion1PatchDocument(checksumDocument, data));
+      encoder = createPatchEncoder(checksumDocument, options);
+      pace = createPacer(options.onProgress, options.signal);
+    }
+    catch(err) { return Promise.reject(err); }
 
-    var patchDocument = new ArrayBuffer(12);
-    var patch;
-    var patches = new ArrayBuffer(0);
-    var i=0;
+    var dataView = new Uint8Array(data);
+    var position = 0;
+
+    return asyncLoop(function()
+    {
+      if(position == dataView.length) return false;
+      var end = Math.min(position + ASYNC_SLICE, dataView.length);
+      encoder.push(dataView.subarray(position, end));
+      position = end;
+      return pace({bytesProcessed: position, totalBytes: dataView.length, blocksMatched: encoder.matched()}) || true;
+    })
+    .then(function()
+    {
+      encoder.finish();
+      pace({bytesProcessed: dataView.length, totalBytes: dataView.length, blocksMatched: encoder.matched()}, true);
+      return encoder.take();
+    });
+  }
+
+  /**
+   * Async version of applyPatch. It's applyPatchStream underneath, reading the destination from data and collecting the output, with a turn for the
+   * event loop every YIELD_INTERVAL milliseconds. Returns a promise for a new ArrayBuffer with the synchronized data, even when the patch says nothing
+   * changed.
+   *
+   * Options - verify and encoding, the same as applyPatch, plus:
+   *   output - the same as applyPatch. The result is only written into it at the end, once the patch has been applied and checked.
+   *   onProgress - function({bytesProcessed, totalBytes}), called at each break and once more at the end. These count the output. Patch documents from
+   *                version 3 on say how big the output will be; for older ones totalBytes is null.
+   *   signal - an AbortSignal, same as createChecksumDocumentAsync.
+   *
+   * Text mode works the same as applyPatch, and then the promise is for a string. applyPatch's reverse option isn't supported, the promise rejects with a
+   * TypeError if it's given.
+   */
+  function applyPatchAsync(patchDocument, data, options)
+  {
+    options = options || {};
+    var text = typeof data == "string" || options.encoding !== undefined;
+    var total = null;
+    var output = null;
+    var pace, dataView;
+    try
+    {
+      checkAborted(options.signal);
+      if(options.reverse)
+        throw new TypeError("applyPatchAsync can't make undo patches, use applyPatch with {reverse: true} for those");
+      data = textToBinary(data, options.encoding);
+      dataView = toUint8Array(data);
+      if(options.output)
+      {
+        output = toUint8Array(options.output);
+        if(output.buffer === dataView.buffer)
+          throw new TypeError("The output buffer can't share memory with the destination data");
+      }
+      patchDocument = decodeDocument(patchDocument);
+      var document = openDocument(patchDocument, DOCUMENT_PATCH, PATCH_DOCUMENT_VERSION);
+      if(!document.legacy && document.version >= 3) total = findSourceSummary(document.body).length;
+      if(output && total !== null) resultView(total, output); //too small, no need to wait until the end to find out
+      pace = createPacer(options.onProgress, options.signal);
+    }
+    catch(err) { return Promise.reject(err); }
+
+    var pieces = [];
+    var written = 0;
+
+    function readDestination(offset, length)
+    {
+      if(offset >= dataView.length) return new Uint8Array(0);
+      return dataView.subarray(offset, Math.min(offset + length, dataView.length));
+    }
+
+    //the pieces can be views of the patch or the destination, that's fine since they're copied into the result at the end
+    function collect(piece)
+    {
+      pieces.push(piece);
+      written += piece.length;
+      return pace({bytesProcessed: written, totalBytes: total});
+    }
+
+    return applyPatchStream(patchDocument, readDestination, collect, {verify: options.verify})
+      .then(function()
+      {
+        pace({bytesProcessed: written, totalBytes: total === null ? written : total}, true);
+        var result = writePieces(pieces, written, output);
+        return text ? decodeText(result, options.encoding) : result;
+      });
+  }
+
+  /**
+   * Manifests sync a whole collection of named entries at once, like the files in a directory. The destination makes a manifest of what it has, with
+   * a checksum document for each entry. From that, the source makes one manifest patch that says, for each entry, whether it's unchanged, new, gone,
+   * a copy or a rename of another entry (found by its whole hash, so nothing has to be sent), or changed, with an ordinary patch document for the change.
+   * Paths are just names. They're kept as they're given, and compared exactly.
+   *
+   * Manifest body (version 1):
+   *   4 bytes - number of entries, then for each one, in path order:
+   *     path - the path in UTF-8, as a field (see below)
+   *     the entry's length and SHA-256, as a source summary (see sourceSummary), padded
+   *     checksum document - the entry's checksum document, as a field
+   *
+   * Manifest patch body (version 1):
+   *   4 bytes - number of entries, then for each one, in path order:
+   *     1 byte  - what happens to the entry, one of the ENTRY_ values below
+   *     3 bytes - zero
+   *     path - as a field
+   *     copies and renames: the path in the destination it comes from, as a field
+   *     unchanged, copies and renames: the entry's length and SHA-256, as a padded source summary, so it can be checked
+   *     changes and new entries: a patch document as a field. New entries are patched from nothing.
+   *
+   * A field is 4 bytes of length followed by that many bytes, and like the source summaries it's padded with zeros to a multiple of 4 bytes, which
+   * keeps the documents inside them aligned.
+   */
+  var ENTRY_UNCHANGED = 0;
+  var ENTRY_ADD = 1;
+  var ENTRY_DELETE = 2;
+  var ENTRY_COPY = 3;
+  var ENTRY_RENAME = 4;
+  var ENTRY_PATCH = 5;
+  var ENTRY_NAMES = ["unchanged", "add", "delete", "copy", "rename", "patch"];
+
+  function padded(bytes)
+  {
+    var view = new Uint8Array(Math.ceil(bytes.length / 4) * 4);
+    view.set(bytes);
+    return view;
+  }
+
+  function manifestField(bytes)
+  {
+    var field = new Uint8Array(4 + Math.ceil(bytes.length / 4) * 4);
+    writeInt32(field, 0, bytes.length);
+    field.set(bytes, 4);
+    return field;
+  }
+
+  /**
+   * Reads the fields of a manifest or manifest patch body in order. Each read throws a BSyncFormatError, naming the document, if it runs off the end.
+   */
+  function createManifestReader(body, name)
+  {
+    var offset = 0;
+
+    function need(length)
+    {
+      if(offset + length > body.length)
+        throw new BSyncFormatError("This " + name + " ended in the middle of an entry at offset " + offset);
+    }
+
+    function int32()
+    {
+      need(4);
+      offset += 4;
+      return readInt32(body, offset - 4);
+    }
+
+    function field()
+    {
+      var length = int32();
+      need(Math.ceil(length / 4) * 4);
+      offset += Math.ceil(length / 4) * 4;
+      return body.subarray(offset - Math.ceil(length / 4) * 4, offset - Math.ceil(length / 4) * 4 + length);
+    }
+
+    function summary()
+    {
+      need(SOURCE_SUMMARY_SIZE);
+      var ret = readSourceSummary(body, offset);
+      var size = Math.ceil((SOURCE_SUMMARY_SIZE + ret.digestLength) / 4) * 4;
+      need(size);
+      ret.digest = body.subarray(offset + SOURCE_SUMMARY_SIZE, offset + SOURCE_SUMMARY_SIZE + ret.digestLength);
+      offset += size;
+      return ret;
+    }
+
+    function finish()
+    {
+      if(offset != body.length)
+        throw new BSyncFormatError("This " + name + " has " + (body.length - offset) + " bytes left over after its last entry");
+    }
+
+    return {int32: int32, field: field, summary: summary, finish: finish};
+  }
+
+  /**
+   * Entries can be a Map or a plain object, of path to data. Returns them as [path, data] pairs, sorted by path.
+   */
+  function entryList(entries)
+  {
+    var list = [];
+    if(typeof Map != "undefined" && entries instanceof Map)
+      entries.forEach(function(data, path) { list.push([path, data]); });
+    else if(entries && typeof entries == "object")
+      Object.keys(entries).forEach(function(path) { list.push([path, entries[path]]); });
+    else
+      throw new TypeError("Expected the entries as a Map or an object of path to data");
+    list.sort(function(a, b) { return a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0; });
+    return list;
+  }
+
+  //an entry's data as an ArrayBuffer of its own, encoding it if it's text. applyPatch needs the whole ArrayBuffer to be the data
+  function entryData(data, encoding)
+  {
+    return exactBuffer(textToBinary(data, encoding));
+  }
+
+  //the length and SHA-256 of an entry, as a source summary
+  function entrySummary(data)
+  {
+    var view = new Uint8Array(data);
+    var sourceHash = getStrongHash(SOURCE_HASH);
+    return sourceSummary(view.length, sourceHash, sourceHash.digest(view));
+  }
+
+  //a key that's the same for entries with the same contents, from a summary read back out of a document
+  function contentKey(summary)
+  {
+    return summary.strongHash.id + ":" + summary.length + ":" + toHex(summary.digest);
+  }
+
+  /**
+   * Make the manifest for a collection of entries (a Map or an object of path to data). The data can be anything createChecksumDocument takes.
+   *
+   * Options - the same as createChecksumDocument (hash, strongLength, subBlockSize, lines and encoding), used for every entry, plus:
+   *   blockSize - the block size for every entry. "auto" (the default) picks one for each entry based on its size.
+   *
+   * Returns the manifest as an ArrayBuffer. It's a list of the paths, with each one's length, SHA-256 and checksum document.
+   */
+  function createManifest(entries, options)
+  {
+    options = options || {};
+    var blockSize = options.blockSize === undefined ? "auto" : options.blockSize;
+    var list = entryList(entries);
+    var count = new Uint8Array(4);
+    writeInt32(count, 0, list.length);
+    var pieces = [new ArrayBuffer(HEADER_SIZE), count];
+
+    list.forEach(function(entry)
+    {
+      var data = entryData(entry[1], options.encoding);
+      pieces.push(manifestField(new Uint8Array(encodeText(entry[0]))), padded(entrySummary(data)),
+                  manifestField(new Uint8Array(createChecksumDocument(blockSize, data, options))));
+    });
+
+    pieces.push(new ArrayBuffer(TRAILER_SIZE));
+    var manifest = concatBuffers(pieces);
+    sealDocument(manifest, DOCUMENT_MANIFEST, MANIFEST_VERSION);
+    return manifest;
+  }
+
+  /**
+   * Read a manifest into [{path, summary, checksumDocument}], in path order. The summaries are from readSourceSummary, with the digest added.
+   */
+  function readManifest(manifest)
+  {
+    var document = openDocument(manifest, DOCUMENT_MANIFEST, MANIFEST_VERSION);
+    var reader = createManifestReader(document.body, "manifest");
+    var entries = [];
+    for(var count = reader.int32(); count > 0; count--)
+      entries.push({path: decodeText(reader.field()), summary: reader.summary(), checksumDocument: copyBytes(reader.field())});
+    reader.finish();
+    return entries;
+  }
+
+  /**
+   * Make the manifest patch that turns the collection the manifest was made from into this one (a Map or an object of path to data).
+   *
+   * For each entry in the new collection, in this order of preference:
+   *   - if the destination has the same path with the same contents, it's unchanged
+   *   - if the destination has the same contents under another path, it's a rename of it if that path is going away (each one only once), or a copy if not
+   *   - if the destination has the same path, it's patched, with a patch document made from that entry's checksum document
+   *   - otherwise it's new, and the patch document carries all of its data
+   * Anything in the destination that isn't in the new collection, or renamed, is deleted.
+   *
+   * Options - the same as createPatchDocument (compress, refine and encoding), used for every patch document.
+   *
+   * Returns the manifest patch as an ArrayBuffer. Apply it with applyManifestPatch or applyManifestPatchToDirectory.
+   */
+  function createManifestPatch(manifest, entries, options)
+  {
+    options = options || {};
+    var destination = readManifest(manifest);
+    var list = entryList(entries);
+    var byPath = Object.create(null);
+    var byContent = Object.create(null);
+    var kept = Object.create(null);
+    var renamed = Object.create(null);
+    var operations = [];
+    var empty = null;
+
+    destination.forEach(function(entry)
+    {
+      var key = contentKey(entry.summary);
+      byPath[entry.path] = entry;
+      (byContent[key] = byContent[key] || []).push(entry);
+    });
+    list.forEach(function(entry) { kept[entry[0]] = true; });
+
+    list.forEach(function(entry)
+    {
+      var path = entry[0];
+      var data = entryData(entry[1], options.encoding);
+      var summary = entrySummary(data);
+      var read = readSourceSummary(summary, 0);
+      read.digest = summary.subarray(SOURCE_SUMMARY_SIZE);
+      var same = byContent[contentKey(read)] || [];
+      var old = byPath[path] || null;
+      var from, i;
+
+      if(old && same.indexOf(old) >= 0)
+      {
+        operations.push({type: ENTRY_UNCHANGED, path: path, summary: summary});
+        return;
+      }
+      if(same.length)
+      {
+        //a destination path that's going away can be renamed rather than copied, but only once
+        from = same[0];
+        for(i = 0; i < same.length; i++)
+          if(!kept[same[i].path] && !renamed[same[i].path]) { from = same[i]; break; }
+        if(i < same.length) renamed[from.path] = true;
+        operations.push({type: i < same.length ? ENTRY_RENAME : ENTRY_COPY, path: path, from: from.path, summary: summary});
+        return;
+      }
+      if(old)
+        operations.push({type: ENTRY_PATCH, path: path, document: createPatchDocument(old.checksumDocument, data, options)});
+      else
+      {
+        empty = empty || createChecksumDocument(new ArrayBuffer(0));
+        operations.push({type: ENTRY_ADD, path: path, document: createPatchDocument(empty, data, options)});
+      }
+    });
+
+    destination.forEach(function(entry)
+    {
+      if(!kept[entry.path] && !renamed[entry.path])
+        operations.push({type: ENTRY_DELETE, path: entry.path});
+    });
+    operations.sort(function(a, b) { return a.path < b.path ? -1 : a.path > b.path ? 1 : 0; });
+
+    var count = new Uint8Array(4);
+    writeInt32(count, 0, operations.length);
+    var pieces = [new ArrayBuffer(HEADER_SIZE), count];
+    operations.forEach(function(operation)
+    {
+      pieces.push(new Uint8Array([operation.type, 0, 0, 0]), manifestField(new Uint8Array(encodeText(operation.path))));
+      if(operation.from !== undefined) pieces.push(manifestField(new Uint8Array(encodeText(operation.from))));
+      if(operation.summary) pieces.push(padded(operation.summary));
+      if(operation.document) pieces.push(manifestField(new Uint8Array(operation.document)));
+    });
+    pieces.push(new ArrayBuffer(TRAILER_SIZE));
+
+    var manifestPatch = concatBuffers(pieces);
+    sealDocument(manifestPatch, DOCUMENT_MANIFEST_PATCH, MANIFEST_PATCH_VERSION);
+    return manifestPatch;
+  }
+
+  /**
+   * Read a manifest patch into [{type, path, from, summary, document}], in path order. from is only there for copies and renames, summary for
+   * unchanged entries, copies and renames, and document for new and patched entries.
+   */
+  function readManifestPatch(manifestPatch)
+  {
+    var document = openDocument(manifestPatch, DOCUMENT_MANIFEST_PATCH, MANIFEST_PATCH_VERSION);
+    var reader = createManifestReader(document.body, "manifest patch");
+    var operations = [];
+    for(var count = reader.int32(); count > 0; count--)
+    {
+      var type = reader.int32();
+      if(type >= ENTRY_NAMES.length)
+        throw new BSyncFormatError("Unknown entry type " + type + " in manifest patch");
+      var operation = {type: type, path: decodeText(reader.field())};
+      if(type == ENTRY_COPY || type == ENTRY_RENAME) operation.from = decodeText(reader.field());
+      if(type == ENTRY_UNCHANGED || type == ENTRY_COPY || type == ENTRY_RENAME) operation.summary = reader.summary();
+      if(type == ENTRY_ADD || type == ENTRY_PATCH) operation.document = copyBytes(reader.field());
+      operations.push(operation);
+    }
+    reader.finish();
+    return operations;
+  }
+
+  /**
+   * Work out the new data for one entry of a manifest patch (anything but a delete). read(path) returns the destination's data for a path, or
+   * undefined if it doesn't have it. Unchanged entries, copies and renames are checked against the summary in the patch, unless options.verify is
+   * false, and patched entries are checked by applyPatch as usual.
+   */
+  function applyManifestEntry(operation, read, options)
+  {
+    var path = operation.type == ENTRY_COPY || operation.type == ENTRY_RENAME ? operation.from : operation.path;
+    var data = operation.type == ENTRY_ADD ? new ArrayBuffer(0) : read(path);
+    if(data === undefined)
+      throw new BSyncError("Manifest patch needs " + JSON.stringify(path) + " from the destination, but it isn't there");
+    if(operation.document)
+      return applyPatch(operation.document, typeof data == "string" ? data : entryData(data), {verify: options.verify, encoding: options.encoding});
+
+    if(options.verify !== false)
+    {
+      var view = new Uint8Array(entryData(data, options.encoding));
+      try { checkSource(operation.summary, view.length, operation.summary.strongHash.create().update(view).digest()); }
+      catch(err) { throw new BSyncIntegrityError("Manifest patch entry " + JSON.stringify(operation.path) + " doesn't match the source. " + err.message); }
+    }
+    return data;
+  }
+
+  /**
+   * Apply a manifest patch to the collection the manifest was made from (a Map or an object of path to data), and return the synced collection, as
+   * the same kind of thing. The collection that was passed in isn't changed. Unchanged entries, copies and renames keep the data they had, as it is,
+   * and changed and new entries get what applyPatch returns. Entries the patch doesn't mention (added to the destination after the manifest was made)
+   * are left as they are.
+   *
+   * Options:
+   *   verify - false to skip checking each entry against the source's hash, see applyPatch
+   *   encoding - see applyPatch. Set it to get new entries back as text too, not just changed ones that were text already.
+   *
+   * A BSyncError is thrown if the patch needs an entry the collection doesn't have, and a BSyncIntegrityError, naming the entry, if one doesn't
+   * come out the same as the source.
+   */
+  function applyManifestPatch(manifestPatch, entries, options)
+  {
+    options = options || {};
+    var operations = readManifestPatch(manifestPatch);
+    var isMap = typeof Map != "undefined" && entries instanceof Map;
+    var original = Object.create(null);
+    var result;
+
+    entryList(entries).forEach(function(entry) { original[entry[0]] = entry[1]; });
+    var updates = operations.map(function(operation)
+    {
+      return operation.type == ENTRY_DELETE ? null : applyManifestEntry(operation, function(path) { return original[path]; }, options);
+    });
+
+    if(isMap)
+    {
+      result = new Map(entries);
+      operations.forEach(function(operation) { if(operation.type == ENTRY_DELETE || operation.type == ENTRY_RENAME) result.delete(operation.type == ENTRY_RENAME ? operation.from : operation.path); });
+      operations.forEach(function(operation, i) { if(updates[i] !== null) result.set(operation.path, updates[i]); });
+      return result;
+    }
+    result = {};
+    Object.keys(entries).forEach(function(path) { result[path] = entries[path]; });
+    operations.forEach(function(operation) { if(operation.type == ENTRY_DELETE || operation.type == ENTRY_RENAME) delete result[operation.type == ENTRY_RENAME ? operation.from : operation.path]; });
+    operations.forEach(function(operation, i) { if(updates[i] !== null) result[operation.path] = updates[i]; });
+    return result;
+  }
+
+  var nodeFs = null;
+  var nodePath = null;
+
+  //the node modules the directory functions use. Throws anywhere else
+  function loadDirectoryModules()
+  {
+    if(!nodeFs)
+    {
+      if(typeof process == "undefined" || !process.versions || !process.versions.node || typeof require != "function")
+        throw new Error("Directories can only be synced in node");
+      nodeFs = require("fs").promises;
+      nodePath = require("path");
+    }
+  }
+
+  //where an entry path goes under root. Paths are "/" separated, and can't have empty, "." or ".." parts, so they can't end up outside root
+  function directoryPath(root, path)
+  {
+    var parts = path.split("/");
+    for(var i = 0; i < parts.length; i++)
+      if(parts[i] == "" || parts[i] == "." || parts[i] == ".." || /[\\\0]/.test(parts[i]))
+        throw new BSyncError("Entry path " + JSON.stringify(path) + " can't be used in a directory");
+    return nodePath.join.apply(nodePath, [root].concat(parts));
+  }
+
+  /**
+   * Read every file under a directory, for createManifest or createManifestPatch. Node only. Returns a promise for an object of path to ArrayBuffer,
+   * with the paths relative to root and "/" separated on every platform. Only regular files are read, symbolic links and the like are skipped.
+   */
+  function readDirectory(root)
+  {
+    var entries = {};
+    var pending = [""];
+
+    try { loadDirectoryModules(); }
+    catch(err) { return Promise.reject(err); }
+
+    return asyncLoop(function()
+    {
+      if(!pending.length) return false;
+      var prefix = pending.shift();
+      return nodeFs.readdir(prefix ? directoryPath(root, prefix) : root, {withFileTypes: true}).then(function(items)
+      {
+        items.sort(function(a, b) { return a.name < b.name ? -1 : a.name > b.name ? 1 : 0; });
+        var i = 0;
+        return asyncLoop(function()
+        {
+          if(i == items.length) return false;
+          var item = items[i++];
+          var path = prefix ? prefix + "/" + item.name : item.name;
+          if(item.isDirectory()) pending.push(path);
+          if(!item.isFile()) return true;
+          return nodeFs.readFile(directoryPath(root, path)).then(function(data)
+          {
+            entries[path] = entryData(data);
+            return true;
+          });
+        });
+      }).then(function() { return true; });
+    }).then(function() { return entries; });
+  }
+
+  //fs.lstat, or null if there's nothing there
+  function statPath(file)
+  {
+    return nodeFs.lstat(file).then(null, function(err)
+    {
+      if(err.code == "ENOENT" || err.code == "ENOTDIR") return null;
+      throw err;
+    });
+  }
+
+  //everything under a directory that isn't a directory itself, as paths the way readDirectory has them
+  function filesUnder(root, path)
+  {
+    var files = [];
+    var pending = [path];
+    return asyncLoop(function()
+    {
+      if(pending.length == 0) return false;
+      var directory = pending.pop();
+      return nodeFs.readdir(directoryPath(root, directory), {withFileTypes: true}).then(function(items)
+      {
+        items.forEach(function(item) { (item.isDirectory() ? pending : files).push(directory + "/" + item.name); });
+        return true;
+      });
+    }).then(function() { return files; });
+  }
+
+  /**
+   * Apply a manifest patch to a directory in place, node only. Only the files the patch needs are read (the ones it changes and the sources of copies,
+   * plus unchanged files and the sources of renames if they're being checked), and only the files it changes are touched. New files are written, with
+   * any directories they need, renames are done with a rename, and deleted files are removed. Directories left empty aren't. Files the patch doesn't
+   * mention are left alone.
+   *
+   * A file can take the place of a directory, as long as the patch deletes (or renames away) everything in it, and a file can be replaced by a directory
+   * of the same name. Everything is read and checked before anything is written, including that nothing the patch doesn't mention is in the way, so a
+   * patch that doesn't fit, or an entry that doesn't match, leaves the directory as it was. A failure while writing can leave it partly synced though.
+   * Deletes are done first, then the files that are written, with renamed files moved out of the way to a temporary name beforehand.
+   *
+   * Options - verify, the same as applyManifestPatch. Returns a promise for what was done, [{type, path, from}] in path order, where type is one of
+   * "unchanged", "add", "delete", "copy", "rename" or "patch", and from is where a copy or rename came from.
+   */
+  function applyManifestPatchToDirectory(manifestPatch, root, options)
+  {
+    options = options || {};
+    var verify = options.verify !== false;
+    var contents = Object.create(null);
+    var removed = Object.create(null); //paths that are gone once the patch is applied: deletes, and where renames come from
+    var needed = [];
+    var updates = [];
+    var written = [];
+    var cleared = []; //directories that a file is written in place of
+    var moved = {}; //where each rename's file is kept in the meantime, by its index in operations
+    var operations;
+
+    try
+    {
+      loadDirectoryModules();
+      operations = readManifestPatch(manifestPatch);
+      operations.forEach(function(operation)
+      {
+        directoryPath(root, operation.path);
+        if(operation.type == ENTRY_PATCH || (operation.type == ENTRY_UNCHANGED && verify)) needed.push(operation.path);
+        if(operation.type == ENTRY_COPY || (operation.type == ENTRY_RENAME && verify)) needed.push(operation.from);
+        if(operation.type == ENTRY_DELETE) removed[operation.path] = true;
+        else if(operation.type == ENTRY_RENAME) removed[operation.from] = true;
+        if(operation.type != ENTRY_UNCHANGED && operation.type != ENTRY_DELETE) written.push(operation.path);
+      });
+    }
+    catch(err) { return Promise.reject(err); }
+
+    //a file about to be written can't have a file where one of its directories goes, unless that's being removed, and if there's a directory where
+    //it goes, everything in that has to be being removed
+    function checkInTheWay(path)
+    {
+      var parts = path.split("/");
+      var j = 1;
+      return asyncLoop(function()
+      {
+        if(j == parts.length) return false;
+        var directory = parts.slice(0, j++).join("/");
+        return statPath(directoryPath(root, directory)).then(function(stats)
+        {
+          if(stats && !stats.isDirectory() && !removed[directory])
+            throw new BSyncError("Can't write " + path + ", " + directory + " is a file that the patch doesn't remove");
+          return true;
+        });
+      })
+        .then(function() { return statPath(directoryPath(root, path)); })
+        .then(function(stats)
+        {
+          if(!stats || !stats.isDirectory()) return;
+          return filesUnder(root, path).then(function(files)
+          {
+            var kept = files.filter(function(file) { return !removed[file]; });
+            if(kept.length)
+              throw new BSyncError("Can't write " + path + ", it's a directory with files in it that the patch doesn't remove, like " + kept[0]);
+            cleared.push(path);
+          });
+        });
+    }
+
+    var i = 0;
+    return asyncLoop(function()
+    {
+      if(i == needed.length) return false;
+      var path = needed[i++];
+      return nodeFs.readFile(directoryPath(root, path)).then(function(data)
+      {
+        contents[path] = entryData(data);
+        return true;
+      }, function(err)
+      {
+        if(err.code != "ENOENT") throw err;
+        return true;
+      });
+    })
+      .then(function()
+      {
+        operations.forEach(function(operation)
+        {
+          if(operation.type == ENTRY_DELETE || ((operation.type == ENTRY_RENAME || operation.type == ENTRY_UNCHANGED) && !verify)) updates.push(null);
+          else updates.push(applyManifestEntry(operation, function(path) { return contents[path]; }, {verify: verify}));
+        });
+
+        i = 0;
+        return asyncLoop(function()
+        {
+          if(i == written.length) return false;
+          return checkInTheWay(written[i++]).then(function() { return true; });
+        });
+      })
+      .then(function()
+      {
+        //renamed files are moved aside first, so the places they go can be cleared, and the places they come from can be taken by other files
+        var suffix = Date.now() + "-" + Math.floor(Math.random() * 0x100000000).toString(16);
+        i = 0;
+        return asyncLoop(function()
+        {
+          while(i < operations.length && operations[i].type != ENTRY_RENAME) i++;
+          if(i == operations.length) return false;
+          moved[i] = nodePath.join(root, ".bsync-rename-" + i + "-" + suffix);
+          return nodeFs.rename(directoryPath(root, operations[i].from), moved[i++]).then(function() { return true; });
+        });
+      })
+      .then(function()
+      {
+        i = 0;
+        return asyncLoop(function()
+        {
+          while(i < operations.length && operations[i].type != ENTRY_DELETE) i++;
+          if(i == operations.length) return false;
+          return nodeFs.unlink(directoryPath(root, operations[i++].path)).then(function() { return true; }, function(err)
+          {
+            if(err.code != "ENOENT") throw err;
+            return true;
+          });
+        });
+      })
+      .then(function()
+      {
+        //only empty directories are left in these now
+        return Promise.all(cleared.map(function(path) { return nodeFs.rm(directoryPath(root, path), {recursive: true}); }));
+      })
+      .then(function()
+      {
+        i = 0;
+        return asyncLoop(function()
+        {
+          if(i == operations.length) return false;
+          var index = i++;
+          var operation = operations[index];
+          var file = directoryPath(root, operation.path);
+          if(operation.type == ENTRY_UNCHANGED || operation.type == ENTRY_DELETE) return true;
+          return nodeFs.mkdir(nodePath.dirname(file), {recursive: true}).then(function()
+          {
+            if(operation.type == ENTRY_RENAME) return nodeFs.rename(moved[index], file);
+            return nodeFs.writeFile(file, new Uint8Array(updates[index]));
+          }).then(function() { return true; });
+        });
+      })
+      .then(function()
+      {
+        return operations.map(function(operation)
+        {
+          var done = {type: ENTRY_NAMES[operation.type], path: operation.path};
+          if(operation.from !== undefined) done.from = operation.from;
+          return done;
+        });
+      });
+  }
+
+  /**
+   * SyncSession runs whole syncs over a message port: anything with postMessage and message events, like a MessagePort, a worker, a WebRTC data
+   * channel wrapped to take objects, or createPortPair for tests. The same session is used on both ends, and either end can push or pull.
+   *
+   * Messages are objects with bsync set to "session", so a port can carry other traffic as well. A request has an id and a type, and its reply
+   * has re set to that id. The conversation goes:
+   *   hello      - sent by each end before anything else, with the protocol versions it speaks and the newest checksum and patch documents it
+   *                reads. Each end uses the newer of the two protocol versions it has in common, and doesn't send the other documents it can't read.
+   *   checksums  - push asks the other end for a checksum document of its copy, sending the length and hash of the data it's pushing. The answer is
+   *                the checksum document, or "identical" if the other end already has that data.
+   *   patch      - push sends the patch, and the other end applies it, stores the result and answers "ack".
+   *   pull       - pull sends a checksum document of its copy, with its length and hash, and gets back a patch, or "identical".
+   * A request that fails on the other end is answered with "error", which carries the error's name and message, and is thrown again on this end as the
+   * same kind of BSyncError. Errors thrown that way have remote set.
+   */
+  var SESSION_PROTOCOL_VERSION = 1;
+  var SESSION_MIN_PROTOCOL_VERSION = 1; //the oldest protocol this end still speaks
+  var SESSION_TIMEOUT = 30000;
+  var SESSION_RETRIES = 2;
+  var SESSION_ERRORS = {BSyncError: BSyncError, BSyncFormatError: BSyncFormatError, BSyncVersionError: BSyncVersionError, BSyncIntegrityError: BSyncIntegrityError};
+
+  //start listening on a port for messages, whichever kind of port it is (see listen). Returns a function that stops listening again
+  function attachPort(port, handler)
+  {
+    if(typeof port.on == "function")
+    {
+      port.on("message", handler);
+      return function() { (port.off || port.removeListener).call(port, "message", handler); };
+    }
+    if(typeof port.addEventListener == "function")
+    {
+      var listener = function(event) { handler(event.data); };
+      port.addEventListener("message", listener);
+      if(typeof port.start == "function") port.start();
+      return function() { port.removeEventListener("message", listener); };
+    }
+    port.onmessage = function(event) { handler(event.data); };
+    return function() { port.onmessage = null; };
+  }
+
+  //the length and source hash of some data, for telling whether both ends already have the same thing
+  function sessionSummary(data, encoding)
+  {
+    var view = new Uint8Array(textToBinary(data, encoding));
+    return {length: view.length, hash: getStrongHash(SOURCE_HASH).digest(view)};
+  }
+
+  function sameSummary(summary, message)
+  {
+    if(summary.length !== message.length || !message.hash || message.hash.length != summary.hash.length) return false;
+    for(var i = 0; i < summary.hash.length; i++)
+      if(summary.hash[i] != message.hash[i]) return false;
+    return true;
+  }
+
+  /**
+   * A sync session over port. Options:
+   *   getData - function(name), returns the data this end has called name, or a promise for it. null or undefined if it has nothing by that name.
+   *             Needed to push or pull without passing the data, and to answer the other end's requests at all.
+   *   setData - function(name, data), stores data as name. Can return a promise. Needed for the other end to push here, and pull uses it to store
+   *             what it got.
+   *   blockSize - for the checksum documents this end makes, defaults to "auto".
+   *   hash, strongLength, subBlockSize, lines, encoding - same as createChecksumDocument. encoding is used for everything, both ends need the same one.
+   *   compress - same as createPatchDocument.
+   *   timeout - how long to wait for an answer, in milliseconds. Defaults to 30 seconds. 0 waits forever.
+   *   retries - how many more times to try a push or pull, after a timeout, or a patch that didn't reproduce the data (because one end's copy changed
+   *             part way through). Defaults to 2.
+   *
+   * Works with or without new. The session doesn't own the port, close() stops using it but leaves it open.
+   */
+  function SyncSession(port, options)
+  {
+    if(!(this instanceof SyncSession)) return new SyncSession(port, options);
+    if(!port || typeof port.postMessage != "function")
+      throw new TypeError("A sync session needs a port with a postMessage function");
+    options = options || {};
+    var timeout = options.timeout === undefined ? SESSION_TIMEOUT : options.timeout;
+    var retries = options.retries === undefined ? SESSION_RETRIES : options.retries;
+    var blockSize = options.blockSize === undefined ? "auto" : options.blockSize;
+    var nextId = 1;
+    var pending = {};
+    var peer = null;
+    var connecting = null;
+    var closed = false;
+    var detach = attachPort(port, received);
+
+    var handlers = {
+      hello: function(message)
+      {
+        agree(message);
+        return helloMessage();
+      },
+      checksums: function(message)
+      {
+        if(!options.setData) throw new BSyncError("This end doesn't take pushes, it has no setData");
+        return readData(message.name, true).then(function(current)
+        {
+          if(sameSummary(sessionSummary(current, options.encoding), message)) return {type: "identical"};
+          return createChecksums(current).then(function(checksums) { return {type: "checksums", checksums: checksums}; });
+        });
+      },
+      patch: function(message)
+      {
+        if(!options.setData) throw new BSyncError("This end doesn't take pushes, it has no setData");
+        return readData(message.name, true)
+          .then(function(current) { return applyPatchAsync(message.patch, current, {encoding: options.encoding}); })
+          .then(function(result) { return options.setData(message.name, result); })
+          .then(function() { return {type: "ack"}; });
+      },
+      pull: function(message)
+      {
+        return readData(message.name, false).then(function(source)
+        {
+          if(sameSummary(sessionSummary(source, options.encoding), message)) return {type: "identical"};
+          return createPatchDocumentAsync(message.checksums, source, patchOptions()).then(function(patch) { return {type: "patch", patch: patch}; });
+        });
+      }
+    };
+
+    function send(message)
+    {
+      message.bsync = "session";
+      port.postMessage(message);
+    }
+
+    function received(message)
+    {
+      if(closed || !message || message.bsync != "session") return;
+      if(message.re !== undefined)
+      {
+        var waiting = pending[message.re];
+        if(!waiting) return; //it already timed out
+        delete pending[message.re];
+        clearTimeout(waiting.timer);
+        if(message.type == "error") waiting.reject(remoteError(message.error));
+        else waiting.resolve(message);
+        return;
+      }
+
+      Promise.resolve()
+        .then(function()
+        {
+          if(!handlers.hasOwnProperty(message.type)) throw new BSyncFormatError("Unknown sync session request: " + message.type);
+          if(message.type == "hello") return handlers.hello(message);
+          return connect().then(function() { return handlers[message.type](message); });
+        })
+        .then(function(reply)
+        {
+          reply.re = message.id;
+          if(!closed) send(reply);
+        }, function(err)
+        {
+          if(!closed) send({type: "error", re: message.id, error: {name: err && err.name, message: err && err.message}});
+        });
+    }
+
+    function remoteError(error)
+    {
+      error = error || {};
+      var err = new (SESSION_ERRORS.hasOwnProperty(error.name) ? SESSION_ERRORS[error.name] : BSyncError)("The other end failed: " + error.message);
+      err.remote = true;
+      return err;
+    }
+
+    //send a request, and get a promise for the reply
+    function request(type, message)
+    {
+      if(closed) return Promise.reject(new BSyncError("The sync session is closed"));
+      var id = nextId++;
+      message.type = type;
+      message.id = id;
+      return new Promise(function(resolve, reject)
+      {
+        var timer = timeout > 0 ? setTimeout(function()
+        {
+          delete pending[id];
+          var err = new BSyncError("The other end didn't answer a " + type + " request within " + timeout + "ms");
+          err.timeout = true;
+          reject(err);
+        }, timeout) : null;
+        pending[id] = {resolve: resolve, reject: reject, timer: timer};
+        send(message);
+      });
+    }
 
-    var hashTable = parseChecksumDocument(checksumDocument);
-    var endOffset = data.byteLength - blockSize;
-    var adlerInfo = null;
-    var lastMatchIndex = 0;
-    var currentPatch = new ArrayBuffer(1000);
-    var currentPatchUint8 = new Uint8Array(currentPatch);
-    var currentPatchSize = 0;
-    var dataUint8 = new Uint8Array(data);
-    var matchedBlocks = new ArrayBuffer(1000);
-    var matchedBlocksUint32 = new Uint32Array(matchedBlocks);
-    var matchCount = 0;
+    //run attempt(), and again if it fails in a way that's worth another go: no answer in time, or a patch that didn't reproduce the data
+    function withRetries(attempt)
+    {
+      var tries = 0;
+      function next()
+      {
+        return attempt().catch(function(err)
+        {
+          if(tries++ >= retries || closed || !(err.timeout || err instanceof BSyncIntegrityError)) throw err;
+          return next();
+        });
+      }
+      return next();
+    }
 
+    function helloMessage()
+    {
+      return {type: "hello", protocol: SESSION_PROTOCOL_VERSION, minProtocol: SESSION_MIN_PROTOCOL_VERSION,
+              checksumVersion: CHECKSUM_DOCUMENT_VERSION, patchVersion: PATCH_DOCUMENT_VERSION};
+    }
 
-    for(;;)
+    //settle on a protocol version with the other end, from its hello
+    function agree(hello)
     {
-      var chunkSize = 0;
-      //determine the size of the next data chuck to evaluate. Default to blockSize, but clamp to end of data
-      if((i + blockSize) > data.byteLength)
+      var protocol = Math.min(hello.protocol, SESSION_PROTOCOL_VERSION);
+      if(!(protocol >= SESSION_MIN_PROTOCOL_VERSION && protocol >= (hello.minProtocol || 1)))
       {
-        chunkSize = data.byteLength - i;
-        adlerInfo=null; //need to reset this because the rolling checksum doesn't work correctly on a final non-aligned block
+        var err = new BSyncVersionError("The other end speaks sync session protocol versions " + (hello.minProtocol || 1) + " to " + hello.protocol +
+                                        ", but this end only speaks " + SESSION_MIN_PROTOCOL_VERSION + " to " + SESSION_PROTOCOL_VERSION);
+        err.version = hello.protocol;
+        err.supportedVersion = SESSION_PROTOCOL_VERSION;
+        throw err;
       }
-      else
-        chunkSize = blockSize;
+      peer = {protocol: protocol, checksumVersion: hello.checksumVersion, patchVersion: hello.patchVersion};
+      return peer;
+    }
 
-      if(adlerInfo)
-        adlerInfo = rollingChecksum(adlerInfo, i, i + chunkSize - 1, dataUint8);
-      else
-        adlerInfo = adler32(i, i + chunkSize - 1, dataUint8);
+    function connect()
+    {
+      if(!connecting)
+      {
+        connecting = withRetries(function() { return request("hello", helloMessage()); }).then(agree);
+        connecting.catch(function() { connecting = null; });
+      }
+      return connecting;
+    }
 
-      var matchedBlock = checkMatch(adlerInfo, hashTable, new Uint8Array(data,i,chunkSize));
-      if(matchedBlock)
-      { 
-        //if we have a match, do the following:
-        //1) add the matched block index to our tracking buffer
-        //2) check to see if there's a current patch. If so, add it to the patch document. 
-        //3) jump forward blockSize bytes and continue
-        matchedBlocksUint32[matchCount] = matchedBlock;
-        matchCount++;
-        //check to see if we need more memory for the matched blocks
-        if(matchCount >= matchedBlocksUint32.length)
+    //the documents sent to the other end are kept to the versions it said it reads. Sub-blocks are left out of documents for data too short to have
+    //blocks that big
+    function createChecksums(data)
+    {
+      var binary = textToBinary(data, options.encoding);
+      var size = resolveBlockSize(blockSize, binary.byteLength);
+      return createChecksumDocumentAsync(size, binary, {hash: options.hash, strongLength: options.strongLength, lines: peer.checksumVersion >= 4 && options.lines,
+                                                        subBlockSize: peer.checksumVersion >= 3 && options.subBlockSize <= size ? options.subBlockSize : 0});
+    }
+
+    function patchOptions()
+    {
+      return {encoding: options.encoding, compress: peer.patchVersion >= 5 && options.compress, refine: peer.patchVersion >= 4};
+    }
+
+    //binary data as an ArrayBuffer of its own, the way entryData does for manifests, since a Buffer or other view doesn't start at the beginning of its
+    //buffer. Strings are left alone, so text mode gives back strings
+    function sessionData(data)
+    {
+      return typeof data == "string" ? data : entryData(data);
+    }
+
+    //what this end has called name. Something that isn't there is empty if it's about to be written, otherwise it's an error
+    function readData(name, empty)
+    {
+      if(!options.getData) return Promise.reject(new BSyncError("This end has no getData, so it has nothing to sync"));
+      return Promise.resolve(options.getData(name)).then(function(data)
+      {
+        if(data !== null && data !== undefined) return sessionData(data);
+        if(empty) return options.encoding === undefined ? new ArrayBuffer(0) : "";
+        throw new BSyncError("There's nothing called " + JSON.stringify(name) + " to sync");
+      });
+    }
+
+    /**
+     * Start the conversation, if it hasn't been already. push and pull do this themselves, so there's no need to call it first, but it's a way to find
+     * out the other end is there. Returns a promise for what the two ends agreed on: {protocol, checksumVersion, patchVersion}, where the versions are the
+     * newest documents the other end reads.
+     */
+    this.connect = connect;
+
+    /**
+     * Send this end's data to the other end, which ends up with a copy of it stored under name. data defaults to getData(name). Returns a promise for
+     * {identical, patchLength}, where identical means the other end already had it and no patch was sent.
+     */
+    this.push = function(name, data)
+    {
+      var source, summary;
+      return connect()
+        .then(function() { return data === undefined ? readData(name, false) : sessionData(data); })
+        .then(function(value)
         {
-          matchedBlocks = appendBuffer(matchedBlocks, new ArrayBuffer(1000));
-          matchedBlocksUint32 = new Uint32Array(matchedBlocks);
-        }
-        if(currentPatchSize > 0)
+          source = value;
+          summary = sessionSummary(source, options.encoding);
+          return withRetries(function()
+          {
+            return request("checksums", {name: name, length: summary.length, hash: summary.hash}).then(function(reply)
+            {
+              if(reply.type == "identical") return {identical: true, patchLength: 0};
+              return createPatchDocumentAsync(reply.checksums, source, patchOptions()).then(function(patch)
+              {
+                return request("patch", {name: name, patch: patch}).then(function() { return {identical: false, patchLength: patch.byteLength}; });
+              });
+            });
+          });
+        });
+    };
+
+    /**
+     * Bring this end's copy of name up to date with the other end's. data is this end's copy, or if it's left out, it's getData(name) and the result is
+     * stored with setData (if there is one). Returns a promise for the up to date data, which is a string in text mode.
+     */
+    this.pull = function(name, data)
+    {
+      var current;
+      return connect().then(function()
+      {
+        return withRetries(function()
         {
-          //create the patch and append it to the patches buffer
-          patch = new ArrayBuffer(4 + 4); //4 for last match index, 4 for patch size
-          var patchUint32 = new Uint32Array(patch,0,2);
-          patchUint32[0] = lastMatchIndex;
-          patchUint32[1] = currentPatchSize;
-          patch = appendBuffer(patch,currentPatch.slice(0,currentPatchSize));
-          patches = appendBuffer(patches, patch);
-          currentPatch = new ArrayBuffer(1000);
-          currentPatchUint8 = new Uint8Array(currentPatch);
-          currentPatchSize = 0;
-          numPatches++;
-        }
-        lastMatchIndex = matchedBlock;
-        i+=blockSize; 
-        if(i >= dataUint8.length -1 ) break;
-        adlerInfo=null;
-        continue;
+          return Promise.resolve(data === undefined ? readData(name, true) : sessionData(data))
+            .then(function(value)
+            {
+              current = value;
+              return createChecksums(current);
+            })
+            .then(function(checksums)
+            {
+              var summary = sessionSummary(current, options.encoding);
+              return request("pull", {name: name, length: summary.length, hash: summary.hash, checksums: checksums});
+            })
+            .then(function(reply)
+            {
+              if(reply.type == "identical") return current;
+              return applyPatchAsync(reply.patch, current, {encoding: options.encoding});
+            });
+        });
+      })
+      .then(function(result)
+      {
+        if(data !== undefined || !options.setData) return result;
+        return Promise.resolve(options.setData(name, result)).then(function() { return result; });
+      });
+    };
+
+    /**
+     * Stop listening on the port. Anything still waiting for an answer is rejected with a BSyncError. The port itself is left open.
+     */
+    this.close = function()
+    {
+      if(closed) return;
+      closed = true;
+      detach();
+      Object.keys(pending).forEach(function(id)
+      {
+        clearTimeout(pending[id].timer);
+        pending[id].reject(new BSyncError("The sync session was closed"));
+      });
+      pending = {};
+    };
+  }
+
+  /**
+   * Two ports joined to each other, for running a SyncSession (or anything else that takes a port) without a real channel, in tests say. Each one has
+   * postMessage, onmessage and close, like a MessagePort. Messages are delivered asynchronously, in order, and cloned where structuredClone is around.
+   */
+  function createPortPair()
+  {
+    var ports = [{}, {}];
+    var open = true;
+    ports.forEach(function(port, i)
+    {
+      var other = ports[1 - i];
+      port.onmessage = null;
+      port.postMessage = function(message)
+      {
+        if(!open) return;
+        var data = typeof structuredClone == "function" ? structuredClone(message) : message;
+        Promise.resolve().then(function() { if(open && other.onmessage) other.onmessage({data: data}); });
+      };
+      port.close = function() { open = false; };
+    });
+    return ports;
+  }
+
+  /**
+   * HTTP. createHttpHandler serves resources from a store, one per path: GET (and HEAD) gives the resource's checksum document, and PUT or PATCH with a
+   * patch document brings the resource up to date. uploadSync is the other end, it does the whole upload with fetch.
+   *
+   * Resources have an ETag, a hash of their content, and writes can be made conditional on it with If-Match, so two clients writing at
+   * once can't undo each other's changes. A patch made against content that has changed since fails its check anyway, but If-Match catches it before
+   * the patch is even read.
+   */
+  var CHECKSUM_CONTENT_TYPE = "application/vnd.bit-sync.checksum";
+  var PATCH_CONTENT_TYPE = "application/vnd.bit-sync.patch";
+  var HTTP_CACHE_SIZE = 100; //checksum documents kept, by default
+  var HTTP_MAX_BODY = 256 * 1024 * 1024;
+
+  /**
+   * A resource store that keeps everything in memory, for createHttpHandler. entries is an optional Map or object of name to data to start with.
+   * Any store works as long as it has get(name), which returns the data (an ArrayBuffer, typed array or Buffer), or null if there's nothing by that name,
+   * and set(name, data). Either can return a promise.
+   */
+  function createMemoryStore(entries)
+  {
+    var stored = new Map(entries instanceof Map ? entries : Object.keys(entries || {}).map(function(name) { return [name, entries[name]]; }));
+    return {
+      get: function(name) { return stored.has(name) ? stored.get(name) : null; },
+      set: function(name, data) { stored.set(name, data); }
+    };
+  }
+
+  /**
+   * A resource store that keeps each resource in a file under root, named by its path the same way applyManifestPatchToDirectory does. Node only.
+   * Files are written to a temporary name beside them and renamed into place, so a reader never sees half of one.
+   */
+  function createDirectoryStore(root)
+  {
+    loadDirectoryModules();
+    return {
+      get: function(name)
+      {
+        return Promise.resolve()
+          .then(function() { return nodeFs.readFile(directoryPath(root, name)); })
+          .then(function(buffer) { return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length); }, function(err)
+          {
+            if(err.code == "ENOENT") return null;
+            throw err;
+          });
+      },
+      set: function(name, data)
+      {
+        var path, temporary;
+        return Promise.resolve()
+          .then(function()
+          {
+            path = directoryPath(root, name);
+            temporary = path + ".bsync-" + Date.now() + "-" + Math.floor(Math.random() * 0x100000000).toString(16);
+            return nodeFs.mkdir(nodePath.dirname(path), {recursive: true});
+          })
+          .then(function() { return nodeFs.writeFile(temporary, toUint8Array(data)); })
+          .then(function() { return nodeFs.rename(temporary, path); })
+          .then(null, function(err)
+          {
+            if(!temporary) throw err;
+            return nodeFs.unlink(temporary).then(function() { throw err; }, function() { throw err; });
+          });
       }
-      else
+    };
+  }
+
+  //the ETag for some data, the start of its SHA-256, quoted
+  function contentETag(data)
+  {
+    return "\"" + toHex(getStrongHash(SOURCE_HASH).digest(toUint8Array(data)).subarray(0, 16)) + "\"";
+  }
+
+  //whether an If-Match or If-None-Match header lists etag. Weak ETags never match, this is always a strong comparison
+  function matchesETag(header, etag)
+  {
+    if(header.trim() == "*") return etag !== null;
+    return header.split(",").some(function(tag) { return tag.trim() === etag; });
+  }
+
+  //a BSyncError for an HTTP response, with the status it should have
+  function httpError(status, message)
+  {
+    var err = new BSyncError(message);
+    err.status = status;
+    return err;
+  }
+
+  //the status to answer with when applying a patch throws err, or 0 if it isn't something the client did
+  function patchErrorStatus(err)
+  {
+    if(err.status) return err.status;
+    if(err instanceof BSyncIntegrityError) return 409; //it was made against something else, the client should fetch the checksums again
+    if(err instanceof BSyncError || err instanceof RangeError) return 400;
+    return 0;
+  }
+
+  //the whole body of a request, up to limit bytes, in an ArrayBuffer of its own. Bodies that something like express.raw() has already read are copied
+  //out, since they're usually views into a shared pool. A body some other parser has read, as text or JSON, can't be had any more
+  function readRequestBody(req, limit)
+  {
+    if(req.body && (req.body instanceof ArrayBuffer || ArrayBuffer.isView(req.body)))
+    {
+      if(req.body.byteLength > limit) return Promise.reject(httpError(413, "The request body is more than " + limit + " bytes"));
+      return Promise.resolve(new Uint8Array(copyBytes(req.body)));
+    }
+    if(req.readableEnded)
+      return Promise.reject(new Error("The request body has already been read, by a body parser that doesn't keep it as binary. Use express.raw() for these routes, or none at all"));
+    return new Promise(function(resolve, reject)
+    {
+      var chunks = [];
+      var length = 0;
+      req.on("data", function(chunk)
       {
-        //while we don't have a block match, append bytes to the current patch
-        currentPatchUint8[currentPatchSize] = dataUint8[i]; 
-        currentPatchSize++;
-        if(currentPatchSize >= currentPatch.byteLength)
+        length += chunk.length;
+        if(length > limit)
         {
-          //allocate another 1000 bytes
-          currentPatch = appendBuffer(currentPatch, new ArrayBuffer(1000));
-          currentPatchUint8 = new Uint8Array(currentPatch);
+          req.removeAllListeners("data");
+          req.resume();
+          reject(httpError(413, "The request body is more than " + limit + " bytes"));
         }
-      }
-      if((i) >= dataUint8.length -1) break;
-      i++;
-    } //end for each byte in the data
-    if(currentPatchSize > 0)
+        else chunks.push(chunk);
+      });
+      req.on("end", function() { resolve(new Uint8Array(concatBuffers(chunks))); }); //concatBuffers copies out of the chunks, whatever they are views of
+      req.on("error", reject);
+    });
+  }
+
+  /**
+   * A request handler that serves the resources in store (see createMemoryStore for what a store needs). It works as connect or express middleware,
+   * function(req, res, next), and as a plain http.createServer listener. The resource's name is the request path, less the leading slash and decoded,
+   * so under express it's the part after wherever the handler is mounted.
+   *
+   *   GET, HEAD - the resource's checksum document, with its ETag. 304 if If-None-Match has the ETag, 404 if there's nothing by that name. Checksum
+   *               documents are cached (options.cacheSize of them, 100 by default) and kept up to date as patches come in, see updateChecksumDocument.
+   *   PATCH     - the body is a patch document, with Content-Type application/vnd.bit-sync.patch, which is applied to the resource. Something that
+   *               isn't there is patched as if it were empty.
+   *   PUT       - the same as PATCH with that Content-Type. With any other, the body is the new content as it is, for creating a resource or starting over.
+   * Writes answer 201 if they created the resource and 204 otherwise, with the new ETag. If-Match and If-None-Match are checked before anything is
+   * read, and fail with 412. A patch that doesn't reproduce its source fails with 409, since it was made against some other content, and one that
+   * can't be read fails with 400. Writes to the same resource take turns, so the check and the write go together.
+   *
+   * Options:
+   *   blockSize, hash, strongLength, subBlockSize, lines, encoding - for the checksum documents, same as createChecksumDocument. blockSize defaults to "auto".
+   *   cacheSize - how many checksum documents to keep. 0 makes a new one every time.
+   *   requireIfMatch - answer 428 to writes without If-Match or If-None-Match, so every client has to say what it thinks it's writing over.
+   *   maxBodySize - the most a request body can be, 256MB by default. Bigger ones get 413.
+   *
+   * Other methods are passed to next, or answered 405 if there isn't one. So are errors from the store, or answered 500.
+   */
+  function createHttpHandler(store, options)
+  {
+    if(!store || typeof store.get != "function" || typeof store.set != "function")
+      throw new TypeError("createHttpHandler needs a store with get and set functions");
+    options = options || {};
+    var blockSize = options.blockSize === undefined ? "auto" : options.blockSize;
+    var checksumOptions = {hash: options.hash, strongLength: options.strongLength, subBlockSize: options.subBlockSize, lines: options.lines, encoding: options.encoding};
+    var cacheSize = options.cacheSize === undefined ? HTTP_CACHE_SIZE : options.cacheSize;
+    var maxBodySize = options.maxBodySize === undefined ? HTTP_MAX_BODY : options.maxBodySize;
+    var cache = new Map(); //name to {etag, document}, oldest first
+    var writing = {}; //name to a promise for the write in progress
+
+    function cached(name, etag, document)
     {
-      //create the patch and append it to the patches buffer
-      patch = new ArrayBuffer(4 + 4); //4 for last match index, 4 for patch size
-      var patchUint32 = new Uint32Array(patch,0,2);
-      patchUint32[0] = lastMatchIndex;
-      patchUint32[1] = currentPatchSize;
-      patch = appendBuffer(patch,currentPatch.slice(0,currentPatchSize));
-      patches = appendBuffer(patches, patch);
-      numPatches++;
+      cache.delete(name);
+      if(cacheSize <= 0) return;
+      cache.set(name, {etag: etag, document: document});
+      if(cache.size > cacheSize) cache.delete(cache.keys().next().value);
     }
 
-    var patchDocumentView32 = new Uint32Array(patchDocument);
-    patchDocumentView32[0] = blockSize;
-    patchDocumentView32[1] = numPatches;
-    patchDocumentView32[2] = matchCount;
-    patchDocument = appendBuffer(patchDocument, matchedBlocks.slice(0,matchCount * 4));
-    patchDocument = appendBuffer(patchDocument, patches);
+    function send(res, status, headers, body)
+    {
+      res.statusCode = status;
+      Object.keys(headers).forEach(function(name) { res.setHeader(name, headers[name]); });
+      res.end(body === undefined ? undefined : typeof body == "string" ? body : toUint8Array(body));
+    }
 
-    var patchDocumentView32 = new Uint32Array(patchDocument,0,matchCount + 3);
-    var patchDocumentView8 = new Uint8Array(patchDocument);
+    //one write to name at a time
+    function turn(name, work)
+    {
+      var previous = writing[name] || Promise.resolve();
+      var current = previous.then(work, work);
+      var done = current.then(null, function() {});
+      writing[name] = done;
+      done.then(function() { if(writing[name] === done) delete writing[name]; });
+      return current;
+    }
 
-    return patchDocument;
+    function get(req, res, name)
+    {
+      return Promise.resolve(store.get(name)).then(function(data)
+      {
+        if(data === null || data === undefined) return send(res, 404, {"Content-Type": "text/plain"}, "There's nothing called " + name + "\n");
+        var etag = contentETag(data);
+        var headers = {"ETag": etag, "Cache-Control": "no-cache"};
+        if(req.headers["if-none-match"] && matchesETag(req.headers["if-none-match"], etag)) return send(res, 304, headers);
+        var entry = cache.get(name);
+        var made = entry && entry.etag == etag ? Promise.resolve(entry.document) : createChecksumDocumentAsync(blockSize, data, checksumOptions);
+        return made.then(function(document)
+        {
+          cached(name, etag, document);
+          headers["Content-Type"] = CHECKSUM_CONTENT_TYPE;
+          headers["Content-Length"] = document.byteLength;
+          send(res, 200, headers, req.method == "HEAD" ? undefined : document);
+        });
+      });
+    }
+
+    function write(req, res, name)
+    {
+      var type = (req.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+      var isPatch = type == PATCH_CONTENT_TYPE;
+      if(req.method == "PATCH" && !isPatch)
+        return Promise.reject(httpError(415, "PATCH takes a patch document, with Content-Type " + PATCH_CONTENT_TYPE));
+      var ifMatch = req.headers["if-match"];
+      var ifNoneMatch = req.headers["if-none-match"];
+      if(options.requireIfMatch && !ifMatch && !ifNoneMatch)
+        return Promise.reject(httpError(428, "Writes need an If-Match header, with the ETag of what's being written over"));
+
+      return turn(name, function()
+      {
+        var data, etag, result;
+        return Promise.resolve(store.get(name))
+          .then(function(value)
+          {
+            data = value === undefined ? null : value;
+            etag = data === null ? null : contentETag(data);
+            if(ifMatch && !matchesETag(ifMatch, etag))
+              throw httpError(412, "The resource has changed, its ETag is " + (etag || "gone, there's nothing there"));
+            if(ifNoneMatch && matchesETag(ifNoneMatch, etag))
+              throw httpError(412, "The resource already exists, its ETag is " + etag);
+            return readRequestBody(req, maxBodySize);
+          })
+          .then(function(body)
+          {
+            if(!isPatch) return (result = body);
+            return applyPatchAsync(body, data === null ? new ArrayBuffer(0) : data).then(function(patched)
+            {
+              result = new Uint8Array(patched);
+              //the cached checksum document can be brought up to date from the patch, if the patch was made from it. If it wasn't, the next GET makes a new one
+              var entry = cache.get(name);
+              if(entry && entry.etag == etag)
+              {
+                try { cached(name, contentETag(result), updateChecksumDocument(entry.document, body, result.buffer)); }
+                catch(err) { cache.delete(name); }
+              }
+            });
+          })
+          .then(function() { return store.set(name, result.buffer); })
+          .then(function()
+          {
+            var newETag = contentETag(result);
+            if(cache.has(name) && cache.get(name).etag != newETag) cache.delete(name);
+            send(res, data === null ? 201 : 204, {"ETag": newETag});
+          });
+      });
+    }
+
+    return function(req, res, next)
+    {
+      var name;
+      try { name = decodeURIComponent(req.url.split("?")[0].replace(/^\//, "")); }
+      catch(err) { name = ""; }
+
+      var handled;
+      if(req.method == "GET" || req.method == "HEAD") handled = name ? get(req, res, name) : Promise.reject(httpError(404, "No resource named"));
+      else if(req.method == "PUT" || req.method == "PATCH") handled = name ? write(req, res, name) : Promise.reject(httpError(404, "No resource named"));
+      else if(next) return next();
+      else
+      {
+        send(res, 405, {"Allow": "GET, HEAD, PUT, PATCH", "Content-Type": "text/plain"}, "Method not allowed\n");
+        return;
+      }
+
+      handled.then(null, function(err)
+      {
+        var status = patchErrorStatus(err);
+        if(!status && next) return next(err);
+        if(res.headersSent) return res.destroy(err);
+        send(res, status || 500, {"Content-Type": "text/plain"}, (status ? err.message : "Internal server error") + "\n");
+      });
+    };
   }
 
   /**
-   * Apply the patch to the destination data, making it into a duplicate of the source data
-   * Due to the inability to modify the size of ArrayBuffers once they have been allocated, this function
-   * will return a new ArrayBuffer with the update file data. Note that this will consume a good bit of extra memory.
+   * An http server for createHttpHandler, for when there's no connect or express. Node only. Call listen on it as usual.
    */
-  function applyPatch(patchDocument, data)
+  function createHttpServer(store, options)
   {
-    function appendBlock( buffer, blockUint8) {
-      var tmp = new Uint8Array( buffer.byteLength + blockUint8.length);
-      tmp.set( new Uint8Array( buffer ), 0 );
-      tmp.set( blockUint8, buffer.byteLength );
-      return tmp.buffer;
-    }
+    if(typeof require != "function") throw new Error("createHttpServer only works in node");
+    return require("http").createServer(createHttpHandler(store, options));
+  }
 
-    var patchDocumentView32 = new Uint32Array(patchDocument,0,3);
-    var blockSize = patchDocumentView32[0];
-    var patchCount = patchDocumentView32[1];
-    var matchCount = patchDocumentView32[2];
-    var matchedBlockView32 = new Uint32Array(patchDocument,12,matchCount);
-    var i=0;
-    var j=0;
+  //whether a patch document only says the source and destination are the same
+  function isIdenticalPatch(patchDocument)
+  {
+    var document = openDocument(patchDocument, DOCUMENT_PATCH, PATCH_DOCUMENT_VERSION);
+    return !document.legacy && document.body.length > 4 && document.body[4] == RECORD_IDENTICAL;
+  }
 
-    //first, let's deal with the simple case where we fully match. This is just an optimization for the unchanged file case.
-    //to determine this, the number of matches must exactly equal ceil of data / blockSize, and num patches must be zero
-    //additionally, the matched block indexes must start with 1 and be in order. This is to deal with the extreme edge case of a block being relocated
-    //on an exact block boundary
-    if(patchCount == 0)
-      if(Math.ceil(data.byteLength / blockSize) == matchCount)
-        for(i = 1; i <= matchCount; i++)
-          if(matchedBlockView32[i-1] != i) { break; }
-    if((i - 1) == matchCount) return data; //exact match
+  /**
+   * Upload data to url, a resource served by createHttpHandler, sending only what's changed. It fetches the checksum document, makes a patch from it and
+   * sends that with If-Match, so if someone else writes in between, the server turns it down and it starts again. Nothing is sent if the server already has
+   * the same data, and if there's nothing there yet, the data is sent whole.
+   *
+   * Options:
+   *   fetch - the fetch function to use, defaults to the global one.
+   *   headers - more headers for every request, for authentication say.
+   *   compress, encoding - same as createPatchDocument.
+   *   retries - how many more times to start again after the server turns an upload down because the resource changed (412 or 409). Defaults to 2.
+   *   signal - an AbortSignal, passed to fetch and createPatchDocumentAsync.
+   *
+   * Returns a promise for {created, identical, patchLength, etag}, where etag is the resource's ETag now. Any other response than the ones expected rejects
+   * with a BSyncError that has the response's status.
+   */
+  function uploadSync(url, data, options)
+  {
+    options = options || {};
+    var fetchFunction = options.fetch || (typeof fetch == "function" ? fetch : null);
+    var retries = options.retries === undefined ? 2 : options.retries;
+    if(!fetchFunction) return Promise.reject(new TypeError("uploadSync needs fetch, pass it as options.fetch if there isn't a global one"));
 
-    //there was a modification. We need to construct the new document.
-    //the way this works is as follows:
-    //1) for each patch, get the last index of the matching block
-    //2) loop through the matchedBlocks, appending blocks up to the index from step 1
-    //3) append the patch at that point
-    //4) after all patches have been applied, continue to loop through the matchedBlocks appending each one in order
-    var offset = 12 + (matchCount * 4); //offset to the start of the patches
-    var lastMatchingBlockIndex=0;
-    var patchSize=0;
-    var patchView8;
-    var matchIndex=0; //the index into the matching blocks array
-    var blockIndex=0; //the index of the block in the matching blocks array
-    var ret = new ArrayBuffer(0);
-    var patchDocumentView8 = new Uint8Array(patchDocument);
-    var chunkSize=0;
-    for(i=0; i< patchCount; i++)
+    function headers(extra)
     {
-      lastMatchingBlockIndex = readInt32(patchDocumentView8,offset);
-      patchSize = readInt32(patchDocumentView8,offset + 4);
-      patchView8 = new Uint8Array(patchDocument, offset + 8, patchSize);
-      offset = offset + 8 + patchSize;
+      var all = {};
+      Object.keys(options.headers || {}).forEach(function(name) { all[name] = options.headers[name]; });
+      Object.keys(extra).forEach(function(name) { all[name] = extra[name]; });
+      return all;
+    }
 
-      for(;matchIndex < matchedBlockView32.length; matchIndex++)
+    function failed(response, what)
+    {
+      return response.text().then(null, function() { return ""; }).then(function(text)
       {
-        blockIndex = matchedBlockView32[matchIndex];
-        if(blockIndex > lastMatchingBlockIndex) break;
-        if((blockIndex * blockSize) > data.byteLength)
-          chunkSize = data.byteLength % blockSize;
-        else chunkSize = blockSize;
-        ret = appendBlock(ret, new Uint8Array(data, (blockIndex-1) * blockSize, chunkSize));
-      }
-
-      ret = appendBlock(ret, patchView8);
+        var err = new BSyncError(what + " failed with " + response.status + (text ? ": " + text.trim() : ""));
+        err.status = response.status;
+        throw err;
+      });
     }
 
-    //we're done with all the patches, add the remaining blocks
-    for(;matchIndex < matchedBlockView32.length; matchIndex++)
+    function attempt(tries)
     {
-      blockIndex = matchedBlockView32[matchIndex];
-      if((blockIndex * blockSize) > data.byteLength)
-        chunkSize = data.byteLength % blockSize;
-      else chunkSize = blockSize;
-      ret = appendBlock(ret, new Uint8Array(data, (blockIndex-1) * blockSize, chunkSize));
+      return fetchFunction(url, {headers: headers({"Accept": CHECKSUM_CONTENT_TYPE}), signal: options.signal}).then(function(response)
+      {
+        var conflict = function(response, what)
+        {
+          if((response.status == 412 || response.status == 409) && tries < retries) return attempt(tries + 1);
+          return failed(response, what);
+        };
+
+        if(response.status == 404)
+        {
+          var binary = textToBinary(data, options.encoding);
+          return fetchFunction(url, {method: "PUT", body: new Uint8Array(binary), signal: options.signal,
+                                     headers: headers({"Content-Type": "application/octet-stream", "If-None-Match": "*"})}).then(function(response)
+          {
+            if(!response.ok) return conflict(response, "Uploading");
+            return {created: true, identical: false, patchLength: binary.byteLength, etag: response.headers.get("ETag")};
+          });
+        }
+        if(!response.ok) return failed(response, "Fetching the checksum document");
+
+        var etag = response.headers.get("ETag");
+        return response.arrayBuffer()
+          .then(function(checksums) { return createPatchDocumentAsync(checksums, data, {compress: options.compress, encoding: options.encoding, signal: options.signal}); })
+          .then(function(patch)
+          {
+            if(isIdenticalPatch(patch)) return {created: false, identical: true, patchLength: 0, etag: etag};
+            var patchHeaders = {"Content-Type": PATCH_CONTENT_TYPE};
+            if(etag) patchHeaders["If-Match"] = etag;
+            return fetchFunction(url, {method: "PATCH", body: new Uint8Array(patch), headers: headers(patchHeaders), signal: options.signal}).then(function(response)
+            {
+              if(!response.ok) return conflict(response, "Uploading the patch");
+              return {created: false, identical: false, patchLength: patch.byteLength, etag: response.headers.get("ETag")};
+            });
+          });
+      });
     }
 
-    return ret;
+    return attempt(0);
   }
 
+  if(nodeWorkerThreads && !nodeWorkerThreads.isMainThread && nodeWorkerThreads.workerData && nodeWorkerThreads.workerData.bsyncChecksumWorker)
+    serveChecksumJobs(nodeWorkerThreads.parentPort);
+  else if(typeof WorkerGlobalScope != "undefined" && self instanceof WorkerGlobalScope)
+    serveChecksumJobs(self);
+
   /******** Public API ***********/
   this.createChecksumDocument = createChecksumDocument;
+  this.createChecksumDocumentParallel = createChecksumDocumentParallel;
+  this.chooseBlockSize = chooseBlockSize;
+  this.createChecksumDocumentStream = createChecksumDocumentStream;
   this.createPatchDocument = createPatchDocument;
+  this.createPatchDocumentStream = createPatchDocumentStream;
   this.applyPatch = applyPatch;
-  this.util = {md5: md5, adler32: adler32, rollingChecksum: rollingChecksum, readInt32: readInt32}; //mostly exposing these for the purposes of unit tests, but hey, if they are useful to someone, have at it!
+  this.applyPatchStream = applyPatchStream;
+  this.updateChecksumDocument = updateChecksumDocument;
+  this.composePatches = composePatches;
+  this.createRdiffSignature = createRdiffSignature;
+  this.exportRdiffDelta = exportRdiffDelta;
+  this.inspectPatch = inspectPatch;
+  this.inspectChecksumDocument = inspectChecksumDocument;
+  this.formatInspection = formatInspection;
+  this.encodeDocument = encodeDocument;
+  this.decodeDocument = decodeDocument;
+  this.createChecksumDocumentAsync = createChecksumDocumentAsync;
+  this.createPatchDocumentAsync = createPatchDocumentAsync;
+  this.applyPatchAsync = applyPatchAsync;
+  this.createManifest = createManifest;
+  this.createManifestPatch = createManifestPatch;
+  this.applyManifestPatch = applyManifestPatch;
+  this.readDirectory = readDirectory;
+  this.applyManifestPatchToDirectory = applyManifestPatchToDirectory;
+  this.SyncSession = SyncSession;
+  this.createPortPair = createPortPair;
+  this.createHttpHandler = createHttpHandler;
+  this.createHttpServer = createHttpServer;
+  this.createMemoryStore = createMemoryStore;
+  this.createDirectoryStore = createDirectoryStore;
+  this.uploadSync = uploadSync;
+  this.registerStrongHash = registerStrongHash;
+  this.BSyncError = BSyncError;
+  this.BSyncFormatError = BSyncFormatError;
+  this.BSyncVersionError = BSyncVersionError;
+  this.BSyncIntegrityError = BSyncIntegrityError;
+  this.util = {md5: md5, adler32: adler32, rollingChecksum: rollingChecksum, readInt32: readInt32, crc32: crc32, sha256: sha256, createSha256: createSha256, xxhash64: xxhash64, md4: md4, blake2b: blake2b, rollsum: rollsum, rabinKarp: rabinKarp, autoStrongLength: autoStrongLength, deflate: deflate, inflate: inflate, encodeText: encodeText, decodeText: decodeText}; //mostly exposing these for the purposes of unit tests, but hey, if they are useful to someone, have at it!
 };
 
 
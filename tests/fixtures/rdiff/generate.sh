@@ -0,0 +1,21 @@
+#!/bin/sh
+# Regenerate the librsync fixtures with a real rdiff (librsync 2.2 or later, for the rk-blake2 format), and record which one made them.
+# Every option is given, so rdiff's defaults, which have changed between versions, don't come into it.
+set -e
+cd "$(dirname "$0")"
+rdiff signature -b 512 -H blake2 -R rabinkarp -S 32 basis.txt basis.rk-blake2.sig
+rdiff signature -b 512 -H md4 -R rollsum -S 8 basis.txt basis.md4.sig
+rdiff delta basis.rk-blake2.sig source.txt source.delta
+# and the other way: rdiff has to apply a delta bit-sync exported. This one is made from a bit-sync checksum document with a different block size, so it
+# copies different ranges than rdiff's own delta
+node -e '
+  var fs = require("fs");
+  var BSync = require("../../../bit-sync.js");
+  function read(name) { return new Uint8Array(fs.readFileSync(name)).buffer; }
+  var patch = BSync.createPatchDocument(BSync.createChecksumDocument(100, read("basis.txt")), read("source.txt"));
+  fs.writeFileSync("exported.delta", Buffer.from(BSync.exportRdiffDelta(patch)));
+'
+rdiff patch basis.txt exported.delta exported.txt
+cmp exported.txt source.txt
+rm exported.delta exported.txt
+rdiff --version | head -n 1 > rdiff-version.txt
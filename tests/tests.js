@@ -141,14 +141,15 @@ test("checksum document", function()
 
       ok(pass, "checksum documents differ after change");
 
-      ok(Uint32View1[2] != Uint32View2[3], "adler32 is different for first block");
+      //8 byte document header, then block size, number of blocks and the strong hash, then the blocks. The last 8 bytes are the length and CRC trailer, which will differ.
+      ok(Uint32View1[5] != Uint32View2[5], "adler32 is different for first block");
       pass = false;
-      for(var i=3; i<6; i++)
+      for(var i=6; i<10; i++)
         if(Uint32View1[i] != Uint32View2[i]) { pass=true; break;}
       ok(pass, "md5 sum is different for first block");
 
       pass=true;
-      for(var i=7; i<Uint32View1.length; i++)
+      for(var i=10; i<Uint32View1.length - 2; i++)
         if(Uint32View1[i] != Uint32View2[i]) { pass=false; break;}
       ok(pass, "checksums are the same for all blocks except the first");
 
@@ -235,6 +236,1286 @@ test("apply patch",
         ok(verifyData(testData2, testData3), "exact match");
       }
 
+      //a single byte left over after the last matched block used to be dropped
+      var destination = new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8]).buffer;
+      var source = new Uint8Array([1, 2, 3, 4, 9]).buffer;
+      patchDocument = BSync.createPatchDocument(BSync.createChecksumDocument(4, destination), source);
+      ok(verifyData(BSync.applyPatch(patchDocument, destination), source), "last byte after a matched block kept");
+    });
+
+test("apply patch into an output buffer",
+    function()
+    {
+      var testData1 = data.buffer.slice(0);
+      var testData2 = new Uint8Array(testData1.slice(0));
+      testData2[15]++;
+      testData2[200]++;
+      testData2 = testData2.buffer;
+      var checksumDocument = BSync.createChecksumDocument(10, testData1, {subBlockSize: 2});
+      var patchDocument = BSync.createPatchDocument(checksumDocument, testData2, {compress: true});
+      var output = new ArrayBuffer(300);
+      var result = BSync.applyPatch(patchDocument, testData1, {output: output});
+      ok(result instanceof Uint8Array && result.buffer === output && result.byteOffset == 0 && verifyData(result.slice().buffer, testData2), "written at the start of an ArrayBuffer");
+      result = BSync.applyPatch(patchDocument, testData1, {output: new Uint8Array(output, 20, 256)});
+      ok(result.byteOffset == 20 && verifyData(result.slice().buffer, testData2), "written into a typed array");
+      result = BSync.applyPatch(BSync.createPatchDocument(checksumDocument, testData1), testData1, {output: output});
+      ok(result.length == 256 && verifyData(result.slice().buffer, testData1), "identical patch copied into the output");
+      result = BSync.applyPatch(BSync.createPatchDocument(checksumDocument, testData2, {version: 1}), testData1, {output: output});
+      ok(result.buffer === output && verifyData(result.slice().buffer, BSync.applyPatch(BSync.createPatchDocument(checksumDocument, testData2, {version: 1}), testData1)), "version 1 patch");
+      var sync = BSync.applyPatch(patchDocument, testData1, {output: output, reverse: true});
+      ok(sync.data.buffer === output && verifyData(BSync.applyPatch(sync.reverse, sync.data.slice().buffer), testData1), "with a reverse patch");
+      throws(function() { BSync.applyPatch(patchDocument, testData1, {output: new ArrayBuffer(255)}); }, RangeError, "too small an output rejected");
+      throws(function() { BSync.applyPatch(patchDocument, testData1, {output: new Uint8Array(testData1)}); }, TypeError, "output sharing the destination rejected");
+    });
+
+test("apply patch to a typed array",
+    function()
+    {
+      //the destination as a view part way into a bigger buffer, the way node Buffers usually are
+      var testData1 = data.buffer.slice(0);
+      var padded = new Uint8Array(testData1.byteLength + 20);
+      padded.set(new Uint8Array(testData1), 7);
+      var destination = padded.subarray(7, 7 + testData1.byteLength);
+      var testData2 = new Uint8Array(testData1.slice(0));
+      testData2[15]++;
+      testData2[200]++;
+      testData2 = testData2.buffer;
+      var checksumDocument = BSync.createChecksumDocument(10, testData1, {subBlockSize: 2});
+      var patchDocument = BSync.createPatchDocument(checksumDocument, testData2);
+
+      ok(verifyData(BSync.applyPatch(patchDocument, destination), testData2), "patch applied");
+      ok(verifyData(BSync.applyPatch(patchDocument, destination, {verify: false}), testData2), "patch applied without the check");
+      var identical = BSync.applyPatch(BSync.createPatchDocument(checksumDocument, testData1), destination);
+      ok(identical instanceof ArrayBuffer && verifyData(identical, testData1), "identical patch gives an ArrayBuffer of just the destination");
+      var version1 = BSync.createPatchDocument(checksumDocument, testData2, {version: 1});
+      ok(verifyData(BSync.applyPatch(version1, destination), BSync.applyPatch(version1, testData1)), "version 1 patch");
+      var sync = BSync.applyPatch(patchDocument, destination, {reverse: true});
+      ok(verifyData(sync.data, testData2) && verifyData(BSync.applyPatch(sync.reverse, sync.data), testData1), "with a reverse patch");
+      var text = textData(300, 6);
+      var lines = BSync.util.decodeText(text).split("\n");
+      lines.splice(5, 1);
+      var edited = BSync.util.encodeText(lines.join("\n"));
+      var textView = new Uint8Array(text.byteLength + 3);
+      textView.set(new Uint8Array(text), 3);
+      ok(verifyData(BSync.applyPatch(BSync.createPatchDocument(BSync.createChecksumDocument(64, text, {lines: true}), edited), textView.subarray(3)), edited), "line-aware patch");
+      throws(function() { BSync.applyPatch(patchDocument, destination, {output: padded.subarray(0, 5)}); }, TypeError, "output sharing the destination's buffer rejected");
+    });
+
+test("version 2 patch document",
+    function()
+    {
+      var testData1 = data.buffer.slice(0);
+      var blockSize = 10;
+      var doc1 = BSync.createChecksumDocument(blockSize,testData1);
+
+      var patchDocument = BSync.createPatchDocument(doc1,testData1.slice(0));
+      //header, block size, the marker, the source length and sha-256, trailer
+      ok(patchDocument.byteLength == 8 + 4 + 1 + 42 + 8, "identical data is just the header and a marker");
+      ok(BSync.applyPatch(patchDocument, testData1) === testData1, "identical marker applied");
+
+      //one changed byte in the middle should leave two runs of copied blocks around a single block of new data
+      var testData2 = data.buffer.slice(0);
+      (new Uint8Array(testData2))[125]++;
+      patchDocument = BSync.createPatchDocument(doc1,testData2);
+      ok(patchDocument.byteLength == 8 + 4 + 9 + (5 + 10) + 9 + 1 + 42 + 8, "consecutive matched blocks coalesced");
+      ok(verifyData(BSync.applyPatch(patchDocument, testData1), testData2), "version 2 patch applied");
+
+      //moved blocks
+      var testData3 = new Uint8Array(256);
+      testData3.set(new Uint8Array(testData1, 100, 150), 0);
+      testData3.set(new Uint8Array(testData1, 0, 100), 150);
+      testData3.set(new Uint8Array(testData1, 250, 6), 250);
+      patchDocument = BSync.createPatchDocument(doc1,testData3.buffer);
+      ok(patchDocument.byteLength == 8 + 4 + 9 + 9 + 9 + 1 + 42 + 8, "out of order runs coalesced");
+      ok(verifyData(BSync.applyPatch(patchDocument, testData1), testData3.buffer), "moved blocks applied");
+
+      //the old format is still written on request, and still applies
+      patchDocument = BSync.createPatchDocument(doc1,testData2,{version: 1});
+      ok((new Uint32Array(patchDocument,0,3))[1] == 1, "version 1 patch document created");
+      ok(verifyData(BSync.applyPatch(patchDocument, testData1), testData2), "version 1 patch applied");
+    });
+
+test("document header and integrity checks",
+    function()
+    {
+      var crcInput = new Uint8Array(9);
+      for(var i=0; i<9; i++) crcInput[i] = "123456789".charCodeAt(i);
+      ok(BSync.util.crc32(crcInput) == 0xCBF43926, "crc32 check value");
+
+      var testData1 = data.buffer.slice(0);
+      var doc1 = BSync.createChecksumDocument(10,testData1);
+      var testData2 = data.buffer.slice(0);
+      (new Uint8Array(testData2))[125]++;
+      var patchDocument = BSync.createPatchDocument(doc1,testData2);
+      var header = new Uint8Array(patchDocument, 0, 8);
+      ok(String.fromCharCode(header[0], header[1], header[2], header[3]) == "BSYN", "documents start with the magic bytes");
+
+      throws(function() { BSync.applyPatch(doc1, testData1); }, BSync.BSyncFormatError, "checksum document rejected as a patch");
+      throws(function() { BSync.createPatchDocument(patchDocument, testData2); }, BSync.BSyncFormatError, "patch document rejected as a checksum document");
+      throws(function() { BSync.applyPatch(patchDocument.slice(0, patchDocument.byteLength - 3), testData1); }, BSync.BSyncFormatError, "truncated patch rejected");
+
+      var corrupted = patchDocument.slice(0);
+      (new Uint8Array(corrupted))[20] ^= 0xFF;
+      throws(function() { BSync.applyPatch(corrupted, testData1); }, BSync.BSyncFormatError, "corrupted patch rejected");
+
+      var future = patchDocument.slice(0);
+      (new Uint8Array(future))[4] = 99;
+      var versionError = null;
+      try { BSync.applyPatch(future, testData1); } catch(err) { versionError = err; }
+      ok(versionError instanceof BSync.BSyncVersionError && versionError instanceof BSync.BSyncError, "newer version rejected with a version error");
+      ok(versionError && versionError.version == 99, "version error says which version it got");
+      ok(versionError.constructor.name == "BSyncVersionError" && BSync.BSyncError.name == "BSyncError", "error classes are named");
+      ok(/^BSyncVersionError: /.test(versionError.stack), "stack says what kind of error it was");
+
+      //checksum documents from before the header are still read. They didn't have the strong hash fields either, they were always md5
+      var legacy = new Uint8Array(doc1.byteLength - 20);
+      legacy.set(new Uint8Array(doc1, 8, 8), 0);
+      legacy.set(new Uint8Array(doc1, 20, doc1.byteLength - 28), 8);
+      legacy = legacy.buffer;
+      ok(verifyData(BSync.applyPatch(BSync.createPatchDocument(legacy, testData2), testData1), testData2), "legacy checksum document still works");
+    });
+
+asyncTest("streamed patch integrity checks",
+    function()
+    {
+      var testData1 = data.buffer.slice(0);
+      var doc1 = BSync.createChecksumDocument(10,testData1);
+      var testData2 = data.buffer.slice(0);
+      (new Uint8Array(testData2))[125]++;
+      var patchDocument = BSync.createPatchDocument(doc1,testData2);
+      //the records are applied before the trailer arrives, so corrupt some new data rather than an instruction
+      var corrupted = patchDocument.slice(0);
+      (new Uint8Array(corrupted))[30] ^= 0xFF;
+      var pastEnd = patchDocument.slice(0);
+      (new Uint8Array(pastEnd))[20] ^= 0xFF;
+      function readDestination(offset, length) { return (new Uint8Array(testData1)).subarray(offset, offset + length); }
+
+      BSync.applyPatchStream(corrupted, readDestination, function() {})
+        .then(function() { ok(false, "corrupted patch should be rejected"); },
+              function(err) { ok(err instanceof BSync.BSyncFormatError, "corrupted streamed patch rejected"); })
+        .then(function() { return BSync.applyPatchStream(pastEnd, readDestination, function() {}); })
+        .then(function() { ok(false, "copy past the end should be rejected"); },
+              function(err) { ok(err instanceof BSync.BSyncError, "copy past the end of the destination rejected"); })
+        .then(function()
+        {
+          var wrongDestination = new Uint8Array(testData1.slice(0));
+          wrongDestination[5]++;
+          readDestination = function(offset, length) { return wrongDestination.subarray(offset, offset + length); };
+          return BSync.applyPatchStream(patchDocument, readDestination, function() {});
+        })
+        .then(function() { ok(false, "wrong result should be rejected"); },
+              function(err) { ok(err instanceof BSync.BSyncIntegrityError, "wrong streamed result rejected"); })
+        .then(function() { return BSync.applyPatchStream(patchDocument, readDestination, function() {}, {verify: false}); })
+        .then(function(written) { ok(written == testData2.byteLength, "streamed verification can be skipped"); },
+              function(err) { ok(false, "unverified patch should apply: " + err); })
+        .then(function() { return BSync.applyPatchStream(patchDocument.slice(0, patchDocument.byteLength - 3), readDestination, function() {}); })
+        .then(function() { ok(false, "truncated patch should be rejected"); },
+              function(err) { ok(err instanceof BSync.BSyncFormatError, "truncated streamed patch rejected"); })
+        .then(start);
+    });
+
+test("strong hashes",
+    function()
+    {
+      function bytes(str)
+      {
+        var view = new Uint8Array(str.length);
+        for(var i=0; i<str.length; i++) view[i] = str.charCodeAt(i);
+        return view;
+      }
+      function hex(view)
+      {
+        var ret = "";
+        for(var i=0; i<view.length; i++) ret += (view[i] < 16 ? "0" : "") + view[i].toString(16);
+        return ret;
+      }
+
+      ok(hex(BSync.util.sha256(bytes("abc"))) == "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad", "sha256 of abc");
+      ok(hex(BSync.util.sha256(bytes(""))) == "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855", "sha256 of nothing");
+      ok(hex(BSync.util.sha256(bytes("abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq"))) == "248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1", "sha256 across two blocks");
+      ok(hex(BSync.util.xxhash64(bytes(""))) == "ef46db3751d8e999", "xxhash64 of nothing");
+      ok(hex(BSync.util.xxhash64(bytes("abc"))) == "44bc2cf5ad770999", "xxhash64 of abc");
+      ok(hex(BSync.util.md4(bytes(""))) == "31d6cfe0d16ae931b73c59d7e0c089c0", "md4 of nothing");
+      ok(hex(BSync.util.md4(bytes("12345678901234567890123456789012345678901234567890123456789012345678901234567890"))) == "e33b4ddc9c38f2199c3e7b164fcc0536", "md4 across two blocks");
+      ok(hex(BSync.util.blake2b(bytes(""), 32)) == "0e5751c026e543b2e8ab2eb06099daa1d1e5df47778f7787faab45cdf12fe3a8", "blake2b-256 of nothing");
+      ok(hex(BSync.util.blake2b(bytes("abc"), 64)) == "ba80a53f981c4d0d6a2797b69f12f6e94c212f14685ac4b74b12bb6fdbffa2d17d87c5392aab792dc252d5de4533cc9518d38aa8dbf1925ab92386edd4009923", "blake2b-512 of abc");
+
+      var testData1 = data.buffer.slice(0);
+      var testData2 = data.buffer.slice(0);
+      (new Uint8Array(testData2))[125]++;
+      (new Uint8Array(testData2))[3]++;
+
+      ["md5", "sha256", "xxhash64"].forEach(function(name)
+      {
+        var doc = BSync.createChecksumDocument(10, testData1, {hash: name});
+        var body = new Uint8Array(doc, 8);
+        ok(body[9] == {md5: 16, sha256: 32, xxhash64: 8}[name], name + " digest length recorded");
+        ok(doc.byteLength == 8 + 12 + 26 * (4 + body[9]) + 8, name + " checksum document size");
+        ok(verifyData(BSync.applyPatch(BSync.createPatchDocument(doc, testData2), testData1), testData2), name + " patch applied");
+      });
+
+      throws(function() { BSync.createChecksumDocument(10, testData1, {hash: "crc8"}); }, BSync.BSyncError, "unknown hash rejected");
+
+      //a hash that's registered on one side only
+      BSync.registerStrongHash({id: 200, name: "test-sum", digestLength: 1, digest: function(block)
+      {
+        var sum = 0;
+        for(var i=0; i<block.length; i++) sum = (sum + block[i]) & 0xFF;
+        return new Uint8Array([sum]);
+      }});
+      var doc = BSync.createChecksumDocument(10, testData1, {hash: "test-sum"});
+      ok(verifyData(BSync.applyPatch(BSync.createPatchDocument(doc, testData2), testData1), testData2), "registered hash used");
+      throws(function() { BSync.registerStrongHash({id: 200, name: "other", digestLength: 1, digest: function() {}}); }, BSync.BSyncError, "hash ids can't be reused");
+      (new Uint8Array(doc))[16] = 201; //the strong hash id
+      var view = new Uint8Array(doc);
+      var crc = BSync.util.crc32(view.subarray(0, view.length - 4));
+      for(var i=0; i<4; i++) view[view.length - 4 + i] = (crc >>> (i * 8)) & 0xFF;
+      throws(function() { BSync.createPatchDocument(doc, testData2); }, BSync.BSyncError, "unregistered hash id rejected");
+    });
+
+test("truncated strong checksums",
+    function()
+    {
+      var testData1 = data.buffer.slice(0);
+      var testData2 = data.buffer.slice(0);
+      (new Uint8Array(testData2))[125]++;
+      (new Uint8Array(testData2))[3]++;
+
+      var doc = BSync.createChecksumDocument(10, testData1, {strongLength: 4});
+      ok((new Uint8Array(doc))[17] == 4, "strong length recorded");
+      ok(doc.byteLength == 8 + 12 + 26 * (4 + 4) + 8, "checksum document shrinks");
+      ok(verifyData(BSync.applyPatch(BSync.createPatchDocument(doc, testData2), testData1), testData2), "truncated checksums still match");
+
+      ok(BSync.util.autoStrongLength(256, 10, 16) == 2, "small data gets the minimum");
+      ok(BSync.util.autoStrongLength(1073741824, 1000, 16) == 4, "a gigabyte with 1000 byte blocks");
+      ok(BSync.util.autoStrongLength(Math.pow(2, 60), 16, 8) == 8, "never more than the digest");
+      doc = BSync.createChecksumDocument(10, testData1, {strongLength: "auto", hash: "sha256"});
+      ok((new Uint8Array(doc))[17] == 2, "auto strong length recorded");
+      ok(verifyData(BSync.applyPatch(BSync.createPatchDocument(doc, testData2), testData1), testData2), "auto strong length patch applied");
+
+      throws(function() { BSync.createChecksumDocument(10, testData1, {strongLength: 17}); }, TypeError, "can't keep more than the digest");
+      throws(function() { BSync.createChecksumDocument(10, testData1, {strongLength: 0}); }, TypeError, "have to keep something");
+    });
+
+test("whole file verification",
+    function()
+    {
+      var testData1 = data.buffer.slice(0);
+      var doc1 = BSync.createChecksumDocument(10, testData1);
+      var testData2 = data.buffer.slice(0);
+      (new Uint8Array(testData2))[125]++;
+      var patchDocument = BSync.createPatchDocument(doc1, testData2);
+      var identicalPatch = BSync.createPatchDocument(doc1, testData1);
+
+      //the patch is applied to something other than what the checksum document was made from, so the copied blocks are wrong
+      var wrongDestination = data.buffer.slice(0);
+      (new Uint8Array(wrongDestination))[5]++;
+
+      ok(verifyData(BSync.applyPatch(patchDocument, testData1), testData2), "correct result verified");
+      throws(function() { BSync.applyPatch(patchDocument, wrongDestination); }, BSync.BSyncIntegrityError, "wrong result rejected");
+      throws(function() { BSync.applyPatch(identicalPatch, wrongDestination); }, BSync.BSyncIntegrityError, "identical marker checked too");
+      throws(function() { BSync.applyPatch(patchDocument, wrongDestination.slice(0, 250)); }, BSync.BSyncIntegrityError, "short result rejected");
+      var unverified = BSync.applyPatch(patchDocument, wrongDestination, {verify: false});
+      ok(unverified.byteLength == testData2.byteLength && !verifyData(unverified, testData2), "verification can be skipped");
+    });
+
+test("automatic block size",
+    function()
+    {
+      ok(BSync.chooseBlockSize(0) == 1, "empty data");
+      ok(BSync.chooseBlockSize(256) == 256, "never bigger than the data");
+      ok(BSync.chooseBlockSize(10000) == 700, "minimum block size");
+      ok(BSync.chooseBlockSize(1000000) == 1000, "square root of the length");
+      ok(BSync.chooseBlockSize(1000001) == 1000, "rounded to a multiple of 8");
+      ok(BSync.chooseBlockSize(3000000) == 1728, "rounded down to a multiple of 8");
+      ok(BSync.chooseBlockSize(1e12) == 131072, "maximum block size");
+
+      var testData1 = data.buffer.slice(0);
+      var testData2 = data.buffer.slice(0);
+      (new Uint8Array(testData2))[125]++;
+      var doc = BSync.createChecksumDocument(testData1);
+      ok((new Uint32Array(doc, 8, 1))[0] == 256, "block size left out");
+      ok(verifyData(doc, BSync.createChecksumDocument("auto", testData1)), "same as auto");
+      ok(verifyData(BSync.createChecksumDocument(testData1, {hash: "xxhash64"}), BSync.createChecksumDocument(null, testData1, {hash: "xxhash64"})), "options without a block size");
+      ok(verifyData(BSync.applyPatch(BSync.createPatchDocument(doc, testData2), testData1), testData2), "patch applied");
+      throws(function() { BSync.createChecksumDocument(0, testData1); }, TypeError, "zero block size rejected");
+      throws(function() { BSync.createChecksumDocument(10.5, testData1); }, TypeError, "fractional block size rejected");
+    });
+
+test("sub-block deltas",
+    function()
+    {
+      var testData1 = data.buffer.slice(0);
+      var plainDoc = BSync.createChecksumDocument(32, testData1);
+      var doc = BSync.createChecksumDocument(32, testData1, {subBlockSize: 8});
+      ok((new Uint8Array(plainDoc))[4] == 2 && (new Uint8Array(doc))[4] == 3, "only documents with sub-blocks need the newer version");
+      ok(doc.byteLength == 8 + 12 + 8 * (4 + 16 + 4 * 4) + 8, "sub-block hashes in the checksum document");
+
+      function check(testData2, message)
+      {
+        var patchDocument = BSync.createPatchDocument(doc, testData2);
+        var unrefined = BSync.createPatchDocument(doc, testData2, {refine: false});
+        ok(patchDocument.byteLength < unrefined.byteLength, message + ": smaller than sending whole blocks");
+        ok(verifyData(BSync.applyPatch(patchDocument, testData1), testData2), message + ": applied");
+        return patchDocument;
+      }
+
+      var changed = data.buffer.slice(0);
+      (new Uint8Array(changed))[45]++;
+      var patchDocument = check(changed, "changed byte");
+      ok((new Uint8Array(patchDocument))[4] == 4, "delta records need the newer version");
+      ok((new Uint8Array(BSync.createPatchDocument(doc, changed, {refine: false})))[4] == 3, "not when they're turned off");
+
+      var inserted = new Uint8Array(259);
+      inserted.set(new Uint8Array(testData1, 0, 70), 0);
+      inserted.set([1, 2, 3], 70);
+      inserted.set(new Uint8Array(testData1, 70), 73);
+      check(inserted.buffer, "inserted bytes");
+
+      var removed = new Uint8Array(253);
+      removed.set(new Uint8Array(testData1, 0, 70), 0);
+      removed.set(new Uint8Array(testData1, 73), 70);
+      check(removed.buffer, "removed bytes");
+
+      var filled = new Uint8Array(testData1.slice(0));
+      for(var i=66; i<94; i++) filled[i] = 0;
+      check(filled.buffer, "run of the same byte");
+
+      throws(function() { BSync.createChecksumDocument(32, testData1, {subBlockSize: 33}); }, TypeError, "sub-blocks can't be bigger than blocks");
+    });
+
+//text-like data, which is where compressing new data pays off
+function textData(words, seed)
+{
+  var vocabulary = ["block", "patch", "sync", "the", "checksum", "document", "rolling", "of", "a", "source", "destination", "data"];
+  var text = "";
+  for(var i=0; i<words; i++)
+  {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    text += vocabulary[seed % vocabulary.length] + ((i % 10 == 9) ? ".\n" : " ");
+  }
+  var bytes = new Uint8Array(text.length);
+  for(i=0; i<text.length; i++) bytes[i] = text.charCodeAt(i);
+  return bytes.buffer;
+}
+
+test("compressed patches",
+    function()
+    {
+      var testData1 = textData(2000, 1);
+      var testData2 = textData(2000, 2);
+      var doc = BSync.createChecksumDocument(64, testData1);
+
+      var plain = BSync.createPatchDocument(doc, testData2);
+      var patchDocument = BSync.createPatchDocument(doc, testData2, {compress: true});
+      var header = new Uint8Array(patchDocument, 0, 8);
+      ok(patchDocument.byteLength < plain.byteLength / 2, "new data compressed");
+      ok(header[4] == 5 && header[6] == 1, "compressed patches are flagged and need the newer version");
+      ok((new Uint8Array(plain))[4] == 3 && (new Uint8Array(plain))[6] == 0, "not when compression is off");
+      ok(verifyData(BSync.applyPatch(patchDocument, testData1), testData2), "applied");
+
+      var random = new Uint8Array(2000);
+      for(var i=0; i<random.length; i++) random[i] = Math.floor(Math.random() * 256);
+      patchDocument = BSync.createPatchDocument(doc, random.buffer, {compress: true});
+      ok(patchDocument.byteLength == BSync.createPatchDocument(doc, random.buffer).byteLength, "data that doesn't compress is sent as it is");
+      ok(verifyData(BSync.applyPatch(patchDocument, testData1), random.buffer), "applied without any compressed records");
+
+      //clear the flag, and fix up the CRC so that's the only thing wrong
+      patchDocument = BSync.createPatchDocument(doc, testData2, {compress: true});
+      var view = new Uint8Array(patchDocument);
+      view[6] = 0;
+      var crc = BSync.util.crc32(view.subarray(0, view.length - 4));
+      for(i=0; i<4; i++) view[view.length - 4 + i] = (crc >>> (i * 8)) & 0xFF;
+      throws(function() { BSync.applyPatch(patchDocument, testData1); }, BSync.BSyncFormatError, "compressed records have to be flagged");
+
+      var text = new Uint8Array(textData(5000, 3));
+      var deflated = BSync.util.deflate(text);
+      ok(deflated.length < text.length / 2, "js deflate compresses");
+      ok(verifyData(BSync.util.inflate(deflated, text.length).buffer, text.buffer), "js inflate reverses it");
+      throws(function() { BSync.util.inflate(deflated, text.length - 1); }, BSync.BSyncFormatError, "wrong size rejected");
+      if(isNode)
+      {
+        var zlib = require("zlib");
+        ok(verifyData(new Uint8Array(zlib.inflateRawSync(deflated)).buffer, text.buffer), "zlib reads js deflate");
+        ok(verifyData(BSync.util.inflate(new Uint8Array(zlib.deflateRawSync(text)), text.length).buffer, text.buffer), "js inflate reads zlib");
+        ok(verifyData(BSync.util.inflate(new Uint8Array(zlib.deflateRawSync(text, {level: 0})), text.length).buffer, text.buffer), "js inflate reads stored blocks");
+      }
+    });
+
+test("update checksum document",
+    function()
+    {
+      var testData1 = data.buffer.slice(0);
+      var hashed = 0;
+      BSync.registerStrongHash({id: 201, name: "counting", digestLength: 8, digest: function(block)
+      {
+        hashed++;
+        return BSync.util.xxhash64(block);
+      }});
+
+      function check(testData2, options, message)
+      {
+        var doc = BSync.createChecksumDocument(10, testData1, options);
+        var patchDocument = BSync.createPatchDocument(doc, testData2, options);
+        ok(verifyData(BSync.updateChecksumDocument(doc, patchDocument, testData2), BSync.createChecksumDocument(10, testData2, options)), message);
+      }
+
+      var changed = new Uint8Array(testData1.slice(0));
+      changed[45]++;
+      check(changed.buffer, {}, "changed byte");
+      check(changed.buffer, {subBlockSize: 3, strongLength: 5}, "with sub-blocks and a short strong hash");
+      check(changed.buffer, {version: 1}, "from a version 1 patch");
+      check(testData1.slice(0), {}, "identical");
+      check(testData1.slice(0, 251), {}, "cut short");
+      check(testData1.slice(0, 250), {}, "cut to a whole number of blocks");
+
+      var inserted = new Uint8Array(259);
+      inserted.set(new Uint8Array(testData1, 0, 70), 0);
+      inserted.set([1, 2, 3], 70);
+      inserted.set(new Uint8Array(testData1, 70), 73);
+      check(inserted.buffer, {}, "inserted bytes");
+      check(inserted.buffer, {compress: true}, "inserted bytes, compressed");
+
+      //the short last block moved into the middle, and a run of blocks after it
+      var moved = new Uint8Array(256);
+      moved.set(new Uint8Array(testData1, 250), 0);
+      moved.set(new Uint8Array(testData1, 0, 250), 6);
+      check(moved.buffer, {}, "last block moved to the start");
+
+      var doc = BSync.createChecksumDocument(10, testData1, {hash: "counting"});
+      var patchDocument = BSync.createPatchDocument(doc, changed.buffer);
+      hashed = 0;
+      var updated = BSync.updateChecksumDocument(doc, patchDocument, changed.buffer);
+      ok(hashed == 1, "only the changed block was hashed");
+      ok(verifyData(updated, BSync.createChecksumDocument(10, changed.buffer, {hash: "counting"})), "and the result is the same");
+
+      throws(function() { BSync.updateChecksumDocument(doc, patchDocument, changed.buffer.slice(0, 200)); }, BSync.BSyncError, "data the patch didn't make rejected");
+      throws(function() { BSync.updateChecksumDocument(BSync.createChecksumDocument(20, testData1), patchDocument, changed.buffer); }, BSync.BSyncError, "patch made from another checksum document rejected");
+    });
+
+test("reverse patches",
+    function()
+    {
+      var testData1 = data.buffer.slice(0);
+
+      //applying the reverse patch checks the result against the hash of the original, so this is a verified round trip
+      function check(testData2, options, message)
+      {
+        var doc = BSync.createChecksumDocument(10, testData1, options);
+        var result = BSync.applyPatch(BSync.createPatchDocument(doc, testData2, options), testData1, {reverse: true});
+        ok(verifyData(result.data, testData2), message + ": applied");
+        ok(verifyData(BSync.applyPatch(result.reverse, result.data), testData1), message + ": undone");
+        return result.reverse;
+      }
+
+      var changed = new Uint8Array(testData1.slice(0));
+      changed[45]++;
+      check(changed.buffer, {}, "changed byte");
+      check(changed.buffer, {subBlockSize: 2}, "changed byte, with delta records");
+      check(changed.buffer, {version: 1}, "changed byte, version 1 patch");
+      check(testData1.slice(0), {}, "identical");
+
+      var inserted = new Uint8Array(356);
+      inserted.set(new Uint8Array(testData1, 0, 73), 0);
+      inserted.set(new Uint8Array(testData1, 73), 173);
+      var reverse = check(inserted.buffer, {compress: true}, "inserted bytes");
+      ok(reverse.byteLength < 100, "nothing to send back for inserted bytes");
+
+      reverse = check(testData1.slice(0, 100), {}, "cut short");
+      ok(reverse.byteLength > 156 && reverse.byteLength < 156 + 100, "the part that was cut off is sent back");
+
+      var moved = new Uint8Array(256);
+      moved.set(new Uint8Array(testData1, 133), 0);
+      moved.set(new Uint8Array(testData1, 0, 133), 123);
+      check(moved.buffer, {}, "moved around");
+
+      var repeated = new Uint8Array(512);
+      repeated.set(new Uint8Array(testData1), 0);
+      repeated.set(new Uint8Array(testData1), 256);
+      check(repeated.buffer, {}, "copied twice");
+    });
+
+test("compose patches",
+    function()
+    {
+      var versions = [new Uint8Array(data.buffer.slice(0))];
+      var next = new Uint8Array(versions[0]);
+      next[45]++;
+      versions.push(next);
+      next = new Uint8Array(300);
+      next.set(versions[1].subarray(0, 100), 0);
+      next.set([9, 9, 9], 100);
+      next.set(versions[1].subarray(100, 256), 103);
+      next.set(versions[1].subarray(0, 41), 259);
+      versions.push(next);
+      next = versions[2].slice(150);
+      versions.push(next);
+
+      var patches = [];
+      var options = [{}, {subBlockSize: 4}, {compress: true}];
+      for(var i=0; i<3; i++)
+        patches.push(BSync.createPatchDocument(BSync.createChecksumDocument(10 + i * 7, versions[i].buffer, options[i]), versions[i + 1].buffer, options[i]));
+
+      ok(verifyData(BSync.applyPatch(BSync.composePatches(patches[0], patches[1]), versions[0].buffer), versions[2].buffer), "two patches");
+      ok(verifyData(BSync.applyPatch(BSync.composePatches(patches), versions[0].buffer), versions[3].buffer), "three patches, as an array");
+      ok(verifyData(BSync.applyPatch(BSync.composePatches(patches[1], patches[2]), versions[1].buffer), versions[3].buffer), "starting part way along");
+      ok(verifyData(BSync.applyPatch(BSync.composePatches(patches[0]), versions[0].buffer), versions[1].buffer), "just the one");
+
+      var unchanged = BSync.createPatchDocument(BSync.createChecksumDocument(10, versions[0].buffer), versions[0].buffer);
+      ok(verifyData(BSync.applyPatch(BSync.composePatches(unchanged, unchanged, patches[0]), versions[0].buffer), versions[1].buffer), "unchanged steps");
+
+      throws(function() { BSync.composePatches(patches[0], patches[2]); }, BSync.BSyncError, "patches that don't follow on rejected");
+      throws(function() { BSync.composePatches(BSync.createPatchDocument(BSync.createChecksumDocument(10, versions[0].buffer), versions[1].buffer, {version: 1}), patches[1]); },
+             BSync.BSyncError, "version 1 patches can't be composed");
+    });
+
+test("librsync signatures and deltas",
+    function()
+    {
+      var destination = new Uint8Array(textData(300, 11));
+      var source = new Uint8Array(destination.length + 30);
+      source.set(destination.subarray(0, 500));
+      source.fill(120, 500, 530);
+      source.set(destination.subarray(500), 530);
+
+      ["md4", "blake2", "rk-md4", "rk-blake2"].forEach(function(format)
+      {
+        var signature = BSync.createRdiffSignature(destination.buffer, {blockSize: 100, format: format});
+        var patch = BSync.createPatchDocument(signature, source.buffer);
+        ok(verifyData(BSync.applyPatch(patch, destination.buffer), source.buffer), format + " signature used for a patch");
+        //the blocks after the new data are only found if the weak sum rolls along properly
+        ok(BSync.inspectPatch(patch).matchedBlocks >= Math.floor(destination.length / 100) - 1, format + " signature's blocks found");
+        var delta = BSync.exportRdiffDelta(patch);
+        ok(verifyData(BSync.applyPatch(delta, destination.buffer), source.buffer), format + " delta applied");
+        ok(new Uint8Array(delta).length < 1000, format + " delta copies from the basis");
+      });
+
+      var signature = new Uint8Array(BSync.createRdiffSignature(destination.buffer, {blockSize: 100, format: "rk-md4", strongLength: 5}));
+      ok(signature[0] == 0x72 && signature[1] == 0x73 && signature[2] == 0x01 && signature[3] == 0x46, "rk-md4 magic");
+      ok(signature.length == 12 + Math.ceil(destination.length / 100) * 9, "signature size with short strong sums");
+      var info = BSync.inspectChecksumDocument(signature.buffer);
+      ok(info.rdiff == "rk-md4" && info.strongHash == "md4" && info.strongLength == 5 && info.blockSize == 100, "signature inspected");
+      ok(info.blocks[1].weak == BSync.util.rabinKarp(100, 199, destination).checksum, "signature's weak sums are big endian");
+      ok(BSync.createRdiffSignature(new ArrayBuffer(0)).byteLength == 12, "signature of nothing");
+      ok(verifyData(BSync.applyPatch(BSync.exportRdiffDelta(BSync.createPatchDocument(BSync.encodeDocument(signature.buffer, "base64"), source.buffer)), destination.buffer),
+                    source.buffer), "signature as base64");
+      ok(verifyData(BSync.applyPatch(BSync.exportRdiffDelta(BSync.createPatchDocument(signature.buffer, destination.buffer)), destination.buffer), destination.buffer),
+         "identical data");
+
+      //a literal longer than 64 bytes, a copy that needs 2 byte parameters, and the end
+      var delta = new Uint8Array([0x72, 0x73, 0x02, 0x36, 0x41, 70].concat(new Array(70).fill(65)).concat([0x4A, 0x01, 0x00, 0x00, 0x10, 3, 66, 67, 68, 0]));
+      var result = new Uint8Array(BSync.applyPatch(delta.buffer, destination.buffer));
+      ok(result.length == 89 && result[69] == 65 && verifyData(result.slice(70, 86).buffer, destination.slice(256, 272).buffer) && result[88] == 68, "hand made delta applied");
+      var deltaInfo = BSync.inspectPatch(delta.buffer);
+      ok(deltaInfo.rdiff && deltaInfo.sourceLength == 89 && deltaInfo.copiedBytes == 16 && deltaInfo.literalBytes == 73 && deltaInfo.exact, "hand made delta inspected");
+      ok(deltaInfo.operations.map(function(op) { return op.type + " " + op.offset + " " + op.length + (op.from === undefined ? "" : " " + op.from); }).join() ==
+         "literal 0 70,copy 70 16 256,literal 86 3", "hand made delta's commands");
+      ok(BSync.formatInspection(deltaInfo).split("\n")[4] == "= [70, 86) copy [256, 272) of the destination, 16 bytes", "librsync delta formatted");
+      throws(function() { BSync.inspectPatch(delta.slice(0, 20).buffer); }, BSync.BSyncFormatError, "truncated delta can't be inspected");
+      throws(function() { BSync.applyPatch(delta.buffer, destination.slice(0, 100).buffer); }, BSync.BSyncError, "copies past the end of the basis rejected");
+      throws(function() { BSync.applyPatch(delta.slice(0, 20).buffer, destination.buffer); }, BSync.BSyncFormatError, "truncated delta rejected");
+      throws(function() { BSync.createPatchDocument(signature.slice(0, 20).buffer, source.buffer); }, BSync.BSyncFormatError, "truncated signature rejected");
+      throws(function() { BSync.createPatchDocument(signature.buffer, source.buffer, {version: 1}); }, BSync.BSyncError, "no version 1 patches from signatures");
+      throws(function() { BSync.exportRdiffDelta(BSync.createPatchDocument(BSync.createChecksumDocument(100, destination.buffer, {lines: true}), source.buffer)); },
+             BSync.BSyncError, "line-aware patches can't be exported");
+      throws(function() { BSync.createRdiffSignature(destination.buffer, {format: "sha1"}); }, TypeError, "unknown signature format rejected");
+    });
+
+test("inspect documents",
+    function()
+    {
+      var testData1 = data.buffer.slice(0);
+      var testData2 = new Uint8Array(300);
+      testData2.set(data.subarray(0, 100), 0);
+      testData2.set([9, 9, 9], 100);
+      testData2.set(data.subarray(100), 103);
+      testData2.set(data.subarray(0, 41), 259);
+      testData2 = testData2.buffer;
+      var checksumDocument = BSync.createChecksumDocument(20, testData1);
+
+      var info = BSync.inspectPatch(BSync.createPatchDocument(checksumDocument, testData2));
+      var position = 0;
+      var copied = 0;
+      ok(info.type == "patch" && info.blockSize == 20 && info.exact && info.sourceLength == 300, "block size and source length");
+      ok(info.sourceHash == "sha256" && info.sourceDigest.length == 64, "source hash");
+      for(var i=0; i<info.operations.length; i++)
+      {
+        var op = info.operations[i];
+        ok(op.offset == position, op.type + " operation at the right offset");
+        position += op.length;
+        if(op.type == "copy")
+        {
+          ok(verifyData(testData2.slice(op.offset, op.offset + op.length), testData1.slice((op.firstBlock - 1) * 20, (op.firstBlock - 1) * 20 + op.length)), "copy of blocks " + op.firstBlock + " on matches the source");
+          copied += op.blockCount;
+        }
+      }
+      ok(position == 300 && info.copiedBytes + info.literalBytes == 300, "operations make the whole source");
+      ok(info.matchedBlocks == copied && copied >= 11, "matched blocks counted");
+      ok(info.savedBytes == 300 - info.documentLength && info.savings == info.savedBytes / 300, "savings");
+
+      var changed = new Uint8Array(testData1.slice(0));
+      changed[45]++;
+      var short = BSync.inspectPatch(BSync.createPatchDocument(checksumDocument, changed.buffer));
+      var last = short.operations[short.operations.length - 1];
+      ok(last.type == "copy" && last.firstBlock + last.blockCount - 1 == 13 && last.offset + last.length == 256 && short.sourceLength == 256, "short last block");
+      var identical = BSync.inspectPatch(BSync.createPatchDocument(checksumDocument, testData1));
+      ok(identical.operations[0].type == "identical" && identical.matchedBlocks == 13 && identical.copiedBytes == 256, "identical");
+      var old = BSync.inspectPatch(BSync.createPatchDocument(checksumDocument, testData2, {version: 1}));
+      ok(old.version == 1 && !old.exact && old.sourceLength >= 300 && old.sourceHash === null, "version 1 patch");
+      var delta = BSync.inspectPatch(BSync.createPatchDocument(BSync.createChecksumDocument(64, testData1, {subBlockSize: 4}), changed.buffer)).operations[0];
+      ok(delta.type == "delta" && delta.firstBlock == 1 && delta.literalBytes < 64 && delta.copiedBytes + delta.literalBytes == delta.length, "delta records");
+
+      var text = BSync.formatInspection(info).split("\n");
+      ok(text[0] == "--- destination, block size 20" && text.length == info.operations.length + 5, "patch formatted");
+      ok(/^= \[0, \d+\) copy blocks 1-/.test(text[3]) && /^\+ \[\d+, \d+\) literal, \d+ bytes$/.test(text[4]), "operations formatted like a diff");
+
+      var checksums = BSync.inspectChecksumDocument(BSync.createChecksumDocument(100, testData2, {strongLength: 6, subBlockSize: 10}));
+      ok(checksums.type == "checksum" && checksums.blockSize == 100 && checksums.numBlocks == 3 && checksums.strongHash == "md5" && checksums.strongLength == 6 &&
+         checksums.subBlockSize == 10, "checksum document layout");
+      ok(checksums.minDataLength == 201 && checksums.maxDataLength == 300 && checksums.duplicateBlocks == 0, "data length range");
+      ok(checksums.blocks[1].offset == 100 && checksums.blocks[1].weak == BSync.util.adler32(100, 199, new Uint8Array(testData2)).checksum &&
+         checksums.blocks[1].strong.length == 12, "block checksums");
+      ok(BSync.formatInspection(checksums).split("\n").length == 5, "checksum document formatted");
+      throws(function() { BSync.inspectPatch(checksumDocument); }, BSync.BSyncFormatError, "checksum document isn't a patch");
+    });
+
+test("encoded documents",
+    function()
+    {
+      var bytes = new Uint8Array([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+      ok(BSync.encodeDocument(bytes.buffer) == "AAEC+vv8/f7/", "base64");
+      ok(BSync.encodeDocument(bytes.subarray(0, 8), "base64url") == "AAEC-vv8_f4", "url safe base64");
+      ok(BSync.encodeDocument(bytes.subarray(0, 7)) == "AAEC+vv8/Q==", "padded base64");
+      ok(verifyData(BSync.decodeDocument("AAEC-vv8_f4"), bytes.buffer.slice(0, 8)) && verifyData(BSync.decodeDocument("AAEC\n+vv8\n/Q=="), bytes.buffer.slice(0, 7)),
+         "base64 decoded, either alphabet");
+      throws(function() { BSync.decodeDocument("AAEC*vv8"); }, BSync.BSyncFormatError, "bad base64 rejected");
+
+      var testData1 = data.buffer.slice(0);
+      var testData2 = new Uint8Array(testData1.slice(0));
+      testData2[45]++;
+      testData2 = testData2.buffer;
+      var checksumDocument = BSync.createChecksumDocument(20, testData1, {subBlockSize: 4});
+      var patchDocument = BSync.createPatchDocument(checksumDocument, testData2, {compress: true});
+
+      ["base64", "base64url", "json"].forEach(function(format)
+      {
+        var encodedChecksums = BSync.encodeDocument(checksumDocument, format);
+        var encodedPatch = BSync.encodeDocument(patchDocument, format);
+        ok(typeof encodedPatch == "string" && verifyData(BSync.decodeDocument(encodedPatch), patchDocument), format + " patch document round trip");
+        ok(verifyData(BSync.decodeDocument(encodedChecksums), checksumDocument), format + " checksum document round trip");
+        ok(verifyData(BSync.applyPatch(BSync.createPatchDocument(encodedChecksums, testData2), testData1), testData2), format + " checksum document taken by createPatchDocument");
+        ok(verifyData(BSync.applyPatch(encodedPatch, testData1), testData2), format + " patch document taken by applyPatch");
+      });
+
+      var json = JSON.parse(BSync.encodeDocument(patchDocument, "json"));
+      ok(json.bsync == "patch" && json.version == 5 && json.flags == 1, "json has the header");
+      ok(verifyData(BSync.applyPatch(json, testData1), testData2), "parsed json taken by applyPatch");
+      var legacy = BSync.createPatchDocument(checksumDocument, testData2, {version: 1});
+      ok(JSON.parse(BSync.encodeDocument(legacy, "json")).bsync == "legacy" && verifyData(BSync.applyPatch(BSync.encodeDocument(legacy, "json"), testData1), testData2),
+         "version 1 patch as json");
+      json.body = json.body.slice(0, -8);
+      throws(function() { BSync.applyPatch(json, testData1); }, BSync.BSyncFormatError, "damaged json body rejected");
+      throws(function() { BSync.decodeDocument('{"bsync": "patch", "version": 3'); }, BSync.BSyncFormatError, "bad json rejected");
+    });
+
+test("manifests",
+    function()
+    {
+      var text = BSync.util.encodeText;
+      var big = BSync.util.decodeText(textData(400, 4));
+      var destination = {"a.txt": text("hello"), "docs/big.txt": text(big), "old/name.bin": data.buffer.slice(0), "gone.txt": text("bye"), "constructor": text("x")};
+      var source = {"a.txt": text("hello"), "docs/big.txt": text(big.slice(0, 1000) + "changed " + big.slice(1000)), "new/name.bin": data.buffer.slice(0),
+                    "copy.txt": text("hello"), "fresh.txt": text("brand new")};
+      var manifest = BSync.createManifest(destination, {blockSize: 64});
+      ok((new Uint8Array(manifest))[5] == 0x4D, "manifest document");
+      var manifestPatch = BSync.createManifestPatch(manifest, source, {compress: true});
+      ok(manifestPatch.byteLength < big.length / 2, "only the changes are sent");
+
+      var synced = BSync.applyManifestPatch(manifestPatch, destination);
+      ok(Object.keys(synced).sort().join() == Object.keys(source).sort().join(), "same entries as the source");
+      Object.keys(source).forEach(function(path) { ok(verifyData(synced[path], source[path]), path + " synced"); });
+      ok(synced["new/name.bin"] === destination["old/name.bin"] && synced["copy.txt"] === destination["a.txt"], "renames and copies keep the data they had");
+      ok(Object.keys(destination).length == 5 && destination["gone.txt"], "entries passed in aren't changed");
+
+      var map = BSync.applyManifestPatch(manifestPatch, new Map(Object.keys(destination).map(function(path) { return [path, destination[path]]; })));
+      ok(map instanceof Map && map.size == 5 && verifyData(map.get("docs/big.txt"), source["docs/big.txt"]), "Map of entries");
+      var extra = BSync.applyManifestPatch(manifestPatch, {"a.txt": destination["a.txt"], "docs/big.txt": destination["docs/big.txt"],
+                                                           "old/name.bin": destination["old/name.bin"], "local.txt": text("mine")});
+      ok(extra["local.txt"] && extra["fresh.txt"], "entries the patch doesn't mention are kept");
+      ok(JSON.parse(BSync.encodeDocument(manifestPatch, "json")).bsync == "manifestPatch" &&
+         Object.keys(BSync.applyManifestPatch(BSync.encodeDocument(manifestPatch, "json"), destination)).length == 5, "json manifest patch");
+
+      var texts = BSync.applyManifestPatch(BSync.createManifestPatch(BSync.createManifest({x: "héllo", y: "abc"}), {x: "héllo!", z: "new"}), {x: "héllo", y: "abc"}, {encoding: "utf-8"});
+      ok(texts.x === "héllo!" && texts.z === "new" && !("y" in texts), "text entries");
+
+      var changed = {"a.txt": text("hellp"), "docs/big.txt": destination["docs/big.txt"], "old/name.bin": destination["old/name.bin"]};
+      throws(function() { BSync.applyManifestPatch(manifestPatch, changed); }, BSync.BSyncIntegrityError, "entry that doesn't match rejected");
+      ok(BSync.applyManifestPatch(manifestPatch, changed, {verify: false})["a.txt"] === changed["a.txt"], "unless it isn't checked");
+      throws(function() { BSync.applyManifestPatch(manifestPatch, {"a.txt": text("hello")}); }, BSync.BSyncError, "missing entry rejected");
+      throws(function() { BSync.applyManifestPatch(manifest, destination); }, BSync.BSyncFormatError, "manifest isn't a manifest patch");
+      throws(function() { BSync.createManifestPatch(manifestPatch, source); }, BSync.BSyncFormatError, "manifest patch isn't a manifest");
+    });
+
+test("text mode",
+    function()
+    {
+      var utf8 = new Uint8Array(BSync.util.encodeText("aé€😀"));
+      ok(Array.prototype.join.call(utf8, ",") == "97,195,169,226,130,172,240,159,152,128", "utf-8 encoded");
+      var utf16 = new Uint8Array(BSync.util.encodeText("a😀", "utf-16be"));
+      ok(Array.prototype.join.call(utf16, ",") == "0,97,216,61,222,0", "utf-16be encoded");
+      ok(BSync.util.decodeText(BSync.util.encodeText("a😀", "utf-16le"), "utf-16le") == "a😀", "utf-16le round trip");
+      ok(BSync.util.decodeText(new Uint8Array([0xef, 0xbb, 0xbf, 0x61, 0xff])) == "\ufeffa\ufffd", "byte order mark kept, bad bytes replaced");
+      throws(function() { BSync.util.encodeText("a", "latin1"); }, TypeError, "unknown encoding rejected");
+
+      var text1 = BSync.util.decodeText(textData(600, 3)).replace(/data/g, "dätä ✓");
+      var text2 = text1.replace("rolling", "rolling 😀").slice(0, -40) + "the end.\n";
+      ["utf-8", "utf-16le", "utf-16be"].forEach(function(encoding)
+      {
+        var options = {encoding: encoding};
+        var checksumDocument = BSync.createChecksumDocument(64, text1, options);
+        ok(verifyData(checksumDocument, BSync.createChecksumDocument(64, BSync.util.encodeText(text1, encoding))), encoding + " checksums of the encoded text");
+        var patchDocument = BSync.createPatchDocument(checksumDocument, text2, options);
+        ok(BSync.applyPatch(patchDocument, text1, options) === text2, encoding + " text patch applied");
+        ok(verifyData(BSync.applyPatch(patchDocument, BSync.util.encodeText(text1, encoding)), BSync.util.encodeText(text2, encoding)), encoding + " text patch applied to bytes");
+      });
+      ok(verifyData(BSync.createChecksumDocument(text1), BSync.createChecksumDocument("auto", BSync.util.encodeText(text1))), "text as the only argument");
+      var undo = BSync.applyPatch(BSync.createPatchDocument(BSync.createChecksumDocument(64, text1), text2), text1, {reverse: true});
+      ok(undo.data === text2 && BSync.applyPatch(undo.reverse, text2) === text1, "reverse patch of text");
+
+      var lineDocument = BSync.createChecksumDocument(64, text1, {lines: true});
+      var info = BSync.inspectChecksumDocument(lineDocument);
+      ok(info.version == 4 && info.lines && info.blocks[0].offset === null, "line-aware checksum document");
+      ok((new Uint8Array(BSync.createChecksumDocument(64, text1)))[4] == 2, "fixed blocks keep the older version");
+      var lines = text1.split("\n");
+      lines.splice(7, 1);
+      lines.splice(20, 0, "a brand new line of text.");
+      var edited = lines.join("\n");
+      var linePatch = BSync.createPatchDocument(lineDocument, edited);
+      var patchInfo = BSync.inspectPatch(linePatch);
+      ok(patchInfo.version == 6 && patchInfo.lines && patchInfo.literalBytes < 200, "line-aware patch only carries the changed lines");
+      ok(BSync.applyPatch(linePatch, text1) === edited, "line-aware patch applied");
+      ok(BSync.applyPatch(BSync.createPatchDocument(lineDocument, edited, {compress: true}), text1) === edited, "compressed line-aware patch applied");
+      ok(BSync.applyPatch(BSync.createPatchDocument(lineDocument, text1), text1) === text1, "unchanged text");
+      var updated = BSync.updateChecksumDocument(lineDocument, linePatch, edited);
+      ok(verifyData(updated, BSync.createChecksumDocument(64, edited, {lines: true})), "line-aware checksum document updated");
+      ok(BSync.applyPatch(BSync.createPatchDocument(updated, text2), edited) === text2, "updated document used");
+
+      throws(function() { BSync.createChecksumDocument(64, text1, {lines: true, subBlockSize: 4}); }, TypeError, "lines and sub-blocks together rejected");
+      throws(function() { BSync.composePatches([linePatch, BSync.createPatchDocument(updated, text2)]); }, BSync.BSyncError, "line-aware patches aren't composed");
+      throws(function() { BSync.createPatchDocument(lineDocument, edited, {version: 1}); }, BSync.BSyncError, "no version 1 patch from a line-aware document");
+    });
+
+QUnit.module("streaming tests");
+
+//split a buffer into an array of randomly sized chunks, to make sure chunk boundaries don't line up with block boundaries
+function randomChunks(buffer, maxChunkSize)
+{
+  var chunks = [];
+  var offset = 0;
+  while(offset < buffer.byteLength)
+  {
+    var size = Math.ceil(Math.random() * maxChunkSize);
+    chunks.push(buffer.slice(offset, offset + size));
+    offset += size;
+  }
+  return chunks;
+}
+
+asyncTest("streaming checksum document",
+    function()
+    {
+      var testData = data.buffer.slice(0);
+      var blockSize = 10;
+      var expected = BSync.createChecksumDocument(blockSize, testData);
+      var pieces = [];
+
+      BSync.createChecksumDocumentStream(blockSize, randomChunks(testData, 25))
+        .then(function(doc)
+        {
+          ok(verifyData(doc, expected), "streamed document matches for unknown length");
+          return BSync.createChecksumDocumentStream(blockSize, randomChunks(testData, 3), {
+            length: testData.byteLength,
+            onData: function(piece) { pieces.push(piece); }
+          });
+        })
+        .then(function(doc)
+        {
+          ok(doc === undefined, "nothing buffered when onData is used");
+          ok(pieces.length > 2, "document was emitted incrementally");
+          var joined = new Uint8Array(expected.byteLength);
+          var offset = 0;
+          for(var i=0; i<pieces.length; i++)
+          {
+            joined.set(new Uint8Array(pieces[i]), offset);
+            offset += pieces[i].byteLength;
+          }
+          ok(offset == expected.byteLength && verifyData(joined.buffer, expected), "pieces join into the same document");
+          return BSync.createChecksumDocumentStream(blockSize, testData, {length: testData.byteLength + 1});
+        })
+        .then(function() { ok(false, "short source should be rejected"); },
+              function(err) { ok(err instanceof Error, "short source rejected"); })
+        .then(function() { return BSync.createChecksumDocumentStream(blockSize, randomChunks(testData, 25), {hash: "xxhash64"}); })
+        .then(function(doc) { ok(verifyData(doc, BSync.createChecksumDocument(blockSize, testData, {hash: "xxhash64"})), "streamed document matches with another strong hash"); })
+        .then(function() { return BSync.createChecksumDocumentStream(blockSize, randomChunks(testData, 25), {strongLength: "auto"}); })
+        .then(function(doc) { ok(verifyData(doc, BSync.createChecksumDocument(blockSize, testData, {strongLength: "auto"})), "streamed auto strong length matches without the length"); })
+        .then(function() { return BSync.createChecksumDocumentStream(blockSize, randomChunks(testData, 25), {strongLength: "auto", length: testData.byteLength}); })
+        .then(function(doc) { ok(verifyData(doc, BSync.createChecksumDocument(blockSize, testData, {strongLength: "auto"})), "streamed auto strong length matches with the length"); })
+        .then(function() { return BSync.createChecksumDocumentStream(blockSize, randomChunks(testData, 25), {strongLength: "auto", subBlockSize: 4}); })
+        .then(function(doc) { ok(verifyData(doc, BSync.createChecksumDocument(blockSize, testData, {strongLength: "auto", subBlockSize: 4})), "streamed sub-blocks match"); })
+        .then(function() { return BSync.createChecksumDocumentStream("auto", randomChunks(testData, 25), {length: testData.byteLength}); })
+        .then(function(doc) { ok(verifyData(doc, BSync.createChecksumDocument(testData)), "streamed auto block size matches"); })
+        .then(function() { return BSync.createChecksumDocumentStream("auto", randomChunks(testData, 25)); })
+        .then(function() { ok(false, "auto block size without the length should be rejected"); },
+              function(err) { ok(err instanceof TypeError, "auto block size needs the length"); })
+        .then(function()
+        {
+          var calls = 0;
+          return BSync.createChecksumDocumentStream(blockSize, randomChunks(testData, 3), {
+            length: testData.byteLength,
+            onData: function() { calls++; return Promise.reject(new Error("socket closed")); }
+          }).then(function() { ok(false, "failed header write should be rejected"); },
+                  function(err) { ok(err.message == "socket closed" && calls == 1, "failed header write stops the stream"); });
+        })
+        .then(function()
+        {
+          if(!isNode) return;
+          var Readable = require("stream").Readable;
+          return BSync.createChecksumDocumentStream(blockSize, Readable.from(randomChunks(testData, 40).map(function(chunk) { return Buffer.from(chunk); })))
+            .then(function(doc) { ok(verifyData(doc, expected), "node Readable source"); });
+        })
+        .then(function()
+        {
+          if(typeof ReadableStream == "undefined") return;
+          var chunks = randomChunks(testData, 40);
+          var stream = new ReadableStream({
+            pull: function(controller)
+            {
+              if(chunks.length) controller.enqueue(new Uint8Array(chunks.shift()));
+              else controller.close();
+            }
+          });
+          return BSync.createChecksumDocumentStream(blockSize, stream)
+            .then(function(doc) { ok(verifyData(doc, expected), "WHATWG ReadableStream source"); });
+        })
+        .then(start, function(err) { ok(false, "unexpected error: " + err); start(); });
+    });
+
+asyncTest("streaming patch document",
+    function()
+    {
+      var testData1 = data.buffer.slice(0);
+      var blockSize = 10;
+      var doc1 = BSync.createChecksumDocument(blockSize, testData1);
+      var runs = [];
+      var pieces = [];
+
+      //randomized mods, same as the apply patch test, but with the source fed through in odd sized chunks
+      for(var j=0; j<50; j++)
+      {
+        var testData2 = data.buffer.slice(0);
+        var numMods = Math.ceil(Math.random() * 20);
+        for(var k=0; k < numMods; k++)
+          (new Uint8Array(testData2))[Math.floor(Math.random() * testData2.byteLength)]++;
+        runs.push(testData2);
+      }
+
+      var done = runs.reduce(function(previous, testData2)
+      {
+        return previous.then(function()
+        {
+          return BSync.createPatchDocumentStream(doc1, randomChunks(testData2, 30)).then(function(patchDocument)
+          {
+            ok(verifyData(BSync.applyPatch(patchDocument, testData1), testData2), "exact match");
+          });
+        });
+      }, Promise.resolve());
+
+      done
+        .then(function()
+        {
+          return BSync.createPatchDocumentStream(doc1, randomChunks(runs[0], 7), {onData: function(piece) { pieces.push(piece); }});
+        })
+        .then(function(patchDocument)
+        {
+          ok(patchDocument === undefined, "nothing buffered when onData is used");
+          ok(pieces.length > 2, "patch was emitted incrementally");
+          var joined = new Uint8Array(pieces.reduce(function(total, piece) { return total + piece.byteLength; }, 0));
+          var offset = 0;
+          pieces.forEach(function(piece) { joined.set(new Uint8Array(piece), offset); offset += piece.byteLength; });
+          ok(verifyData(BSync.applyPatch(joined.buffer, testData1), runs[0]), "same data from joined pieces");
+
+          //a source one byte longer than a whole number of blocks, the last byte used to get lost after a match
+          var testData3 = data.buffer.slice(0, 11);
+          var doc3 = BSync.createChecksumDocument(blockSize, testData3);
+          ok(verifyData(BSync.applyPatch(BSync.createPatchDocument(doc3, testData3.slice(0)), testData3), testData3), "trailing byte kept");
+          return BSync.createPatchDocumentStream(doc3, [testData3.slice(0)]).then(function(patchDocument)
+          {
+            ok(verifyData(BSync.applyPatch(patchDocument, testData3), testData3), "trailing byte kept when streaming");
+          });
+        })
+        .then(start, function(err) { ok(false, "unexpected error: " + err); start(); });
+    });
+
+asyncTest("streaming apply patch",
+    function()
+    {
+      var testData1 = data.buffer.slice(0);
+      var blockSize = 10;
+      var doc1 = BSync.createChecksumDocument(blockSize, testData1);
+      var subBlockDoc = BSync.createChecksumDocument(blockSize, testData1, {subBlockSize: 2});
+      var reads = 0;
+
+      function readDestination(offset, length)
+      {
+        reads++;
+        //hand back a promise sometimes, and plain data other times
+        var chunk = new Uint8Array(testData1.slice(offset, offset + length));
+        return (reads % 2) ? Promise.resolve(chunk) : chunk;
+      }
+
+      function applyTo(patchDocument)
+      {
+        var output = [];
+        return BSync.applyPatchStream(randomChunks(patchDocument, 13), readDestination, function(chunk) { output.push(chunk.slice().buffer); })
+          .then(function(written)
+          {
+            var joined = new Uint8Array(written);
+            var offset = 0;
+            output.forEach(function(piece) { joined.set(new Uint8Array(piece), offset); offset += piece.byteLength; });
+            ok(offset == written, "byte count reported");
+            return joined.buffer;
+          });
+      }
+
+      var runs = [];
+      for(var j=0; j<30; j++)
+      {
+        var testData2 = data.buffer.slice(0);
+        var numMods = Math.ceil(Math.random() * 20);
+        for(var k=0; k < numMods; k++)
+          (new Uint8Array(testData2))[Math.floor(Math.random() * testData2.byteLength)]++;
+        runs.push(testData2);
+      }
+
+      runs.reduce(function(previous, testData2)
+      {
+        return previous
+          .then(function() { return applyTo(BSync.createPatchDocument(doc1, testData2.slice(0))); })
+          .then(function(result) { ok(verifyData(result, testData2), "regular patch applied"); })
+          .then(function() { return BSync.createPatchDocumentStream(doc1, testData2.slice(0)); })
+          .then(applyTo)
+          .then(function(result) { ok(verifyData(result, testData2), "streamed patch applied"); })
+          .then(function() { return applyTo(BSync.createPatchDocument(subBlockDoc, testData2.slice(0))); })
+          .then(function(result) { ok(verifyData(result, testData2), "patch with delta records applied"); });
+      }, Promise.resolve())
+        .then(function()
+        {
+          reads = 0;
+          return applyTo(BSync.createPatchDocument(doc1, testData1.slice(0)));
+        })
+        .then(function(result)
+        {
+          ok(verifyData(result, testData1), "unchanged data applied");
+          ok(reads == 1, "consecutive blocks read from the destination together");
+          var text1 = textData(1000, 1);
+          var text2 = textData(1000, 2);
+          return BSync.createPatchDocumentStream(BSync.createChecksumDocument(64, text1), randomChunks(text2, 300), {compress: true})
+            .then(function(patchDocument)
+            {
+              ok((new Uint8Array(patchDocument))[6] == 1, "streamed patch compressed");
+              var output = [];
+              return BSync.applyPatchStream(randomChunks(patchDocument, 13), function(offset, length) { return new Uint8Array(text1.slice(offset, offset + length)); },
+                                            function(chunk) { output.push.apply(output, Array.prototype.slice.call(chunk)); })
+                .then(function() { ok(verifyData(new Uint8Array(output).buffer, text2), "compressed patch applied"); });
+            })
+            .then(function()
+            {
+              var lines = BSync.util.decodeText(text1).split("\n");
+              lines.splice(30, 2, "two lines went missing here.");
+              var edited = BSync.util.encodeText(lines.join("\n"));
+              var output = [];
+              var patchDocument = BSync.createPatchDocument(BSync.createChecksumDocument(64, text1, {lines: true}), edited);
+              return BSync.applyPatchStream(randomChunks(patchDocument, 13), function(offset, length) { return new Uint8Array(text1.slice(offset, offset + length)); },
+                                            function(chunk) { output.push.apply(output, Array.prototype.slice.call(chunk)); })
+                .then(function() { ok(verifyData(new Uint8Array(output).buffer, edited), "line-aware patch applied"); });
+            });
+        })
+        .then(function()
+        {
+          var truncated = BSync.createPatchDocument(doc1, runs[0].slice(0));
+          return applyTo(truncated.slice(0, truncated.byteLength - 1));
+        })
+        .then(function() { ok(false, "truncated patch should be rejected"); },
+              function(err) { ok(err instanceof Error, "truncated patch rejected"); })
+        .then(function()
+        {
+          var patchDocument = BSync.createPatchDocument(doc1, runs[2].slice(0));
+          return Promise.all(["base64", "base64url", "json"].map(function(format)
+          {
+            var output = [];
+            return BSync.applyPatchStream(BSync.encodeDocument(patchDocument, format), readDestination,
+                                          function(chunk) { output.push.apply(output, Array.prototype.slice.call(chunk)); })
+              .then(function() { return verifyData(new Uint8Array(output).buffer, runs[2]); });
+          })).then(function(results) { ok(results.every(Boolean), "encoded patches applied"); });
+        })
+        .then(function()
+        {
+          if(!isNode) return;
+          var Writable = require("stream").Writable;
+          var received = [];
+          var sink = new Writable({
+            highWaterMark: 4,
+            write: function(chunk, encoding, callback) { received.push(chunk); setTimeout(callback, 0); }
+          });
+          return BSync.createPatchDocumentStream(doc1, runs[1].slice(0))
+            .then(function(patchDocument) { return BSync.applyPatchStream(patchDocument, readDestination, sink); })
+            .then(function() { return new Promise(function(resolve) { sink.end(resolve); }); })
+            .then(function() { ok(verifyData(new Uint8Array(Buffer.concat(received)).buffer, runs[1]), "node Writable sink"); });
+        })
+        .then(start, function(err) { ok(false, "unexpected error: " + err); start(); });
+    });
+
+QUnit.module("parallel tests");
+
+asyncTest("parallel checksum document",
+    function()
+    {
+      var testData = new Uint8Array(20000);
+      for(var i=0; i<testData.length; i++) testData[i] = Math.floor(Math.random() * 256);
+      var options = {hash: "sha256", strongLength: "auto", subBlockSize: 50, workers: 2};
+      var expected = BSync.createChecksumDocument(500, testData.buffer, options);
+
+      BSync.createChecksumDocumentParallel(500, testData.buffer, options)
+        .then(function(doc)
+        {
+          ok(verifyData(doc, expected), "same document as the single threaded one");
+          ok(testData.buffer.byteLength == 20000, "data wasn't detached");
+          if(typeof SharedArrayBuffer == "undefined") return;
+          var shared = new SharedArrayBuffer(testData.length);
+          new Uint8Array(shared).set(testData);
+          return BSync.createChecksumDocumentParallel(500, shared, options)
+            .then(function(doc) { ok(verifyData(doc, expected), "same document from shared memory"); });
+        })
+        .then(function()
+        {
+          //a view part way into a bigger buffer, the way node Buffers usually are
+          var padded = new Uint8Array(testData.length + 10);
+          padded.set(testData, 7);
+          return BSync.createChecksumDocumentParallel(500, padded.subarray(7, 7 + testData.length), options);
+        })
+        .then(function(doc)
+        {
+          ok(verifyData(doc, expected), "same document from a typed array");
+          if(!isNode) return;
+          //slice on a Buffer doesn't copy, so this one needs its own test
+          var pooled = Buffer.alloc(testData.length + 10);
+          pooled.set(testData, 7);
+          return BSync.createChecksumDocumentParallel(500, pooled.subarray(7, 7 + testData.length), options)
+            .then(function(doc) { ok(verifyData(doc, expected), "same document from a Buffer"); });
+        })
+        .then(function() { return BSync.createChecksumDocumentParallel(500, testData.buffer, {hash: "sha256", strongLength: "auto", subBlockSize: 50, workers: 0}); })
+        .then(function(doc) { ok(verifyData(doc, expected), "same document without workers"); })
+        .then(function() { return BSync.createChecksumDocumentParallel(testData.buffer, {workers: 3}); })
+        .then(function(doc) { ok(verifyData(doc, BSync.createChecksumDocument(testData.buffer)), "same document with an automatic block size"); })
+        .then(function() { return BSync.createChecksumDocumentParallel(500, testData.buffer, {hash: "no-such-hash", workers: 2}); })
+        .then(function() { ok(false, "unknown hash should be rejected"); },
+              function(err) { ok(err instanceof BSync.BSyncError, "unknown hash rejected"); })
+        .then(start, function(err) { ok(false, "unexpected error: " + err); start(); });
+    });
+
+QUnit.module("async tests");
+
+asyncTest("async api",
+    function()
+    {
+      var testData1 = new Uint8Array(2000000);
+      for(var i=0; i<testData1.length; i++) testData1[i] = (i * 7919 + (i >> 7)) % 251;
+      var testData2 = testData1.slice(0);
+      for(i=0; i<50; i++) testData2[i * 37000] ^= 5;
+      testData1 = testData1.buffer;
+      testData2 = testData2.buffer;
+      var checksumDocument = BSync.createChecksumDocument(1000, testData1);
+      var progress = [];
+      function onProgress(p) { progress.push(p); }
+      function lastProgress() { return progress[progress.length - 1]; }
+
+      BSync.createChecksumDocumentAsync(1000, testData1, {onProgress: onProgress})
+        .then(function(doc)
+        {
+          ok(verifyData(doc, checksumDocument), "same checksum document");
+          ok(progress.length > 1, "progress reported along the way");
+          ok(lastProgress().bytesProcessed == testData1.byteLength && lastProgress().totalBytes == testData1.byteLength, "progress finishes at the total");
+          progress = [];
+          return BSync.createPatchDocumentAsync(checksumDocument, testData2, {onProgress: onProgress});
+        })
+        .then(function(patchDocument)
+        {
+          ok(verifyData(patchDocument, BSync.createPatchDocument(checksumDocument, testData2)), "same patch document");
+          ok(lastProgress().bytesProcessed == testData2.byteLength && lastProgress().blocksMatched == 1950, "matched blocks counted");
+          progress = [];
+          return BSync.applyPatchAsync(patchDocument, testData1, {onProgress: onProgress});
+        })
+        .then(function(result)
+        {
+          ok(verifyData(result, testData2), "patch applied");
+          ok(lastProgress().bytesProcessed == testData2.byteLength && lastProgress().totalBytes == testData2.byteLength, "progress counts the output");
+
+          //the destination as a view part way into a bigger buffer, and the result written into an output buffer
+          var padded = new Uint8Array(testData1.byteLength + 16);
+          padded.set(new Uint8Array(testData1), 5);
+          var output = new Uint8Array(testData2.byteLength + 10);
+          var patchDocument = BSync.createPatchDocument(checksumDocument, testData2);
+          return BSync.applyPatchAsync(patchDocument, padded.subarray(5, 5 + testData1.byteLength), {output: output})
+            .then(function(result)
+            {
+              ok(result.buffer === output.buffer && verifyData(result.slice().buffer, testData2), "typed array destination, written into the output buffer");
+              return BSync.applyPatchAsync(patchDocument, testData1, {output: new Uint8Array(100)});
+            })
+            .then(function() { ok(false, "small output buffer should be rejected"); },
+                  function(err) { ok(err instanceof RangeError, "small output buffer rejected"); })
+            .then(function() { return BSync.applyPatchAsync(patchDocument, testData1, {reverse: true}); })
+            .then(function() { ok(false, "reverse should be rejected"); },
+                  function(err) { ok(err instanceof TypeError, "reverse rejected"); });
+        })
+        .then(function()
+        {
+          //abort from the first progress report, so it's known to be part way through
+          var signal = {aborted: false};
+          return BSync.createChecksumDocumentAsync(1000, testData1, {signal: signal, onProgress: function(p)
+          {
+            if(p.bytesProcessed < p.totalBytes) signal.aborted = true;
+          }});
+        })
+        .then(function() { ok(false, "should have been aborted"); },
+              function(err) { ok(err.name == "AbortError", "aborted part way through"); })
+        .then(function()
+        {
+          var reason = new Error("cancelled");
+          var signal = {aborted: true, reason: reason};
+          return Promise.all([
+            BSync.createChecksumDocumentAsync(1000, testData1, {signal: signal}).then(null, function(err) { return err; }),
+            BSync.createPatchDocumentAsync(checksumDocument, testData2, {signal: signal}).then(null, function(err) { return err; }),
+            BSync.applyPatchAsync(BSync.createPatchDocument(checksumDocument, testData2), testData1, {signal: signal}).then(null, function(err) { return err; })
+          ]);
+        })
+        .then(function(errors)
+        {
+          ok(errors.every(function(err) { return err && err.message == "cancelled"; }), "already aborted, rejected with the signal's reason");
+          if(typeof AbortController == "undefined") return;
+          var controller = new AbortController();
+          controller.abort();
+          return BSync.applyPatchAsync(BSync.createPatchDocument(checksumDocument, testData2), testData1, {signal: controller.signal})
+            .then(function() { ok(false, "should have been aborted"); },
+                  function(err) { ok(err.name == "AbortError", "AbortController signal"); });
+        })
+        .then(start, function(err) { ok(false, "unexpected error: " + err); start(); });
+    });
+
+asyncTest("sync session",
+    function()
+    {
+      var older = new Uint8Array(textData(2000, 3));
+      var newer = new Uint8Array(older.length + 6);
+      newer.set(older.subarray(0, 5000));
+      newer.set([110, 101, 119, 101, 114, 32], 5000);
+      newer.set(older.subarray(5000), 5006);
+      var stores = [{doc: older.buffer}, {doc: newer.buffer}];
+      var reads = [0, 0];
+      var ports = BSync.createPortPair();
+      var sessions = ports.map(function(port, i)
+      {
+        return new BSync.SyncSession(port, {
+          getData: function(name)
+          {
+            reads[i]++;
+            var data = stores[i][name];
+            //the copy here changes while a patch is on its way, so the patch can't be applied to it
+            if(name == "racy" && reads[i] == 1) stores[i][name] = changed.buffer;
+            return data;
+          },
+          setData: function(name, data) { stores[i][name] = data; },
+          subBlockSize: 64
+        });
+      });
+      var changed = older.slice(0);
+      changed[10]++;
+
+      sessions[0].pull("doc")
+        .then(function(result)
+        {
+          ok(verifyData(result, newer.buffer) && stores[0].doc === result, "pulled and stored");
+          return sessions[0].pull("doc");
+        })
+        .then(function(result)
+        {
+          ok(result === stores[0].doc, "nothing to pull when it's already the same");
+          return sessions[1].push("new", older.buffer);
+        })
+        .then(function(result)
+        {
+          ok(!result.identical && verifyData(stores[0]["new"], older.buffer), "pushed something the other end didn't have");
+          return sessions[1].push("new", older.buffer);
+        })
+        .then(function(result)
+        {
+          ok(result.identical && result.patchLength == 0, "nothing to push when it's already the same");
+          stores[0].racy = older.buffer;
+          reads = [0, 0];
+          return sessions[1].push("racy", newer.buffer);
+        })
+        .then(function(result)
+        {
+          ok(!result.identical && verifyData(stores[0].racy, newer.buffer) && reads[0] == 4, "push tried again when the other end's copy changed");
+          return sessions[1].pull("missing");
+        })
+        .then(function() { ok(false, "should have failed"); }, function(err)
+        {
+          ok(err instanceof BSync.BSyncError && err.remote && /missing/.test(err.message), "the other end's error passed back");
+          return sessions[0].connect();
+        })
+        .then(function(agreed)
+        {
+          ok(agreed.protocol == 1 && agreed.patchVersion >= 6, "versions agreed");
+          sessions.forEach(function(session) { session.close(); });
+          ports.forEach(function(port) { port.close(); });
+
+          //a peer that's newer but still speaks version 1, then one that doesn't
+          var answers = [{protocol: 3, minProtocol: 1, checksumVersion: 9, patchVersion: 9}, {protocol: 3, minProtocol: 2, checksumVersion: 9, patchVersion: 9}];
+          return Promise.all(answers.map(function(answer)
+          {
+            var pair = BSync.createPortPair();
+            var session = new BSync.SyncSession(pair[0]);
+            pair[1].onmessage = function(event)
+            {
+              if(event.data.type != "hello") return;
+              answer.bsync = "session";
+              answer.type = "hello";
+              answer.re = event.data.id;
+              pair[1].postMessage(answer);
+            };
+            pair[1].postMessage({something: "else"}); //not for the session, so it's left alone
+            return session.connect().then(function(agreed) { return agreed.protocol; }, function(err) { return err; });
+          }));
+        })
+        .then(function(results)
+        {
+          ok(results[0] === 1, "newer peer talked to with the protocol both speak");
+          ok(results[1] instanceof BSync.BSyncVersionError, "peer with no protocol in common rejected");
+
+          var pair = BSync.createPortPair();
+          var hellos = 0;
+          pair[1].onmessage = function() { hellos++; }; //never answers
+          var session = new BSync.SyncSession(pair[0], {timeout: 10, retries: 1});
+          return session.pull("doc", older.buffer).then(function() { ok(false, "should have timed out"); }, function(err)
+          {
+            ok(err.timeout && hellos == 2, "timed out after trying again");
+            var waiting = session.connect();
+            session.close();
+            return waiting;
+          });
+        })
+        .then(function() { ok(false, "should have been closed"); }, function(err) { ok(err instanceof BSync.BSyncError && /closed/.test(err.message), "closing rejects what's waiting"); })
+        .then(start, function(err) { ok(false, "unexpected error: " + err); start(); });
     });
 
 QUnit.module("larger file tests");
@@ -318,4 +1599,447 @@ getFileData(path,
 if(isNode)
 {
   QUnit.module("node specific tests");
+
+  asyncTest("sync session over a MessageChannel",
+      function()
+      {
+        var channel = new (require("worker_threads").MessageChannel)();
+        var text = "The quick brown fox jumps over the lazy dog.\n";
+        var stores = [{notes: text.repeat(100)}, {notes: text.repeat(60) + "Something else entirely.\n" + text.repeat(40)}];
+        var sessions = [channel.port1, channel.port2].map(function(port, i)
+        {
+          return new BSync.SyncSession(port, {getData: function(name) { return stores[i][name]; }, setData: function(name, data) { stores[i][name] = data; },
+                                              encoding: "utf-8", compress: true});
+        });
+
+        sessions[1].push("notes")
+          .then(function(result)
+          {
+            ok(stores[0].notes == stores[1].notes && !result.identical && result.patchLength < 500, "text pushed through a MessagePort");
+            stores[1].notes += "One more line.\n";
+            return sessions[0].pull("notes");
+          })
+          .then(function(result)
+          {
+            ok(typeof result == "string" && result == stores[1].notes && stores[0].notes == result, "text pulled back");
+          })
+          .then(null, function(err) { ok(false, "unexpected error: " + err); })
+          .then(function()
+          {
+            sessions.forEach(function(session) { session.close(); });
+            channel.port1.close();
+            start();
+          });
+      });
+
+  //Buffers are often views part way into a bigger ArrayBuffer (small ones share a pool), like the ones this makes
+  function offsetBuffer(bytes)
+  {
+    var bigger = Buffer.alloc(bytes.byteLength + 16);
+    Buffer.from(bytes).copy(bigger, 8);
+    return bigger.subarray(8, 8 + bytes.byteLength);
+  }
+
+  test("manifests from Buffers",
+      function()
+      {
+        var destination = {"a.txt": offsetBuffer(Buffer.from("hello world")), "b.txt": offsetBuffer(Buffer.from(textData(300, 5)))};
+        var source = {"a.txt": Buffer.from("hello world!"), "b.txt": destination["b.txt"]};
+        var manifestPatch = BSync.createManifestPatch(offsetBuffer(BSync.createManifest(destination)), source);
+        var synced = BSync.applyManifestPatch(offsetBuffer(manifestPatch), destination);
+        ok(verifyData(synced["a.txt"], new Uint8Array(source["a.txt"]).buffer) && synced["b.txt"] === destination["b.txt"], "Buffer entries and documents");
+      });
+
+  asyncTest("sync session with Buffers",
+      function()
+      {
+        var text = "The quick brown fox jumps over the lazy dog.\n";
+        var stores = [{notes: offsetBuffer(Buffer.from(text.repeat(100)))}, {notes: offsetBuffer(Buffer.from(text.repeat(60) + "Something else entirely.\n" + text.repeat(40)))}];
+        var ports = BSync.createPortPair();
+        var sessions = ports.map(function(port, i)
+        {
+          return new BSync.SyncSession(port, {getData: function(name) { return stores[i][name]; }, setData: function(name, data) { stores[i][name] = offsetBuffer(data); },
+                                              retries: 0});
+        });
+
+        sessions[1].push("notes")
+          .then(function(result)
+          {
+            ok(!result.identical && stores[0].notes.equals(stores[1].notes), "Buffer pushed");
+            stores[1].notes = offsetBuffer(Buffer.from(stores[1].notes.toString() + "One more line.\n"));
+            return sessions[0].pull("notes");
+          })
+          .then(function(result)
+          {
+            ok(verifyData(result, new Uint8Array(stores[1].notes).buffer) && stores[0].notes.equals(stores[1].notes), "Buffer pulled");
+            return sessions[0].pull("notes", Buffer.from("The quick brown fox"));
+          })
+          .then(function(result) { ok(Buffer.from(result).equals(stores[1].notes), "Buffer passed to pull"); })
+          .then(null, function(err) { ok(false, "unexpected error: " + err); })
+          .then(function()
+          {
+            sessions.forEach(function(session) { session.close(); });
+            start();
+          });
+      });
+
+  test("librsync fixtures",
+      function()
+      {
+        var fs = require("fs");
+        var path = require("path");
+        function fixture(name)
+        {
+          var buffer = fs.readFileSync(path.join(__dirname, "fixtures", "rdiff", name));
+          return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+        }
+        var basis = fixture("basis.txt");
+        var source = fixture("source.txt");
+
+        //the rdiff commands for each of these are in fixtures/rdiff/generate.sh. See the README there for where the files came from
+        ok(verifyData(BSync.createRdiffSignature(basis, {blockSize: 512}), fixture("basis.rk-blake2.sig")), "same signature as rdiff");
+        ok(verifyData(BSync.createRdiffSignature(basis, {blockSize: 512, format: "md4", strongLength: 8}), fixture("basis.md4.sig")), "same md4 signature as rdiff");
+
+        ok(verifyData(BSync.applyPatch(fixture("source.delta"), basis), source), "rdiff's delta applied");
+        ["basis.rk-blake2.sig", "basis.md4.sig"].forEach(function(name)
+        {
+          var patch = BSync.createPatchDocument(fixture(name), source);
+          ok(verifyData(BSync.applyPatch(patch, basis), source), "patch made from " + name);
+          ok(verifyData(BSync.exportRdiffDelta(patch), fixture("source.delta")), "same delta as rdiff from " + name);
+        });
+      });
+
+  test("command line tool",
+      function()
+      {
+        var fs = require("fs");
+        var os = require("os");
+        var path = require("path");
+        var childProcess = require("child_process");
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), "bsync-cli-"));
+        var basis = path.join(dir, "basis");
+        var changed = path.join(dir, "changed");
+        var text1 = textData(2000, 6);
+        var text2 = new Uint8Array(textData(2000, 6));
+        text2[5000]++;
+        text2 = text2.buffer;
+        fs.writeFileSync(basis, Buffer.from(text1));
+        fs.writeFileSync(changed, Buffer.from(text2));
+
+        function run(args, input)
+        {
+          return childProcess.spawnSync(process.execPath, [path.join(__dirname, "..", "bin", "bit-sync.js")].concat(args), {cwd: dir, input: input});
+        }
+
+        ok(run(["signature", "-b", "256", "basis", "basis.sig"]).status == 0 &&
+           verifyData(new Uint8Array(fs.readFileSync(path.join(dir, "basis.sig"))).buffer, BSync.createChecksumDocument(256, text1)), "signature");
+        ok(run(["delta", "--compress", "basis.sig", "changed", "changed.delta"]).status == 0, "delta");
+        ok(BSync.inspectPatch(new Uint8Array(fs.readFileSync(path.join(dir, "changed.delta"))).buffer).flags == 1, "delta compressed");
+        ok(run(["patch", "basis", "changed.delta", "out"]).status == 0 && verifyData(new Uint8Array(fs.readFileSync(path.join(dir, "out"))).buffer, text2), "patch");
+
+        var signature = run(["signature", "--hash", "sha256", "--base64", "-"], Buffer.from(text1));
+        ok(signature.status == 0 && /^[A-Za-z0-9+\/=]+\n$/.test(signature.stdout.toString()), "base64 signature from stdin to stdout");
+        fs.writeFileSync(path.join(dir, "basis.b64"), signature.stdout);
+        var delta = run(["delta", "--format=json", "basis.b64", "-"], Buffer.from(text2));
+        ok(delta.status == 0 && JSON.parse(delta.stdout.toString()).bsync == "patch", "json delta from stdin");
+        var patched = run(["patch", "basis", "-"], delta.stdout);
+        ok(patched.status == 0 && verifyData(new Uint8Array(patched.stdout).buffer, text2), "patch from stdin to stdout");
+
+        var inspected = run(["inspect", "changed.delta"]);
+        ok(inspected.status == 0 && inspected.stdout.toString().indexOf("--- destination, block size 256") == 0, "inspect");
+        ok(JSON.parse(run(["inspect", "--json", "basis.b64"]).stdout.toString()).strongHash == "sha256", "inspect as json");
+
+        fs.writeFileSync(path.join(dir, "basis.rdiff-sig"), Buffer.from(BSync.createRdiffSignature(text1, {blockSize: 256})));
+        inspected = run(["inspect", "basis.rdiff-sig"]);
+        ok(inspected.status == 0 && inspected.stdout.toString().indexOf("librsync signature (rk-blake2)") == 0, "inspect librsync signature");
+        var rdiffDelta = BSync.exportRdiffDelta(BSync.createPatchDocument(BSync.createRdiffSignature(text1, {blockSize: 256}), text2));
+        fs.writeFileSync(path.join(dir, "changed.rdiff-delta"), Buffer.from(rdiffDelta));
+        inspected = run(["inspect", "--json", "changed.rdiff-delta"]);
+        var rdiffInfo = inspected.status == 0 && JSON.parse(inspected.stdout.toString());
+        ok(rdiffInfo && rdiffInfo.rdiff && rdiffInfo.sourceLength == text2.byteLength && rdiffInfo.literalBytes > 0, "inspect librsync delta");
+
+        var failed = run(["patch", "basis", "basis.sig", "bad"]);
+        ok(failed.status == 1 && /checksum document/.test(failed.stderr.toString()) && !fs.existsSync(path.join(dir, "bad")), "failed patch leaves no output");
+        ok(run(["signature"]).status == 2 && run(["frobnicate", "basis"]).status == 2 && run(["signature", "--bogus", "basis"]).status == 2, "usage errors");
+
+        fs.rmSync(dir, {recursive: true});
+      });
+
+  asyncTest("directory sync",
+      function()
+      {
+        var fs = require("fs");
+        var os = require("os");
+        var path = require("path");
+        var destination = fs.mkdtempSync(path.join(os.tmpdir(), "bsync-destination-"));
+        var source = fs.mkdtempSync(path.join(os.tmpdir(), "bsync-source-"));
+        var big = BSync.util.decodeText(textData(400, 5));
+
+        function write(root, file, contents)
+        {
+          fs.mkdirSync(path.dirname(path.join(root, file)), {recursive: true});
+          fs.writeFileSync(path.join(root, file), contents);
+        }
+
+        write(destination, "a.txt", "hello");
+        write(destination, "docs/big.txt", big);
+        write(destination, "old/name.txt", "moved");
+        write(destination, "gone.txt", "bye");
+        write(source, "a.txt", "hello");
+        write(source, "docs/big.txt", big.slice(0, 1000) + "changed " + big.slice(1000));
+        write(source, "new/deep/name.txt", "moved");
+        write(source, "copy.txt", "hello");
+        write(source, "fresh.txt", "brand new");
+
+        BSync.readDirectory(destination)
+          .then(function(entries)
+          {
+            ok(Object.keys(entries).sort().join() == "a.txt,docs/big.txt,gone.txt,old/name.txt", "directory read");
+            var manifest = BSync.createManifest(entries);
+            return BSync.readDirectory(source).then(function(sourceEntries) { return BSync.createManifestPatch(manifest, sourceEntries); });
+          })
+          .then(function(manifestPatch) { return BSync.applyManifestPatchToDirectory(manifestPatch, destination); })
+          .then(function(done)
+          {
+            ok(done.map(function(entry) { return entry.type + " " + entry.path; }).join() ==
+               "unchanged a.txt,copy copy.txt,patch docs/big.txt,add fresh.txt,delete gone.txt,rename new/deep/name.txt", "what was done");
+            return Promise.all([BSync.readDirectory(destination), BSync.readDirectory(source)]);
+          })
+          .then(function(both)
+          {
+            ok(Object.keys(both[0]).sort().join() == Object.keys(both[1]).sort().join(), "same files");
+            Object.keys(both[1]).forEach(function(file) { ok(verifyData(both[0][file], both[1][file]), file + " synced"); });
+            return BSync.applyManifestPatchToDirectory(BSync.createManifestPatch(BSync.createManifest({}), {"../outside.txt": "x"}), destination);
+          })
+          .then(function() { ok(false, "path outside the directory should be rejected"); },
+                function(err) { ok(err instanceof BSync.BSyncError && !fs.existsSync(path.join(destination, "../outside.txt")), "path outside the directory rejected"); })
+          .then(null, function(err) { ok(false, "unexpected error: " + err); })
+          .then(function()
+          {
+            fs.rmSync(destination, {recursive: true});
+            fs.rmSync(source, {recursive: true});
+            start();
+          });
+      });
+
+  asyncTest("directory sync changing files into directories",
+      function()
+      {
+        var fs = require("fs");
+        var os = require("os");
+        var path = require("path");
+        var destination = fs.mkdtempSync(path.join(os.tmpdir(), "bsync-destination-"));
+
+        function write(file, contents)
+        {
+          fs.mkdirSync(path.dirname(path.join(destination, file)), {recursive: true});
+          fs.writeFileSync(path.join(destination, file), contents);
+        }
+
+        function sync(target)
+        {
+          return BSync.readDirectory(destination).then(function(entries)
+          {
+            return BSync.applyManifestPatchToDirectory(BSync.createManifestPatch(BSync.createManifest(entries), target), destination);
+          });
+        }
+
+        function synced(target, message)
+        {
+          return BSync.readDirectory(destination).then(function(entries)
+          {
+            ok(Object.keys(entries).sort().join() == Object.keys(target).sort().join() &&
+               Object.keys(target).every(function(file) { return BSync.util.decodeText(entries[file]) == target[file]; }), message);
+          });
+        }
+
+        write("a", "a file");
+        write("keep.txt", "kept");
+        sync({"a/b": "now a directory", "keep.txt": "kept"})
+          .then(function() { return synced({"a/b": "now a directory", "keep.txt": "kept"}, "file replaced by a directory"); })
+          .then(function() { return sync({"a": "a file again", "keep.txt": "kept"}); })
+          .then(function()
+          {
+            ok(fs.statSync(path.join(destination, "a")).isFile(), "directory replaced by a file");
+            return synced({"a": "a file again", "keep.txt": "kept"}, "directory replaced by a file synced");
+          })
+          .then(function() { return sync({"a/b/c": "a file again", "keep.txt": "kept"}); })
+          .then(function() { return synced({"a/b/c": "a file again", "keep.txt": "kept"}, "file renamed into a directory of its own name"); })
+          .then(function() { return sync({"a": "a file again", "keep.txt": "kept"}); })
+          .then(function() { return synced({"a": "a file again", "keep.txt": "kept"}, "file renamed over the directory it was in"); })
+          .then(function()
+          {
+            //a patch made before keep.txt was there, that wants a directory in its place
+            var manifestPatch = BSync.createManifestPatch(BSync.createManifest({"a": "a file again"}),
+                                                          {"a": "a file again", "fresh.txt": "fresh", "keep.txt/x": "x"});
+            return BSync.applyManifestPatchToDirectory(manifestPatch, destination);
+          })
+          .then(function() { ok(false, "a patch with a file in the way should be rejected"); },
+                function(err) { ok(err instanceof BSync.BSyncError, "file in the way rejected"); })
+          .then(function() { return synced({"a": "a file again", "keep.txt": "kept"}, "nothing written when a file is in the way"); })
+          .then(function()
+          {
+            write("c/untracked.txt", "not in the manifest");
+            var manifestPatch = BSync.createManifestPatch(BSync.createManifest({"c/tracked.txt": "tracked"}), {"c": "a file"});
+            write("c/tracked.txt", "tracked");
+            return BSync.applyManifestPatchToDirectory(manifestPatch, destination);
+          })
+          .then(function() { ok(false, "a patch with a directory in the way should be rejected"); },
+                function(err)
+                {
+                  ok(err instanceof BSync.BSyncError && fs.existsSync(path.join(destination, "c/tracked.txt")) &&
+                     fs.existsSync(path.join(destination, "c/untracked.txt")), "directory in the way rejected without deleting anything");
+                })
+          .then(null, function(err) { ok(false, "unexpected error: " + err); })
+          .then(function()
+          {
+            fs.rmSync(destination, {recursive: true});
+            start();
+          });
+      });
+
+  asyncTest("http handler",
+      function()
+      {
+        var fs = require("fs");
+        var os = require("os");
+        var path = require("path");
+        var store = BSync.createMemoryStore();
+        var server = BSync.createHttpServer(store, {blockSize: 256});
+        var original = textData(3000, 41);
+        var changed = new Uint8Array(original).slice();
+        changed.set(new Uint8Array(textData(40, 42)), 5000);
+        var url, firstETag;
+
+        var handler = BSync.createHttpHandler(store);
+        var passedOn = false;
+        handler({method: "POST", url: "/notes.txt", headers: {}}, {}, function() { passedOn = true; });
+        ok(passedOn, "other methods passed to next");
+        throws(function() { BSync.createHttpHandler({}); }, TypeError, "store without get and set rejected");
+
+        new Promise(function(resolve) { server.listen(0, "127.0.0.1", resolve); })
+          .then(function()
+          {
+            url = "http://127.0.0.1:" + server.address().port + "/docs/notes.txt";
+            return BSync.uploadSync(url, original);
+          })
+          .then(function(result)
+          {
+            ok(result.created && result.patchLength == original.byteLength, "created with the whole data");
+            firstETag = result.etag;
+            ok(verifyData(store.get("docs/notes.txt"), original), "stored");
+            return fetch(url, {headers: {"If-None-Match": firstETag}});
+          })
+          .then(function(response)
+          {
+            ok(response.status == 304, "not modified");
+            return BSync.uploadSync(url, changed);
+          })
+          .then(function(result)
+          {
+            ok(!result.created && !result.identical && result.patchLength < changed.byteLength / 4 && result.etag != firstETag, "patched, sent " + result.patchLength);
+            ok(verifyData(store.get("docs/notes.txt"), changed.buffer), "patch applied");
+            return fetch(url);
+          })
+          .then(function(response)
+          {
+            ok(response.status == 200 && response.headers.get("Content-Type") == "application/vnd.bit-sync.checksum", "checksum document served");
+            return response.arrayBuffer();
+          })
+          .then(function(checksums)
+          {
+            ok(verifyData(checksums, BSync.createChecksumDocument(256, changed.buffer)), "cached checksums kept up to date");
+            return BSync.uploadSync(url, changed);
+          })
+          .then(function(result)
+          {
+            ok(result.identical && result.patchLength == 0, "nothing sent when identical");
+            var patch = BSync.createPatchDocument(BSync.createChecksumDocument(256, original), textData(10, 43));
+            return fetch(url, {method: "PATCH", body: new Uint8Array(patch), headers: {"Content-Type": "application/vnd.bit-sync.patch", "If-Match": firstETag}});
+          })
+          .then(function(response)
+          {
+            ok(response.status == 412 && verifyData(store.get("docs/notes.txt"), changed.buffer), "stale If-Match turned down");
+            var edited = new Uint8Array(original).slice();
+            edited[100]++;
+            var patch = BSync.createPatchDocument(BSync.createChecksumDocument(256, original), edited.buffer);
+            return fetch(url, {method: "PATCH", body: new Uint8Array(patch), headers: {"Content-Type": "application/vnd.bit-sync.patch"}});
+          })
+          .then(function(response)
+          {
+            ok(response.status == 409 && verifyData(store.get("docs/notes.txt"), changed.buffer), "patch made against other content turned down");
+            return fetch(url, {method: "PATCH", body: "not a patch", headers: {"Content-Type": "text/plain"}});
+          })
+          .then(function(response)
+          {
+            ok(response.status == 415, "PATCH needs a patch document");
+            return fetch(url.replace("notes", "missing"));
+          })
+          .then(function(response)
+          {
+            ok(response.status == 404, "missing resource");
+            var root = fs.mkdtempSync(path.join(os.tmpdir(), "bsync-http-"));
+            var directoryStore = BSync.createDirectoryStore(root);
+            return Promise.resolve(directoryStore.get("a/b.txt"))
+              .then(function(data)
+              {
+                ok(data === null, "nothing in the directory yet");
+                return directoryStore.set("a/b.txt", changed);
+              })
+              .then(function() { return directoryStore.get("a/b.txt"); })
+              .then(function(data)
+              {
+                ok(verifyData(data, changed.buffer) && fs.readdirSync(path.join(root, "a")).join() == "b.txt", "directory store written");
+                fs.rmSync(root, {recursive: true});
+              });
+          })
+          .then(null, function(err) { ok(false, "unexpected error: " + err); })
+          .then(function() { server.close(start); });
+      });
+
+  asyncTest("http handler behind body parsers",
+      function()
+      {
+        var store = BSync.createMemoryStore();
+        var handler = BSync.createHttpHandler(store);
+        //stands in for express.raw() and express.text(). Small Buffers like these are views into a shared pool
+        var server = require("http").createServer(function(req, res)
+        {
+          var chunks = [];
+          req.on("data", function(chunk) { chunks.push(chunk); });
+          req.on("end", function()
+          {
+            var body = Buffer.concat(chunks).toString("latin1");
+            req.body = req.headers["x-parser"] == "raw" ? Buffer.from(body, "latin1") : body;
+            handler(req, res);
+          });
+        });
+        var url;
+
+        new Promise(function(resolve) { server.listen(0, "127.0.0.1", resolve); })
+          .then(function()
+          {
+            url = "http://127.0.0.1:" + server.address().port + "/small.txt";
+            ok(Buffer.from("hello world").buffer.byteLength > 11, "small Buffers share a pool");
+            return fetch(url, {method: "PUT", body: "hello world", headers: {"X-Parser": "raw"}});
+          })
+          .then(function(response)
+          {
+            var stored = store.get("small.txt");
+            ok(response.status == 201 && stored.byteLength == 11 && verifyData(stored, BSync.util.encodeText("hello world")), "parsed Buffer body stored as it is");
+            var patch = BSync.createPatchDocument(BSync.createChecksumDocument(4, stored), BSync.util.encodeText("hello there world"));
+            return fetch(url, {method: "PATCH", body: new Uint8Array(patch), headers: {"X-Parser": "raw", "Content-Type": "application/vnd.bit-sync.patch"}});
+          })
+          .then(function(response)
+          {
+            ok(response.status == 204 && verifyData(store.get("small.txt"), BSync.util.encodeText("hello there world")), "parsed Buffer patch applied");
+            return fetch(url, {method: "PUT", body: "hello", headers: {"X-Parser": "text"}});
+          })
+          .then(function(response)
+          {
+            ok(response.status == 500 && store.get("small.txt").byteLength == 17, "body already read as text rejected");
+          })
+          .then(null, function(err) { ok(false, "unexpected error: " + err); })
+          .then(function() { server.close(start); });
+      });
 }